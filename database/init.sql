@@ -6,6 +6,90 @@ CREATE TABLE users (
   first_name VARCHAR(100) NOT NULL,
   last_name VARCHAR(100) NOT NULL,
   country VARCHAR(2) NOT NULL,
+  verification_tier VARCHAR(20) NOT NULL DEFAULT 'unverified', -- 'unverified', 'basic', 'full' (see src/config/limits.js)
+  role VARCHAR(20) NOT NULL DEFAULT 'user', -- 'user' or 'admin'
+  screening_status VARCHAR(20) NOT NULL DEFAULT 'clear', -- 'clear', 'review', 'blocked'
+
+  -- Two-factor authentication (TOTP secret is encrypted with ENCRYPTION_KEY)
+  totp_secret TEXT,
+  totp_enabled BOOLEAN DEFAULT false,
+  totp_last_used_step BIGINT, -- rejects replay of an already used code
+  totp_failed_attempts INTEGER NOT NULL DEFAULT 0, -- consecutive wrong codes
+  totp_locked_until TIMESTAMP, -- codes refused until then after too many failures
+
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Single-use two-factor backup codes, stored as sha256 hashes
+CREATE TABLE backup_codes (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+  code_hash VARCHAR(64) NOT NULL,
+  used_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Attempts at each two-factor login challenge (the challenge token's jti)
+CREATE TABLE two_factor_challenges (
+  id UUID PRIMARY KEY,
+  user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+  attempts INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Login sessions; each one owns a family of rotating refresh tokens
+CREATE TABLE sessions (
+  id UUID PRIMARY KEY,
+  user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+  created_at TIMESTAMP DEFAULT NOW(),
+  last_used_at TIMESTAMP DEFAULT NOW(),
+  revoked_at TIMESTAMP,
+  revoked_reason VARCHAR(50) -- 'logout', 'refresh_token_reuse'
+);
+
+-- Refresh tokens, stored as sha256 hashes
+CREATE TABLE refresh_tokens (
+  id SERIAL PRIMARY KEY,
+  session_id UUID REFERENCES sessions(id) ON DELETE CASCADE,
+  token_hash VARCHAR(64) UNIQUE NOT NULL,
+  created_at TIMESTAMP DEFAULT NOW(),
+  expires_at TIMESTAMP NOT NULL,
+  used_at TIMESTAMP -- set once the token has been rotated
+);
+
+-- Identity verification requests, reviewed by an admin
+CREATE TABLE kyc_submissions (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+  requested_tier VARCHAR(20) NOT NULL, -- 'basic' or 'full'
+  status VARCHAR(20) NOT NULL DEFAULT 'pending', -- 'pending', 'approved', 'rejected'
+
+  -- Identity data
+  full_name VARCHAR(200) NOT NULL,
+  date_of_birth DATE NOT NULL,
+  nationality VARCHAR(2) NOT NULL,
+  address TEXT NOT NULL,
+  id_type VARCHAR(30), -- 'passport', 'national_id', 'drivers_license'
+  id_number_last4 VARCHAR(4),
+
+  -- Review
+  reviewed_by INTEGER REFERENCES users(id),
+  reviewed_at TIMESTAMP,
+  review_notes TEXT,
+
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Uploaded identity documents; files live under KYC_UPLOAD_DIR
+CREATE TABLE kyc_documents (
+  id SERIAL PRIMARY KEY,
+  submission_id INTEGER REFERENCES kyc_submissions(id) ON DELETE CASCADE,
+  document_type VARCHAR(30) NOT NULL, -- 'government_id', 'proof_of_address', 'selfie'
+  storage_path VARCHAR(255) NOT NULL,
+  original_name VARCHAR(255),
+  mime_type VARCHAR(50) NOT NULL,
+  size_bytes INTEGER NOT NULL,
+  sha256 VARCHAR(64) NOT NULL,
   created_at TIMESTAMP DEFAULT NOW()
 );
 
@@ -23,11 +107,31 @@ CREATE TABLE payment_methods (
   -- Crypto details (if type = 'crypto')
   wallet_address VARCHAR(100),
   crypto_type VARCHAR(20), -- 'xrpl', 'ethereum', etc.
+
+  -- Provider that linked the method and collects from it (src/config/paymentProviders.js)
+  provider VARCHAR(50),
+  provider_reference VARCHAR(100),
   
   is_default BOOLEAN DEFAULT false,
   created_at TIMESTAMP DEFAULT NOW()
 );
 
+-- Custodial XRPL accounts: one per user plus labelled treasury accounts
+CREATE TABLE wallets (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER UNIQUE REFERENCES users(id) ON DELETE RESTRICT, -- NULL for treasury wallets
+  kind VARCHAR(20) NOT NULL, -- 'user' or 'treasury'
+  label VARCHAR(50), -- treasury role: 'liquidity', 'payout'
+  address VARCHAR(35) UNIQUE NOT NULL,
+  seed_encrypted TEXT NOT NULL, -- encrypted with ENCRYPTION_KEY
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX idx_wallets_treasury_label ON wallets(label) WHERE kind = 'treasury';
+
+-- Destination tags identify recipients on payments into the payout wallet
+CREATE SEQUENCE recipient_destination_tag_seq START 100000;
+
 -- Recipients table
 CREATE TABLE recipients (
   id SERIAL PRIMARY KEY,
@@ -41,10 +145,76 @@ CREATE TABLE recipients (
   payout_type VARCHAR(20) NOT NULL, -- 'bank' or 'cash_pickup'
   bank_name VARCHAR(100),
   account_number_last4 VARCHAR(4),
+
+  destination_tag BIGINT UNIQUE NOT NULL DEFAULT nextval('recipient_destination_tag_seq'),
+  date_of_birth DATE, -- optional, improves screening accuracy
+  screening_status VARCHAR(20) NOT NULL DEFAULT 'clear', -- 'clear', 'review', 'blocked'
   
   created_at TIMESTAMP DEFAULT NOW()
 );
 
+-- Fees and spreads (see src/services/pricing.js). NULL match fields match
+-- anything; the most specific matching rule wins, and an active promo beats
+-- any standard rule. Benchmarks are competitors' published pricing, shown for
+-- comparison only.
+CREATE TABLE pricing_rules (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(100) NOT NULL,
+  kind VARCHAR(20) NOT NULL DEFAULT 'standard', -- 'standard', 'promo', 'benchmark'
+  provider VARCHAR(100), -- competitor name, benchmarks only
+
+  -- Match
+  from_currency VARCHAR(3),
+  to_currency VARCHAR(3),
+  route_type VARCHAR(50), -- e.g. 'xrpl_direct'; benchmarks: 'bank_transfer', 'competitor'
+  payout_type VARCHAR(20), -- 'bank', 'cash_pickup', ...
+  min_amount DECIMAL(10, 2), -- amount band in the sending currency, inclusive
+  max_amount DECIMAL(10, 2), -- exclusive
+
+  -- Price
+  fee_percent DECIMAL(6, 5) NOT NULL DEFAULT 0, -- 0.01 = 1%
+  fee_fixed DECIMAL(10, 2) NOT NULL DEFAULT 0, -- in the sending currency
+  min_fee DECIMAL(10, 2) NOT NULL DEFAULT 0,
+  spread DECIMAL(6, 5) NOT NULL DEFAULT 0, -- below mid-market, 0.003 = 0.3%
+  estimated_time VARCHAR(50),
+
+  priority INTEGER NOT NULL DEFAULT 0, -- breaks ties between equally specific rules
+  starts_at TIMESTAMP,
+  ends_at TIMESTAMP,
+  active BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+INSERT INTO pricing_rules (name, kind, provider, route_type, fee_percent, fee_fixed, spread, estimated_time) VALUES
+  ('Default XRPL pricing', 'standard', NULL, 'xrpl_direct', 0.01, 0, 0.003, '5-10 minutes'),
+  ('Bank wire benchmark', 'benchmark', 'Traditional Bank Transfer', 'bank_transfer', 0.05, 5, 0.03, '1-3 business days'),
+  ('Remittance service benchmark', 'benchmark', 'Online Remittance Service', 'competitor', 0.015, 3, 0.01, '1 business day');
+
+-- FX quotes: locked prices shown to the sender and redeemed by /api/transactions/create
+CREATE TABLE quotes (
+  id UUID PRIMARY KEY,
+  user_id INTEGER REFERENCES users(id) ON DELETE CASCADE, -- NULL for anonymous quotes from /api/rates/calculate
+
+  from_currency VARCHAR(3) NOT NULL,
+  to_currency VARCHAR(3) NOT NULL,
+  amount_sent DECIMAL(10, 2) NOT NULL,
+
+  -- Locked pricing
+  mid_market_rate DECIMAL(10, 6) NOT NULL,
+  spread DECIMAL(6, 5) NOT NULL,
+  exchange_rate DECIMAL(10, 6) NOT NULL,
+  fee DECIMAL(10, 2) NOT NULL,
+  amount_received DECIMAL(10, 2) NOT NULL,
+  route_type VARCHAR(50) NOT NULL,
+  payout_type VARCHAR(20), -- NULL when priced without a recipient
+  pricing_rule_id INTEGER REFERENCES pricing_rules(id),
+
+  created_at TIMESTAMP DEFAULT NOW(),
+  expires_at TIMESTAMP NOT NULL,
+  used_at TIMESTAMP
+);
+
 -- Transactions table
 CREATE TABLE transactions (
   id SERIAL PRIMARY KEY,
@@ -53,6 +223,9 @@ CREATE TABLE transactions (
   
   -- Payment method used
   payment_method_id INTEGER REFERENCES payment_methods(id),
+
+  -- Quote the sender accepted
+  quote_id UUID UNIQUE REFERENCES quotes(id),
   
   -- Amount details
   amount_sent DECIMAL(10, 2) NOT NULL,
@@ -66,9 +239,23 @@ CREATE TABLE transactions (
   
   -- Transaction proof
   xrpl_tx_hash VARCHAR(100),
+  xrpl_last_ledger_sequence INTEGER, -- signed attempt expires after this ledger
+  xrpl_ledger_index INTEGER, -- ledger the payment was validated in
+  xrpl_fee DECIMAL(18, 6), -- network fee actually paid, in XRP
+  xrpl_delivered_amount DECIMAL(20, 6),
+  xrpl_delivered_currency VARCHAR(40),
+  payment_started_at TIMESTAMP, -- charge claimed; the transfer can no longer be cancelled
+  payment_reference VARCHAR(100), -- sender charge id from the payment provider
+  payment_provider VARCHAR(50),
+  payout_reference VARCHAR(100), -- payout id from the payout provider
+  payout_provider VARCHAR(50),
+  reconciliation_status VARCHAR(20), -- 'matched', 'mismatch', 'missing' (see src/services/reconciliation.js)
+  reconciled_at TIMESTAMP,
   
   -- Status
-  status VARCHAR(20) NOT NULL, -- 'pending', 'processing', 'completed', 'failed'
+  -- 'pending', 'held', 'funds_captured', 'on_ledger', 'payout_initiated',
+  -- 'completed', 'failed', 'cancelled', 'refunded' (see src/services/transactionState.js)
+  status VARCHAR(20) NOT NULL,
   route_type VARCHAR(50), -- 'xrpl_direct', 'bank_transfer'
   
   -- Timestamps
@@ -79,9 +266,267 @@ CREATE TABLE transactions (
   notes TEXT
 );
 
+-- Refunds of the captured amount, fee included (see src/services/refund.js)
+CREATE TABLE refunds (
+  id SERIAL PRIMARY KEY,
+  transaction_id INTEGER UNIQUE REFERENCES transactions(id),
+  amount DECIMAL(10, 2) NOT NULL, -- total refunded, fee included
+  fee_amount DECIMAL(10, 2) NOT NULL, -- part of amount that was our fee
+  currency VARCHAR(3) NOT NULL,
+  reason TEXT NOT NULL,
+  automatic BOOLEAN NOT NULL DEFAULT false, -- queued by a processing failure
+  requested_by INTEGER REFERENCES users(id), -- admin, NULL when automatic
+  status VARCHAR(20) NOT NULL DEFAULT 'pending', -- 'pending', 'succeeded', 'failed'
+  attempt INTEGER NOT NULL DEFAULT 1, -- bumped when a failed refund is requested again
+  provider_reference VARCHAR(100),
+  failure_reason TEXT,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW(),
+  completed_at TIMESTAMP
+);
+
+-- Transaction status history, one row per state transition
+CREATE TABLE transaction_events (
+  id SERIAL PRIMARY KEY,
+  transaction_id INTEGER REFERENCES transactions(id) ON DELETE CASCADE,
+  from_status VARCHAR(20), -- NULL for the initial event
+  to_status VARCHAR(20) NOT NULL,
+  reason TEXT,
+  metadata JSONB,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Sanctions screening runs against the watchlist (see src/services/screening.js)
+CREATE TABLE screening_results (
+  id SERIAL PRIMARY KEY,
+  subject_type VARCHAR(20) NOT NULL, -- 'user' or 'recipient'
+  subject_id INTEGER NOT NULL,
+  screened_name VARCHAR(200) NOT NULL,
+  country VARCHAR(2),
+  date_of_birth DATE,
+  status VARCHAR(20) NOT NULL, -- 'clear', 'hit', 'confirmed', 'dismissed'
+  matches JSONB NOT NULL DEFAULT '[]',
+  reviewed_by INTEGER REFERENCES users(id),
+  reviewed_at TIMESTAMP,
+  review_notes TEXT,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Transaction monitoring alerts raised by AML rules (see src/config/amlRules.js)
+CREATE TABLE aml_alerts (
+  id SERIAL PRIMARY KEY,
+  rule_id VARCHAR(50) NOT NULL,
+  severity VARCHAR(10) NOT NULL, -- 'low', 'medium', 'high'
+  user_id INTEGER REFERENCES users(id),
+  transaction_id INTEGER REFERENCES transactions(id),
+  details JSONB NOT NULL DEFAULT '{}',
+
+  -- Case handling
+  status VARCHAR(20) NOT NULL DEFAULT 'open', -- 'open', 'assigned', 'resolved'
+  assigned_to INTEGER REFERENCES users(id),
+  resolution VARCHAR(30), -- 'false_positive', 'escalated', 'reported'
+  resolution_notes TEXT,
+  resolved_by INTEGER REFERENCES users(id),
+  resolved_at TIMESTAMP,
+
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW(),
+  UNIQUE (transaction_id, rule_id)
+);
+
+-- Verified events from payment providers (see src/services/providerWebhooks.js)
+CREATE TABLE provider_webhook_events (
+  id SERIAL PRIMARY KEY,
+  provider VARCHAR(50) NOT NULL,
+  event_id VARCHAR(255) NOT NULL,
+  event_type VARCHAR(100) NOT NULL,
+  reference VARCHAR(100), -- provider's payment or payout id
+  idempotency_key VARCHAR(100), -- our key echoed back by the provider
+  reason TEXT,
+  occurred_at TIMESTAMP,
+  raw_body TEXT NOT NULL,
+
+  transaction_id INTEGER REFERENCES transactions(id),
+  status VARCHAR(20) NOT NULL DEFAULT 'received', -- 'received', 'processed', 'ignored', 'failed'
+  notes TEXT,
+  created_at TIMESTAMP DEFAULT NOW(),
+  processed_at TIMESTAMP,
+  UNIQUE (provider, event_id)
+);
+
+-- Endpoints users register for transaction events (see src/services/webhookSubscriptions.js)
+CREATE TABLE webhook_subscriptions (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+  url TEXT NOT NULL,
+  events TEXT[] NOT NULL, -- e.g. 'transaction.completed', 'payout.available'
+  description VARCHAR(255),
+  secret_encrypted TEXT NOT NULL, -- signing secret, encrypted with ENCRYPTION_KEY
+  active BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+-- One row per event sent to a subscription
+CREATE TABLE webhook_deliveries (
+  id SERIAL PRIMARY KEY,
+  subscription_id INTEGER REFERENCES webhook_subscriptions(id) ON DELETE CASCADE,
+  event_id UUID NOT NULL,
+  event_type VARCHAR(50) NOT NULL,
+  payload JSONB NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending', -- 'pending', 'retrying', 'succeeded', 'failed', 'skipped' (subscription paused)
+  attempts INTEGER NOT NULL DEFAULT 0,
+  last_attempt_at TIMESTAMP,
+  last_response_status INTEGER,
+  last_error TEXT,
+  delivered_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Validated payments read from our XRPL accounts, matched to transactions
+CREATE TABLE ledger_entries (
+  id SERIAL PRIMARY KEY,
+  account VARCHAR(35) NOT NULL, -- our account the entry was read from
+  tx_hash VARCHAR(100) UNIQUE NOT NULL,
+  ledger_index INTEGER NOT NULL,
+  close_time TIMESTAMP,
+  source_account VARCHAR(35),
+  destination_tag BIGINT,
+  memo TEXT,
+  engine_result VARCHAR(40) NOT NULL,
+  delivered_amount DECIMAL(20, 6),
+  delivered_currency VARCHAR(40),
+
+  -- Matching
+  transaction_id INTEGER REFERENCES transactions(id),
+  match_status VARCHAR(20) NOT NULL DEFAULT 'pending', -- 'pending', 'matched', 'mismatch', 'unmatched'
+  matched_by VARCHAR(20), -- 'hash', 'memo', 'destination_tag'
+  mismatch_reasons JSONB NOT NULL DEFAULT '[]',
+
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+-- How far each of our XRPL accounts has been read
+CREATE TABLE xrpl_sync_cursors (
+  account VARCHAR(35) PRIMARY KEY,
+  last_ledger_index INTEGER NOT NULL,
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Double-entry accounting (see src/services/accounting.js). Not to be
+-- confused with ledger_entries, which are payments read from the XRPL.
+CREATE TABLE ledger_accounts (
+  id SERIAL PRIMARY KEY,
+  code VARCHAR(40) NOT NULL, -- e.g. 'customer_funds', 'fee_revenue'
+  currency VARCHAR(3) NOT NULL,
+  type VARCHAR(20) NOT NULL, -- 'asset', 'liability', 'revenue', 'expense', 'clearing'
+  name VARCHAR(100) NOT NULL,
+  created_at TIMESTAMP DEFAULT NOW(),
+  UNIQUE (code, currency)
+);
+
+CREATE TABLE journal_entries (
+  id SERIAL PRIMARY KEY,
+  transaction_id INTEGER NOT NULL REFERENCES transactions(id),
+  kind VARCHAR(20) NOT NULL, -- 'capture', 'conversion', 'payout', 'settlement', 'refund'
+  description TEXT NOT NULL,
+  created_at TIMESTAMP DEFAULT NOW(),
+  UNIQUE (transaction_id, kind)
+);
+
+-- Postings of an entry sum to zero per currency
+CREATE TABLE journal_postings (
+  id SERIAL PRIMARY KEY,
+  entry_id INTEGER NOT NULL REFERENCES journal_entries(id),
+  account_id INTEGER NOT NULL REFERENCES ledger_accounts(id),
+  amount DECIMAL(20, 6) NOT NULL CHECK (amount <> 0) -- debit positive, credit negative
+);
+
+-- Mid-market rates recorded for each corridor (see src/services/rateHistory.js)
+CREATE TABLE rate_snapshots (
+  id BIGSERIAL PRIMARY KEY,
+  from_currency VARCHAR(3) NOT NULL,
+  to_currency VARCHAR(3) NOT NULL,
+  rate DECIMAL(20, 10) NOT NULL,
+  source VARCHAR(40) NOT NULL, -- provider the rate came from
+  rate_as_of TIMESTAMP NOT NULL, -- when the provider last updated it
+  captured_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+-- User alerts on corridor rates (see src/services/rateAlerts.js)
+CREATE TABLE rate_alerts (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  from_currency VARCHAR(3) NOT NULL,
+  to_currency VARCHAR(3) NOT NULL,
+  direction VARCHAR(5) NOT NULL, -- 'above' or 'below'
+  target_rate DECIMAL(20, 10) NOT NULL, -- derived from baseline_rate for percentage alerts
+  change_percent DECIMAL(5, 2), -- NULL for a fixed target
+  baseline_rate DECIMAL(20, 10) NOT NULL, -- rate when the alert was created
+  armed BOOLEAN NOT NULL DEFAULT true, -- false once fired, until the condition clears
+  trigger_count INTEGER NOT NULL DEFAULT 0,
+  last_triggered_at TIMESTAMP,
+  last_triggered_rate DECIMAL(20, 10),
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Background jobs (see src/services/jobQueue.js)
+CREATE TABLE jobs (
+  id SERIAL PRIMARY KEY,
+  type VARCHAR(50) NOT NULL,
+  payload JSONB NOT NULL DEFAULT '{}',
+  status VARCHAR(20) NOT NULL DEFAULT 'queued', -- 'queued', 'running', 'completed', 'dead'
+  attempts INTEGER NOT NULL DEFAULT 0,
+  max_attempts INTEGER NOT NULL DEFAULT 5,
+  run_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  locked_at TIMESTAMP,
+  last_error TEXT,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW(),
+  completed_at TIMESTAMP
+);
+
+-- Stored responses for retried requests carrying an Idempotency-Key header
+CREATE TABLE idempotency_keys (
+  user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+  idempotency_key VARCHAR(255) NOT NULL,
+  request_hash VARCHAR(64) NOT NULL, -- sha256 of method, path and body
+  response_status INTEGER, -- NULL while the first request is in flight
+  response_body JSONB,
+  created_at TIMESTAMP DEFAULT NOW(),
+  expires_at TIMESTAMP NOT NULL,
+  PRIMARY KEY (user_id, idempotency_key)
+);
+
 -- Indexes for performance
 CREATE INDEX idx_transactions_sender ON transactions(sender_id);
 CREATE INDEX idx_transactions_status ON transactions(status);
 CREATE INDEX idx_transactions_created ON transactions(created_at DESC);
 CREATE INDEX idx_payment_methods_user ON payment_methods(user_id);
-CREATE INDEX idx_recipients_user ON recipients(user_id);
\ No newline at end of file
+CREATE INDEX idx_sessions_user ON sessions(user_id);
+CREATE INDEX idx_backup_codes_user ON backup_codes(user_id);
+CREATE INDEX idx_kyc_submissions_user ON kyc_submissions(user_id);
+CREATE INDEX idx_kyc_submissions_status ON kyc_submissions(status);
+CREATE INDEX idx_refresh_tokens_session ON refresh_tokens(session_id);
+CREATE INDEX idx_recipients_user ON recipients(user_id);
+CREATE INDEX idx_quotes_expires ON quotes(expires_at);
+CREATE INDEX idx_transaction_events_transaction ON transaction_events(transaction_id, created_at);
+CREATE INDEX idx_screening_results_subject ON screening_results(subject_type, subject_id);
+CREATE INDEX idx_screening_results_status ON screening_results(status);
+CREATE INDEX idx_aml_alerts_status ON aml_alerts(status, created_at DESC);
+CREATE INDEX idx_aml_alerts_user ON aml_alerts(user_id);
+CREATE INDEX idx_ledger_entries_close_time ON ledger_entries(close_time);
+CREATE INDEX idx_ledger_entries_match_status ON ledger_entries(match_status);
+CREATE INDEX idx_transactions_reconciliation ON transactions(reconciliation_status);
+CREATE INDEX idx_provider_webhook_events_reference ON provider_webhook_events(provider, reference);
+CREATE INDEX idx_webhook_subscriptions_user ON webhook_subscriptions(user_id);
+CREATE INDEX idx_webhook_deliveries_subscription ON webhook_deliveries(subscription_id, created_at DESC);
+CREATE INDEX idx_refunds_status ON refunds(status, created_at DESC);
+CREATE INDEX idx_journal_entries_created ON journal_entries(created_at);
+CREATE INDEX idx_journal_postings_entry ON journal_postings(entry_id);
+CREATE INDEX idx_journal_postings_account ON journal_postings(account_id);
+CREATE INDEX idx_rate_snapshots_pair ON rate_snapshots(from_currency, to_currency, captured_at);
+CREATE INDEX idx_rate_alerts_user ON rate_alerts(user_id);
+CREATE INDEX idx_jobs_runnable ON jobs(run_at) WHERE status IN ('queued', 'running');
+CREATE INDEX idx_idempotency_keys_expires ON idempotency_keys(expires_at);
\ No newline at end of file
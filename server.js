@@ -17,12 +17,18 @@ const corsOptions = {
   origin: process.env.FRONTEND_URL || 'http://localhost:3000',
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'Idempotency-Key'],
+  exposedHeaders: ['Idempotent-Replayed']
 };
 app.use(cors(corsOptions));
 
-// Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
+// Body parsing middleware. The raw body is kept for webhook signature checks.
+app.use(express.json({
+  limit: '10mb',
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Request logging middleware
@@ -40,6 +46,20 @@ const authRoutes = require('./src/routes/auth');
 const userRoutes = require('./src/routes/users');
 const transactionRoutes = require('./src/routes/transactions');
 const rateRoutes = require('./src/routes/rates');
+const adminRoutes = require('./src/routes/admin');
+const webhookRoutes = require('./src/routes/webhooks');
+
+// ============================================
+// BACKGROUND WORKERS
+// ============================================
+
+const jobQueue = require('./src/services/jobQueue');
+const transactionProcessor = require('./src/services/transactionProcessor');
+const xrplService = require('./src/services/xrpl');
+const reconciliationService = require('./src/services/reconciliation');
+const rateHistoryService = require('./src/services/rateHistory');
+const exchangeRateService = require('./src/services/exchangeRate');
+const transactionStream = require('./src/services/transactionStream');
 
 // ============================================
 // ROOT ENDPOINT
@@ -56,7 +76,9 @@ app.get('/', (req, res) => {
       auth: '/api/auth',
       users: '/api/users',
       transactions: '/api/transactions',
-      rates: '/api/rates'
+      rates: '/api/rates',
+      admin: '/api/admin',
+      webhooks: '/api/webhooks'
     },
     documentation: 'https://github.com/Crayann/swiftbase-backend',
     timestamp: new Date().toISOString()
@@ -101,6 +123,8 @@ app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/transactions', transactionRoutes);
 app.use('/api/rates', rateRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/webhooks', webhookRoutes);
 
 // ============================================
 // API INFO ENDPOINT
@@ -125,12 +149,52 @@ app.get('/api', (req, res) => {
         method: 'POST',
         description: 'Login user'
       },
+      {
+        path: '/api/auth/login/verify',
+        method: 'POST',
+        description: 'Complete login with a two-factor code'
+      },
+      {
+        path: '/api/auth/2fa/setup',
+        method: 'POST',
+        description: 'Start two-factor enrollment (also /2fa/verify, /2fa/disable)',
+        auth: true
+      },
+      {
+        path: '/api/auth/refresh',
+        method: 'POST',
+        description: 'Rotate refresh token and get a new access token'
+      },
+      {
+        path: '/api/auth/logout',
+        method: 'POST',
+        description: 'Revoke the current session',
+        auth: true
+      },
       {
         path: '/api/users/profile',
         method: 'GET',
         description: 'Get user profile',
         auth: true
       },
+      {
+        path: '/api/users/wallet',
+        method: 'GET',
+        description: 'Get custodial XRPL wallet and balance',
+        auth: true
+      },
+      {
+        path: '/api/users/limits',
+        method: 'GET',
+        description: 'Get transfer limits and remaining capacity',
+        auth: true
+      },
+      {
+        path: '/api/users/kyc',
+        method: 'GET, POST',
+        description: 'Get verification status or submit identity documents',
+        auth: true
+      },
       {
         path: '/api/users/payment-methods',
         method: 'GET, POST',
@@ -155,17 +219,45 @@ app.get('/api', (req, res) => {
         description: 'Create new transaction',
         auth: true
       },
+      {
+        path: '/api/transactions/:id/stream',
+        method: 'GET',
+        description: 'Server-Sent Events for one transaction (also /api/transactions/stream for all); accepts ?access_token=',
+        auth: true
+      },
       {
         path: '/api/transactions/history',
         method: 'GET',
         description: 'Get transaction history',
         auth: true
       },
+      {
+        path: '/api/webhooks/subscriptions',
+        method: 'GET, POST, PUT, DELETE',
+        description: 'Manage webhook endpoints for transaction events, with delivery log and replay',
+        auth: true
+      },
+      {
+        path: '/api/webhooks/:provider',
+        method: 'POST',
+        description: 'Receive signed payment provider events'
+      },
       {
         path: '/api/rates/:from/:to',
         method: 'GET',
         description: 'Get exchange rate'
       },
+      {
+        path: '/api/rates/:from/:to/history',
+        method: 'GET',
+        description: 'Get rate history (interval=hour|day|week, format=csv)'
+      },
+      {
+        path: '/api/rates/alerts',
+        method: 'POST',
+        description: 'Create a rate alert (also GET to list, DELETE /:id to remove)',
+        auth: true
+      },
       {
         path: '/api/rates/calculate',
         method: 'POST',
@@ -185,7 +277,7 @@ app.use((req, res) => {
     path: req.path,
     method: req.method,
     message: 'The requested endpoint does not exist',
-    availableRoutes: ['/api/health', '/api/auth', '/api/users', '/api/transactions', '/api/rates']
+    availableRoutes: ['/api/health', '/api/auth', '/api/users', '/api/transactions', '/api/rates', '/api/admin', '/api/webhooks']
   });
 });
 
@@ -225,16 +317,22 @@ app.use((err, req, res, next) => {
 
 process.on('SIGTERM', () => {
   console.log('SIGTERM signal received: closing HTTP server');
-  server.close(() => {
+  transactionStream.closeAll();
+  server.close(async () => {
     console.log('HTTP server closed');
+    await jobQueue.stop();
+    await xrplService.disconnect();
     process.exit(0);
   });
 });
 
 process.on('SIGINT', () => {
   console.log('SIGINT signal received: closing HTTP server');
-  server.close(() => {
+  transactionStream.closeAll();
+  server.close(async () => {
     console.log('HTTP server closed');
+    await jobQueue.stop();
+    await xrplService.disconnect();
     process.exit(0);
   });
 });
@@ -261,6 +359,20 @@ const server = app.listen(PORT, () => {
   console.log('');
   console.log('Ready to accept requests! 🎉');
   console.log('');
+
+  // Every instance keeps its own rate table warm
+  exchangeRateService.start();
+
+  // Set JOB_WORKER_ENABLED=false to run an API-only instance
+  if (process.env.JOB_WORKER_ENABLED !== 'false') {
+    transactionProcessor.recoverOrphans()
+      .catch(error => console.error('❌ Orphan recovery failed:', error))
+      .then(() => reconciliationService.start())
+      .catch(error => console.error('❌ Reconciliation scheduling failed:', error))
+      .then(() => rateHistoryService.start())
+      .catch(error => console.error('❌ Rate snapshot scheduling failed:', error))
+      .finally(() => jobQueue.start());
+  }
 });
 
 // Export for testing
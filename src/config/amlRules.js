@@ -0,0 +1,71 @@
+const fs = require('fs');
+
+// Transaction monitoring rules, evaluated for every new transfer against the
+// sender's history. Amounts are in the rule's `currency` (USD if not set);
+// transfers in other currencies are converted at current rates. Set
+// AML_RULES_PATH to a JSON file with the same shape to replace them.
+//
+// Rule types (see src/services/amlMonitoring.js):
+//   count            - at least `threshold` transfers within `window`,
+//                      optionally only those between minAmount and maxAmount
+//   sum              - total sent within `window` reaches `threshold`
+//   distinct_senders - at least `threshold` different senders paid the same
+//                      recipient (matched by name and country) within `window`
+//   new_corridor     - a sender with at least `minHistory` transfers in
+//                      `window` uses a corridor they have never used before
+const defaults = [
+  {
+    id: 'structuring',
+    description: 'Several transfers just under the review threshold within 24 hours',
+    type: 'count',
+    severity: 'high',
+    window: '24 hours',
+    currency: 'USD',
+    minAmount: 2500,
+    maxAmount: 3000,
+    threshold: 3
+  },
+  {
+    id: 'rapid_burst',
+    description: 'Many transfers in a short period',
+    type: 'count',
+    severity: 'medium',
+    window: '1 hour',
+    threshold: 5
+  },
+  {
+    id: 'daily_volume',
+    description: 'High total volume within 24 hours',
+    type: 'sum',
+    severity: 'medium',
+    window: '24 hours',
+    currency: 'USD',
+    threshold: 9000
+  },
+  {
+    id: 'fan_in',
+    description: 'Many senders paying the same recipient',
+    type: 'distinct_senders',
+    severity: 'high',
+    window: '7 days',
+    threshold: 4
+  },
+  {
+    id: 'corridor_change',
+    description: 'Established sender switches to a corridor never used before',
+    type: 'new_corridor',
+    severity: 'low',
+    window: '90 days',
+    minHistory: 5
+  }
+];
+
+function loadRules() {
+  if (!process.env.AML_RULES_PATH) {
+    return defaults;
+  }
+
+  return JSON.parse(fs.readFileSync(process.env.AML_RULES_PATH, 'utf8'));
+}
+
+module.exports = loadRules();
@@ -0,0 +1,27 @@
+// Currencies we quote and the corridors we promote. Rate snapshots are taken
+// for every corridor listed here (see src/services/rateHistory.js).
+module.exports = {
+  supported: [
+    { code: 'USD', name: 'US Dollar', symbol: '$', flag: '🇺🇸' },
+    { code: 'MXN', name: 'Mexican Peso', symbol: '$', flag: '🇲🇽' },
+    { code: 'PHP', name: 'Philippine Peso', symbol: '₱', flag: '🇵🇭' },
+    { code: 'INR', name: 'Indian Rupee', symbol: '₹', flag: '🇮🇳' },
+    { code: 'NGN', name: 'Nigerian Naira', symbol: '₦', flag: '🇳🇬' },
+    { code: 'EUR', name: 'Euro', symbol: '€', flag: '🇪🇺' },
+    { code: 'GBP', name: 'British Pound', symbol: '£', flag: '🇬🇧' },
+    { code: 'CAD', name: 'Canadian Dollar', symbol: '$', flag: '🇨🇦' },
+    { code: 'AUD', name: 'Australian Dollar', symbol: '$', flag: '🇦🇺' },
+    { code: 'JPY', name: 'Japanese Yen', symbol: '¥', flag: '🇯🇵' }
+  ],
+
+  corridors: [
+    { from: 'USD', to: 'MXN', name: 'USA → Mexico', volume: 'high', flag: '🇺🇸→🇲🇽' },
+    { from: 'USD', to: 'PHP', name: 'USA → Philippines', volume: 'high', flag: '🇺🇸→🇵🇭' },
+    { from: 'USD', to: 'INR', name: 'USA → India', volume: 'high', flag: '🇺🇸→🇮🇳' },
+    { from: 'USD', to: 'NGN', name: 'USA → Nigeria', volume: 'medium', flag: '🇺🇸→🇳🇬' },
+    { from: 'GBP', to: 'INR', name: 'UK → India', volume: 'medium', flag: '🇬🇧→🇮🇳' },
+    { from: 'EUR', to: 'USD', name: 'Europe → USA', volume: 'high', flag: '🇪🇺→🇺🇸' },
+    { from: 'CAD', to: 'PHP', name: 'Canada → Philippines', volume: 'medium', flag: '🇨🇦→🇵🇭' },
+    { from: 'AUD', to: 'PHP', name: 'Australia → Philippines', volume: 'medium', flag: '🇦🇺→🇵🇭' }
+  ]
+};
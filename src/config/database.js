@@ -13,4 +13,20 @@ pool.on('error', (err) => {
   console.error('❌ Unexpected database error:', err);
 });
 
-module.exports = pool;
\ No newline at end of file
+// Run fn(client) inside BEGIN/COMMIT, rolling back if it throws
+pool.withTransaction = async (fn) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+module.exports = pool;
@@ -0,0 +1,49 @@
+const fs = require('fs');
+const path = require('path');
+
+// Exchange rate providers. Set EXCHANGE_RATE_CONFIG_PATH to a JSON file with
+// the same shape to override.
+//
+// providers: tried in order until one returns a rate table for baseCurrency;
+// adapters live in src/services/exchangeRate/. Every other pair is derived
+// from that table.
+// cacheSeconds: how long a fetched table is reused before asking again
+// refreshSeconds: how often the table is refreshed in the background, so
+// requests rarely wait on a provider
+// maxAgeSeconds: older rates are still shown, but quotes and transfers are
+// refused. Measured from the provider's own update time; both default feeds
+// publish daily, hence 25 hours.
+const defaults = {
+  providers: [
+    {
+      name: 'exchangerate_api',
+      adapter: 'exchangerate_api',
+      options: { apiKey: process.env.EXCHANGE_RATE_API_KEY }
+    },
+    {
+      name: 'open_er_api',
+      adapter: 'open_er_api',
+      options: {}
+    },
+    {
+      name: 'static_file',
+      adapter: 'static_file',
+      options: { path: process.env.EXCHANGE_RATES_STATIC_PATH || path.join(__dirname, 'staticRates.json') }
+    }
+  ],
+  baseCurrency: process.env.EXCHANGE_RATE_BASE || 'USD',
+  timeoutMs: parseInt(process.env.RATE_PROVIDER_TIMEOUT_MS) || 5000,
+  cacheSeconds: parseInt(process.env.RATE_CACHE_SECONDS) || 60,
+  refreshSeconds: parseInt(process.env.RATE_REFRESH_SECONDS) || 45,
+  maxAgeSeconds: parseInt(process.env.RATE_MAX_AGE_SECONDS) || 25 * 3600
+};
+
+function loadConfig() {
+  if (!process.env.EXCHANGE_RATE_CONFIG_PATH) {
+    return defaults;
+  }
+
+  return JSON.parse(fs.readFileSync(process.env.EXCHANGE_RATE_CONFIG_PATH, 'utf8'));
+}
+
+module.exports = loadConfig();
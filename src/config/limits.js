@@ -0,0 +1,33 @@
+const fs = require('fs');
+
+// Transfer caps, denominated in `currency`. Set LIMITS_CONFIG_PATH to a JSON
+// file with the same shape to override them.
+const defaults = {
+  currency: 'USD',
+  minimumAmount: 10,
+
+  // Caps by users.verification_tier
+  tiers: {
+    unverified: { perTransaction: 0, daily: 0, weekly: 0, monthly: 0 },
+    basic: { perTransaction: 1000, daily: 2000, weekly: 5000, monthly: 10000 },
+    full: { perTransaction: 10000, daily: 25000, weekly: 50000, monthly: 100000 }
+  },
+
+  // Extra caps for a FROM_TO corridor, by tier, counted against that corridor only
+  corridors: {
+    USD_NGN: {
+      basic: { perTransaction: 500, daily: 1000, weekly: 2500, monthly: 5000 },
+      full: { perTransaction: 5000, daily: 10000, weekly: 25000, monthly: 50000 }
+    }
+  }
+};
+
+function loadLimits() {
+  if (!process.env.LIMITS_CONFIG_PATH) {
+    return defaults;
+  }
+
+  return JSON.parse(fs.readFileSync(process.env.LIMITS_CONFIG_PATH, 'utf8'));
+}
+
+module.exports = loadLimits();
@@ -0,0 +1,59 @@
+const fs = require('fs');
+
+// Payment providers and how transfers are routed to them. Set
+// PAYMENT_PROVIDERS_CONFIG_PATH to a JSON file with the same shape to override.
+//
+// providers: name -> { adapter, options }, adapters live in src/services/payment/
+// collection, payout: rules tried in order. A rule matches when every field it
+// sets (methodType, fromCurrency, toCurrency, country, payoutType) equals the
+// transfer's; the first match picks the provider.
+const defaults = {
+  providers: {
+    sandbox_collect: {
+      adapter: 'sandbox',
+      options: {
+        delayMs: 1000,
+        declineRate: parseFloat(process.env.SANDBOX_DECLINE_RATE) || 0
+      }
+    },
+    sandbox_bank: {
+      adapter: 'sandbox',
+      options: {
+        delayMs: 2000,
+        payoutMethod: 'bank_transfer',
+        estimatedArrival: '1-2 business days',
+        failureRate: parseFloat(process.env.SANDBOX_PAYOUT_FAILURE_RATE) || 0,
+        returnRate: parseFloat(process.env.SANDBOX_PAYOUT_RETURN_RATE) || 0,
+        settleAfterMs: parseInt(process.env.SANDBOX_PAYOUT_SETTLE_MS) || 0
+      }
+    },
+    sandbox_cash: {
+      adapter: 'sandbox',
+      options: {
+        delayMs: 2000,
+        payoutMethod: 'cash_pickup',
+        estimatedArrival: 'Available now',
+        failureRate: parseFloat(process.env.SANDBOX_PAYOUT_FAILURE_RATE) || 0
+      }
+    }
+  },
+
+  collection: [
+    { provider: 'sandbox_collect' }
+  ],
+
+  payout: [
+    { payoutType: 'bank', provider: 'sandbox_bank' },
+    { payoutType: 'cash_pickup', provider: 'sandbox_cash' }
+  ]
+};
+
+function loadProviders() {
+  if (!process.env.PAYMENT_PROVIDERS_CONFIG_PATH) {
+    return defaults;
+  }
+
+  return JSON.parse(fs.readFileSync(process.env.PAYMENT_PROVIDERS_CONFIG_PATH, 'utf8'));
+}
+
+module.exports = loadProviders();
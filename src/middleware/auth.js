@@ -1,4 +1,6 @@
 const jwt = require('jsonwebtoken');
+const db = require('../config/database');
+const sessionService = require('../services/session');
 
 function authenticateToken(req, res, next) {
   const authHeader = req.headers['authorization'];
@@ -8,14 +10,50 @@ function authenticateToken(req, res, next) {
     return res.status(401).json({ error: 'Access token required' });
   }
 
-  jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
+  jwt.verify(token, process.env.JWT_SECRET, async (err, user) => {
     if (err) {
       return res.status(403).json({ error: 'Invalid or expired token' });
     }
+
+    try {
+      // Tokens issued before sessions existed cannot be revoked, so refuse them
+      if (!user.sessionId || !(await sessionService.isActive(user.sessionId))) {
+        return res.status(401).json({ error: 'Session has been revoked, please log in again' });
+      }
+    } catch (error) {
+      console.error('Session check error:', error);
+      return res.status(500).json({ error: 'Failed to verify session' });
+    }
     
     req.user = user;
     next();
   });
 }
 
-module.exports = { authenticateToken };
\ No newline at end of file
+// For EventSource clients, which cannot send headers: accepts the access
+// token as ?access_token=. Use before authenticateToken, on stream routes only.
+function allowQueryToken(req, res, next) {
+  if (!req.headers['authorization'] && req.query.access_token) {
+    req.headers['authorization'] = `Bearer ${req.query.access_token}`;
+  }
+  next();
+}
+
+// Use after authenticateToken. The role is read from the database so a
+// demotion takes effect immediately.
+async function requireAdmin(req, res, next) {
+  try {
+    const result = await db.query('SELECT role FROM users WHERE id = $1', [req.user.userId]);
+
+    if (result.rows.length === 0 || result.rows[0].role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    next();
+  } catch (error) {
+    console.error('Admin check error:', error);
+    res.status(500).json({ error: 'Failed to verify permissions' });
+  }
+}
+
+module.exports = { authenticateToken, allowQueryToken, requireAdmin };
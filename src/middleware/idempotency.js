@@ -0,0 +1,105 @@
+const crypto = require('crypto');
+const db = require('../config/database');
+
+const TTL_HOURS = parseFloat(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || 24;
+
+// Replays the stored response when a client retries with the same
+// Idempotency-Key. Must run after authenticateToken: keys are scoped per user.
+async function idempotency(req, res, next) {
+  const key = req.get('Idempotency-Key');
+
+  if (!key) {
+    return next();
+  }
+
+  if (key.length > 255) {
+    return res.status(400).json({ error: 'Idempotency-Key must be at most 255 characters' });
+  }
+
+  try {
+    const userId = req.user.userId;
+    const requestHash = crypto
+      .createHash('sha256')
+      .update(JSON.stringify({ method: req.method, path: req.originalUrl, body: req.body }))
+      .digest('hex');
+
+    // An expired key may be reused for a new request
+    await db.query(
+      'DELETE FROM idempotency_keys WHERE user_id = $1 AND idempotency_key = $2 AND expires_at <= NOW()',
+      [userId, key]
+    );
+
+    const inserted = await db.query(
+      `INSERT INTO idempotency_keys (user_id, idempotency_key, request_hash, expires_at)
+       VALUES ($1, $2, $3, NOW() + make_interval(secs => $4))
+       ON CONFLICT (user_id, idempotency_key) DO NOTHING
+       RETURNING user_id`,
+      [userId, key, requestHash, TTL_HOURS * 3600]
+    );
+
+    if (inserted.rows.length === 0) {
+      const existing = await db.query(
+        `SELECT request_hash, response_status, response_body
+         FROM idempotency_keys WHERE user_id = $1 AND idempotency_key = $2`,
+        [userId, key]
+      );
+      const record = existing.rows[0];
+
+      if (!record || record.request_hash !== requestHash) {
+        return res.status(409).json({ error: 'Idempotency-Key was already used with a different request' });
+      }
+
+      if (record.response_status === null) {
+        return res.status(409).json({ error: 'A request with this Idempotency-Key is still being processed' });
+      }
+
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(record.response_status).json(record.response_body);
+    }
+
+    const release = () => db.query(
+      'DELETE FROM idempotency_keys WHERE user_id = $1 AND idempotency_key = $2',
+      [userId, key]
+    );
+
+    // Store the first response before sending it, so a retry can never see
+    // a half-recorded key. Server errors release the key for another attempt.
+    let settled = false;
+    const sendJson = res.json.bind(res);
+    res.json = (body) => {
+      if (settled) return sendJson(body);
+      settled = true;
+
+      const save = res.statusCode >= 500
+        ? release()
+        : db.query(
+            `UPDATE idempotency_keys SET response_status = $1, response_body = $2
+             WHERE user_id = $3 AND idempotency_key = $4`,
+            [res.statusCode, JSON.stringify(body), userId, key]
+          );
+
+      save
+        .catch(error => console.error('Idempotency key save error:', error))
+        .finally(() => sendJson(body));
+
+      return res;
+    };
+
+    // A response sent some other way can't be replayed, so it must not leave
+    // the key reserved until it expires. A client that goes away mid-request
+    // keeps the reservation: the handler still runs and stores its response
+    // for the retry.
+    res.on('finish', () => {
+      if (settled) return;
+      settled = true;
+      release().catch(error => console.error('Idempotency key release error:', error));
+    });
+
+    next();
+  } catch (error) {
+    console.error('Idempotency check error:', error);
+    res.status(500).json({ error: 'Failed to process Idempotency-Key' });
+  }
+}
+
+module.exports = { idempotency };
@@ -0,0 +1,427 @@
+const express = require('express');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const db = require('../config/database');
+const kycService = require('../services/kyc');
+const screeningService = require('../services/screening');
+const transactionProcessor = require('../services/transactionProcessor');
+const amlMonitoring = require('../services/amlMonitoring');
+const reconciliationService = require('../services/reconciliation');
+const refundService = require('../services/refund');
+const accountingService = require('../services/accounting');
+
+const router = express.Router();
+
+// Every admin route requires an authenticated admin
+router.use(authenticateToken, requireAdmin);
+
+// ============================================
+// ROUTE 1: List KYC Submissions
+// ============================================
+router.get('/kyc/submissions', async (req, res) => {
+  try {
+    const { status = 'pending', limit = 50, offset = 0 } = req.query;
+
+    const submissions = await kycService.listSubmissions({ status, limit, offset });
+
+    res.json({ submissions, count: submissions.length });
+  } catch (error) {
+    console.error('List KYC submissions error:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch KYC submissions',
+      message: error.message 
+    });
+  }
+});
+
+// ============================================
+// ROUTE 2: Get KYC Submission
+// ============================================
+router.get('/kyc/submissions/:id', async (req, res) => {
+  try {
+    res.json(await kycService.getSubmission(req.params.id));
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    console.error('Get KYC submission error:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch KYC submission',
+      message: error.message 
+    });
+  }
+});
+
+// ============================================
+// ROUTE 3: Download KYC Document
+// ============================================
+router.get('/kyc/documents/:id', async (req, res) => {
+  try {
+    const document = await kycService.getDocument(req.params.id);
+
+    res.set('Content-Type', document.mimeType);
+    res.set('Content-Disposition', `inline; filename="document-${req.params.id}"`);
+    res.send(document.content);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    console.error('Get KYC document error:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch document',
+      message: error.message 
+    });
+  }
+});
+
+// ============================================
+// ROUTE 4: Approve KYC Submission
+// ============================================
+router.post('/kyc/submissions/:id/approve', async (req, res) => {
+  try {
+    const submission = await kycService.approve(req.params.id, req.user.userId, req.body.notes);
+
+    res.json({ message: 'Submission approved', submission });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    console.error('Approve KYC submission error:', error);
+    res.status(500).json({ 
+      error: 'Failed to approve submission',
+      message: error.message 
+    });
+  }
+});
+
+// ============================================
+// ROUTE 5: Reject KYC Submission
+// ============================================
+router.post('/kyc/submissions/:id/reject', async (req, res) => {
+  try {
+    const submission = await kycService.reject(req.params.id, req.user.userId, req.body.reason);
+
+    res.json({ message: 'Submission rejected', submission });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    console.error('Reject KYC submission error:', error);
+    res.status(500).json({ 
+      error: 'Failed to reject submission',
+      message: error.message 
+    });
+  }
+});
+
+// ============================================
+// ROUTE 6: List Screening Results
+// ============================================
+router.get('/screening/results', async (req, res) => {
+  try {
+    const { status = 'hit', limit = 50, offset = 0 } = req.query;
+
+    const results = await screeningService.listResults({ status, limit, offset });
+
+    res.json({ results, count: results.length });
+  } catch (error) {
+    console.error('List screening results error:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch screening results',
+      message: error.message 
+    });
+  }
+});
+
+// ============================================
+// ROUTE 7: Review Screening Hit
+// ============================================
+router.post('/screening/results/:id/:decision(confirm|dismiss)', async (req, res) => {
+  try {
+    const decision = req.params.decision === 'confirm' ? 'confirmed' : 'dismissed';
+    const result = await screeningService.reviewResult(req.params.id, req.user.userId, decision, req.body.notes);
+
+    res.json({ message: `Screening hit ${decision}`, result });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    console.error('Review screening result error:', error);
+    res.status(500).json({ 
+      error: 'Failed to review screening result',
+      message: error.message 
+    });
+  }
+});
+
+// ============================================
+// ROUTE 8: List Held Transactions
+// ============================================
+router.get('/transactions/held', async (req, res) => {
+  try {
+    const result = await db.query(
+      `SELECT t.id, t.sender_id, t.recipient_id, t.amount_sent, t.currency_sent,
+              t.currency_received, t.created_at,
+              u.email AS sender_email, u.screening_status AS sender_screening_status,
+              r.name AS recipient_name, r.screening_status AS recipient_screening_status
+       FROM transactions t
+       JOIN users u ON t.sender_id = u.id
+       JOIN recipients r ON t.recipient_id = r.id
+       WHERE t.status = 'held'
+       ORDER BY t.created_at`
+    );
+
+    res.json({ transactions: result.rows, count: result.rows.length });
+  } catch (error) {
+    console.error('List held transactions error:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch held transactions',
+      message: error.message 
+    });
+  }
+});
+
+// ============================================
+// ROUTE 9: Release Held Transaction
+// ============================================
+router.post('/transactions/:id/release', async (req, res) => {
+  try {
+    await transactionProcessor.releaseHeld(req.params.id, req.user.userId);
+
+    res.json({ message: 'Transaction released for processing', transactionId: req.params.id });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    console.error('Release transaction error:', error);
+    res.status(500).json({ 
+      error: 'Failed to release transaction',
+      message: error.message 
+    });
+  }
+});
+
+// ============================================
+// ROUTE 10: Reject Held Transaction
+// ============================================
+router.post('/transactions/:id/reject', async (req, res) => {
+  try {
+    await transactionProcessor.rejectHeld(req.params.id, req.user.userId, req.body.reason);
+
+    res.json({ message: 'Transaction rejected', transactionId: req.params.id });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    console.error('Reject transaction error:', error);
+    res.status(500).json({ 
+      error: 'Failed to reject transaction',
+      message: error.message 
+    });
+  }
+});
+
+// ============================================
+// ROUTE 11: List AML Rules
+// ============================================
+router.get('/aml/rules', (req, res) => {
+  res.json({ rules: amlMonitoring.rules, count: amlMonitoring.rules.length });
+});
+
+// ============================================
+// ROUTE 12: List AML Alerts
+// ============================================
+router.get('/aml/alerts', async (req, res) => {
+  try {
+    const { status, severity, assignedTo, limit = 50, offset = 0 } = req.query;
+
+    const alerts = await amlMonitoring.listAlerts({ status, severity, assignedTo, limit, offset });
+
+    res.json({ alerts, count: alerts.length });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    console.error('List AML alerts error:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch AML alerts',
+      message: error.message 
+    });
+  }
+});
+
+// ============================================
+// ROUTE 13: Get AML Alert
+// ============================================
+router.get('/aml/alerts/:id', async (req, res) => {
+  try {
+    res.json(await amlMonitoring.getAlert(req.params.id));
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    console.error('Get AML alert error:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch AML alert',
+      message: error.message 
+    });
+  }
+});
+
+// ============================================
+// ROUTE 14: Assign AML Alert
+// ============================================
+router.post('/aml/alerts/:id/assign', async (req, res) => {
+  try {
+    const assigneeId = req.body.assigneeId || req.user.userId;
+    const alert = await amlMonitoring.assignAlert(req.params.id, assigneeId);
+
+    res.json({ message: 'Alert assigned', alert });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    console.error('Assign AML alert error:', error);
+    res.status(500).json({ 
+      error: 'Failed to assign AML alert',
+      message: error.message 
+    });
+  }
+});
+
+// ============================================
+// ROUTE 15: Resolve AML Alert
+// ============================================
+router.post('/aml/alerts/:id/resolve', async (req, res) => {
+  try {
+    const { resolution, notes } = req.body;
+    const alert = await amlMonitoring.resolveAlert(req.params.id, req.user.userId, resolution, notes);
+
+    res.json({ message: 'Alert resolved', alert });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    console.error('Resolve AML alert error:', error);
+    res.status(500).json({ 
+      error: 'Failed to resolve AML alert',
+      message: error.message 
+    });
+  }
+});
+
+// ============================================
+// ROUTE 16: Daily Reconciliation Report
+// ============================================
+router.get('/reconciliation/report', async (req, res) => {
+  try {
+    const date = req.query.date || new Date().toISOString().slice(0, 10);
+
+    res.json(await reconciliationService.getDailyReport(date));
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    console.error('Reconciliation report error:', error);
+    res.status(500).json({ 
+      error: 'Failed to build reconciliation report',
+      message: error.message 
+    });
+  }
+});
+
+// ============================================
+// ROUTE 17: Refund Transaction
+// ============================================
+router.post('/transactions/:id/refund', async (req, res) => {
+  try {
+    const { reason } = req.body;
+    if (!reason) {
+      return res.status(400).json({ error: 'A reason is required' });
+    }
+
+    const refund = await refundService.request(req.params.id, { reason, adminId: req.user.userId });
+
+    res.status(202).json({ message: 'Refund queued', refund: refundService.format(refund) });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    console.error('Refund transaction error:', error);
+    res.status(500).json({ 
+      error: 'Failed to refund transaction',
+      message: error.message 
+    });
+  }
+});
+
+// ============================================
+// ROUTE 18: List Refunds
+// ============================================
+router.get('/refunds', async (req, res) => {
+  try {
+    const { status, limit = 50, offset = 0 } = req.query;
+
+    res.json({ refunds: await refundService.list({ status, limit, offset }) });
+  } catch (error) {
+    console.error('List refunds error:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch refunds',
+      message: error.message 
+    });
+  }
+});
+
+// ============================================
+// ROUTE 19: Trial Balance
+// ============================================
+router.get('/accounting/trial-balance', async (req, res) => {
+  try {
+    res.json(await accountingService.getTrialBalance());
+  } catch (error) {
+    console.error('Trial balance error:', error);
+    res.status(500).json({ 
+      error: 'Failed to build trial balance',
+      message: error.message 
+    });
+  }
+});
+
+// ============================================
+// ROUTE 20: Account Statement
+// ============================================
+router.get('/accounting/accounts/:code/:currency/statement', async (req, res) => {
+  try {
+    const { from, to, limit } = req.query;
+
+    res.json(await accountingService.getStatement(
+      req.params.code,
+      req.params.currency.toUpperCase(),
+      { from, to, limit }
+    ));
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    console.error('Account statement error:', error);
+    res.status(500).json({ 
+      error: 'Failed to build account statement',
+      message: error.message 
+    });
+  }
+});
+
+module.exports = router;
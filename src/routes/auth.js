@@ -1,7 +1,10 @@
 const express = require('express');
 const bcrypt = require('bcrypt');
-const jwt = require('jsonwebtoken');
 const db = require('../config/database');
+const { authenticateToken } = require('../middleware/auth');
+const sessionService = require('../services/session');
+const twoFactorService = require('../services/twoFactor');
+const screeningService = require('../services/screening');
 
 const router = express.Router();
 
@@ -33,15 +36,18 @@ router.post('/register', async (req, res) => {
 
     const user = result.rows[0];
 
-    const token = jwt.sign(
-      { userId: user.id, email: user.email },
-      process.env.JWT_SECRET,
-      { expiresIn: '7d' }
-    );
+    // A hit does not block sign-up; the user's transfers are held for review
+    try {
+      await screeningService.screenUser(user.id);
+    } catch (screeningError) {
+      console.error('Registration screening error:', screeningError);
+    }
+
+    const tokens = await sessionService.createSession(user);
 
     res.status(201).json({
       message: 'User created successfully',
-      token,
+      ...tokens,
       user: {
         id: user.id,
         email: user.email,
@@ -65,7 +71,7 @@ router.post('/login', async (req, res) => {
     }
 
     const result = await db.query(
-      `SELECT id, email, password_hash, first_name, last_name, country
+      `SELECT id, email, password_hash, first_name, last_name, country, totp_enabled
        FROM users WHERE email = $1`,
       [email]
     );
@@ -81,15 +87,20 @@ router.post('/login', async (req, res) => {
       return res.status(401).json({ error: 'Invalid credentials' });
     }
 
-    const token = jwt.sign(
-      { userId: user.id, email: user.email },
-      process.env.JWT_SECRET,
-      { expiresIn: '7d' }
-    );
+    // Second step happens at /login/verify
+    if (user.totp_enabled) {
+      return res.json({
+        message: 'Two-factor authentication required',
+        twoFactorRequired: true,
+        challengeToken: twoFactorService.createChallenge(user.id)
+      });
+    }
+
+    const tokens = await sessionService.createSession(user);
 
     res.json({
       message: 'Login successful',
-      token,
+      ...tokens,
       user: {
         id: user.id,
         email: user.email,
@@ -104,4 +115,149 @@ router.post('/login', async (req, res) => {
   }
 });
 
+router.post('/login/verify', async (req, res) => {
+  try {
+    const { challengeToken, code } = req.body;
+
+    if (!challengeToken || !code) {
+      return res.status(400).json({ error: 'Challenge token and code required' });
+    }
+
+    const userId = await twoFactorService.verifyLogin(challengeToken, code);
+
+    const result = await db.query(
+      'SELECT id, email, first_name, last_name, country FROM users WHERE id = $1',
+      [userId]
+    );
+    const user = result.rows[0];
+
+    const tokens = await sessionService.createSession(user);
+
+    res.json({
+      message: 'Login successful',
+      ...tokens,
+      user: {
+        id: user.id,
+        email: user.email,
+        firstName: user.first_name,
+        lastName: user.last_name,
+        country: user.country,
+      },
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    console.error('Two-factor login error:', error);
+    res.status(500).json({ error: 'Login failed' });
+  }
+});
+
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({ error: 'Refresh token required' });
+    }
+
+    const tokens = await sessionService.refresh(refreshToken);
+
+    res.json(tokens);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    console.error('Token refresh error:', error);
+    res.status(500).json({ error: 'Token refresh failed' });
+  }
+});
+
+router.post('/logout', authenticateToken, async (req, res) => {
+  try {
+    await sessionService.revokeSession(req.user.sessionId, 'logout');
+
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ error: 'Logout failed' });
+  }
+});
+
+router.post('/2fa/setup', authenticateToken, async (req, res) => {
+  try {
+    const setup = await twoFactorService.setup(req.user.userId);
+
+    res.json({
+      message: 'Scan the secret with your authenticator app, then confirm with /2fa/verify',
+      ...setup
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({ error: 'Two-factor setup failed' });
+  }
+});
+
+router.post('/2fa/verify', authenticateToken, async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({ error: 'Verification code required' });
+    }
+
+    const { backupCodes } = await twoFactorService.enable(req.user.userId, code);
+
+    res.json({
+      message: 'Two-factor authentication enabled. Store these backup codes somewhere safe.',
+      backupCodes
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    console.error('Two-factor verify error:', error);
+    res.status(500).json({ error: 'Two-factor verification failed' });
+  }
+});
+
+router.post('/2fa/disable', authenticateToken, async (req, res) => {
+  try {
+    const { password, code } = req.body;
+
+    if (!password || !code) {
+      return res.status(400).json({ error: 'Password and verification code required' });
+    }
+
+    const result = await db.query(
+      'SELECT password_hash FROM users WHERE id = $1',
+      [req.user.userId]
+    );
+
+    const validPassword = result.rows.length > 0 &&
+      await bcrypt.compare(password, result.rows[0].password_hash);
+    if (!validPassword) {
+      return res.status(401).json({ error: 'Invalid credentials' });
+    }
+
+    await twoFactorService.disable(req.user.userId, code);
+
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    console.error('Two-factor disable error:', error);
+    res.status(500).json({ error: 'Failed to disable two-factor authentication' });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -1,5 +1,10 @@
 const express = require('express');
 const exchangeRateService = require('../services/exchangeRate');
+const quoteService = require('../services/quote');
+const pricingService = require('../services/pricing');
+const rateHistoryService = require('../services/rateHistory');
+const rateAlertService = require('../services/rateAlerts');
+const currencies = require('../config/currencies');
 const { authenticateToken } = require('../middleware/auth');
 
 const router = express.Router();
@@ -31,10 +36,16 @@ router.get('/:from/:to', async (req, res) => {
       rate: rate.rate,
       timestamp: rate.timestamp,
       source: rate.source,
-      mock: rate.mock || false
+      ageSeconds: rate.ageSeconds,
+      stale: rate.stale,
+      mock: rate.mock
     });
 
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
     console.error('Exchange rate error:', error);
     res.status(500).json({ 
       error: 'Failed to fetch exchange rate',
@@ -78,8 +89,10 @@ router.post('/batch', async (req, res) => {
       }
     }
 
-    // Get all rates
-    const rates = await exchangeRateService.getBatchRates(pairs);
+    // All pairs come from one rate table
+    const rates = await exchangeRateService.getBatchRates(
+      pairs.map(pair => ({ from: pair.from.toUpperCase(), to: pair.to.toUpperCase() }))
+    );
 
     res.json({ 
       rates,
@@ -88,6 +101,10 @@ router.post('/batch', async (req, res) => {
     });
 
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
     console.error('Batch exchange rate error:', error);
     res.status(500).json({ 
       error: 'Failed to fetch exchange rates',
@@ -101,18 +118,7 @@ router.post('/batch', async (req, res) => {
 // ============================================
 router.get('/currencies/supported', (req, res) => {
   try {
-    const supportedCurrencies = [
-      { code: 'USD', name: 'US Dollar', symbol: '$', flag: '🇺🇸' },
-      { code: 'MXN', name: 'Mexican Peso', symbol: '$', flag: '🇲🇽' },
-      { code: 'PHP', name: 'Philippine Peso', symbol: '₱', flag: '🇵🇭' },
-      { code: 'INR', name: 'Indian Rupee', symbol: '₹', flag: '🇮🇳' },
-      { code: 'NGN', name: 'Nigerian Naira', symbol: '₦', flag: '🇳🇬' },
-      { code: 'EUR', name: 'Euro', symbol: '€', flag: '🇪🇺' },
-      { code: 'GBP', name: 'British Pound', symbol: '£', flag: '🇬🇧' },
-      { code: 'CAD', name: 'Canadian Dollar', symbol: '$', flag: '🇨🇦' },
-      { code: 'AUD', name: 'Australian Dollar', symbol: '$', flag: '🇦🇺' },
-      { code: 'JPY', name: 'Japanese Yen', symbol: '¥', flag: '🇯🇵' }
-    ];
+    const supportedCurrencies = currencies.supported;
 
     res.json({ 
       currencies: supportedCurrencies,
@@ -132,42 +138,56 @@ router.get('/currencies/supported', (req, res) => {
 // ============================================
 router.post('/calculate', async (req, res) => {
   try {
-    const { amount, fromCurrency, toCurrency, includesFee = true } = req.body;
+    const { fromCurrency, toCurrency, payoutType = null, includesFee = true } = req.body;
+    const amount = parseFloat(req.body.amount);
 
     // Validate input
-    if (!amount || !fromCurrency || !toCurrency) {
+    if (!req.body.amount || !fromCurrency || !toCurrency) {
       return res.status(400).json({ 
         error: 'Missing required fields: amount, fromCurrency, toCurrency' 
       });
     }
 
-    if (amount <= 0) {
+    if (!Number.isFinite(amount) || amount <= 0) {
       return res.status(400).json({ 
         error: 'Amount must be greater than 0' 
       });
     }
 
+    if (amount > pricingService.maxAmount) {
+      return res.status(400).json({ 
+        error: `Amount must be at most ${pricingService.maxAmount}` 
+      });
+    }
+
     // Get exchange rate
-    const rateData = await exchangeRateService.getRate(
+    const rateData = await exchangeRateService.getTransactableRate(
       fromCurrency.toUpperCase(), 
       toCurrency.toUpperCase()
     );
 
-    // Calculate with SwiftBase fees
-    const feePercent = 0.01; // 1%
-    const spread = 0.003; // 0.3%
-    
-    const fee = amount * feePercent;
-    const amountAfterFee = amount - fee;
-    const exchangeRate = rateData.rate * (1 - spread);
-    const amountReceived = amountAfterFee * exchangeRate;
+    // Calculate with SwiftBase fees and lock the price as a quote
+    const quote = await quoteService.createQuote({
+      amount,
+      fromCurrency: fromCurrency.toUpperCase(),
+      toCurrency: toCurrency.toUpperCase(),
+      routeType: 'xrpl_direct',
+      payoutType,
+      midMarketRate: rateData.rate
+    });
+
+    const { fee, exchangeRate, amountReceived } = quote;
 
     // Calculate traditional service comparison
-    const traditionalFee = amount * 0.05 + 5; // 5% + $5
-    const traditionalRate = rateData.rate * 0.97; // 3% markup
-    const traditionalReceived = (amount - traditionalFee) * traditionalRate;
+    const traditional = pricingService.baseline(await pricingService.benchmarks({
+      amount,
+      fromCurrency: fromCurrency.toUpperCase(),
+      toCurrency: toCurrency.toUpperCase(),
+      payoutType,
+      midMarketRate: rateData.rate
+    }));
 
-    const savings = amountReceived - traditionalReceived;
+    const savings = traditional && amountReceived - traditional.amountReceived;
 
     res.json({
       input: {
@@ -179,24 +199,33 @@ router.post('/calculate', async (req, res) => {
         currency: toCurrency.toUpperCase(),
         fee: parseFloat(fee.toFixed(2)),
         exchangeRate: parseFloat(exchangeRate.toFixed(6)),
-        estimatedTime: '5-10 minutes'
+        estimatedTime: quote.estimatedTime,
+        promo: quote.promo,
+        quoteId: quote.id,
+        quoteExpiresAt: quote.expiresAt
       },
-      traditional: {
-        amountReceived: parseFloat(traditionalReceived.toFixed(2)),
+      traditional: traditional && {
+        provider: traditional.provider,
+        amountReceived: parseFloat(traditional.amountReceived.toFixed(2)),
         currency: toCurrency.toUpperCase(),
-        fee: parseFloat(traditionalFee.toFixed(2)),
-        exchangeRate: parseFloat(traditionalRate.toFixed(6)),
-        estimatedTime: '1-3 days'
+        fee: parseFloat(traditional.fee.toFixed(2)),
+        exchangeRate: parseFloat(traditional.exchangeRate.toFixed(6)),
+        estimatedTime: traditional.estimatedTime
       },
-      savings: {
+      savings: traditional && {
         amount: parseFloat(savings.toFixed(2)),
-        percent: parseFloat(((savings / traditionalReceived) * 100).toFixed(2))
+        percent: parseFloat(((savings / traditional.amountReceived) * 100).toFixed(2))
       },
       midMarketRate: rateData.rate,
+      rateSource: rateData.source,
       timestamp: Date.now()
     });
 
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
     console.error('Calculate error:', error);
     res.status(500).json({ 
       error: 'Failed to calculate transfer amount',
@@ -206,12 +235,12 @@ router.post('/calculate', async (req, res) => {
 });
 
 // ============================================
-// ROUTE 5: Get Historical Rates (Mock for Hackathon)
+// ROUTE 5: Get Historical Rates
 // ============================================
 router.get('/:from/:to/history', async (req, res) => {
   try {
     const { from, to } = req.params;
-    const { days = 7 } = req.query;
+    const { days = 7, interval = 'day', format = 'json' } = req.query;
 
     // Validate
     if (from.length !== 3 || to.length !== 3) {
@@ -220,7 +249,8 @@ router.get('/:from/:to/history', async (req, res) => {
       });
     }
 
-    if (days < 1 || days > 365) {
+    const dayCount = parseInt(days);
+    if (!(dayCount >= 1 && dayCount <= 365)) {
       return res.status(400).json({ 
         error: 'Days must be between 1 and 365' 
       });
@@ -229,36 +259,33 @@ router.get('/:from/:to/history', async (req, res) => {
     const fromCurrency = from.toUpperCase();
     const toCurrency = to.toUpperCase();
 
-    // Get current rate
-    const currentRate = await exchangeRateService.getRate(fromCurrency, toCurrency);
+    const history = await rateHistoryService.getHistory(fromCurrency, toCurrency, {
+      interval,
+      days: dayCount
+    });
 
-    // Generate mock historical data
-    const history = [];
-    const now = Date.now();
-    const oneDayMs = 24 * 60 * 60 * 1000;
-
-    for (let i = parseInt(days) - 1; i >= 0; i--) {
-      const date = new Date(now - (i * oneDayMs));
-      // Add some random variance to make it look realistic
-      const variance = (Math.random() - 0.5) * 0.1; // ±5% variance
-      const rate = currentRate.rate * (1 + variance);
-      
-      history.push({
-        date: date.toISOString().split('T')[0],
-        rate: parseFloat(rate.toFixed(6)),
-        timestamp: date.getTime()
-      });
+    if (format === 'csv') {
+      res.set('Content-Type', 'text/csv');
+      res.set('Content-Disposition', `attachment; filename="${fromCurrency}-${toCurrency}-${interval}.csv"`);
+      return res.send(rateHistoryService.toCsv(history));
     }
 
+    const currentRate = await exchangeRateService.getRate(fromCurrency, toCurrency);
+
     res.json({
       from: fromCurrency,
       to: toCurrency,
       currentRate: currentRate.rate,
+      interval,
       history,
-      period: `${days} days`
+      period: `${dayCount} days`
     });
 
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
     console.error('Historical rates error:', error);
     res.status(500).json({ 
       error: 'Failed to fetch historical rates',
@@ -272,16 +299,7 @@ router.get('/:from/:to/history', async (req, res) => {
 // ============================================
 router.get('/corridors/popular', (req, res) => {
   try {
-    const popularCorridors = [
-      { from: 'USD', to: 'MXN', name: 'USA → Mexico', volume: 'high', flag: '🇺🇸→🇲🇽' },
-      { from: 'USD', to: 'PHP', name: 'USA → Philippines', volume: 'high', flag: '🇺🇸→🇵🇭' },
-      { from: 'USD', to: 'INR', name: 'USA → India', volume: 'high', flag: '🇺🇸→🇮🇳' },
-      { from: 'USD', to: 'NGN', name: 'USA → Nigeria', volume: 'medium', flag: '🇺🇸→🇳🇬' },
-      { from: 'GBP', to: 'INR', name: 'UK → India', volume: 'medium', flag: '🇬🇧→🇮🇳' },
-      { from: 'EUR', to: 'USD', name: 'Europe → USA', volume: 'high', flag: '🇪🇺→🇺🇸' },
-      { from: 'CAD', to: 'PHP', name: 'Canada → Philippines', volume: 'medium', flag: '🇨🇦→🇵🇭' },
-      { from: 'AUD', to: 'PHP', name: 'Australia → Philippines', volume: 'medium', flag: '🇦🇺→🇵🇭' }
-    ];
+    const popularCorridors = currencies.corridors;
 
     res.json({ 
       corridors: popularCorridors,
@@ -301,39 +319,43 @@ router.get('/corridors/popular', (req, res) => {
 // ============================================
 router.post('/compare', async (req, res) => {
   try {
-    const { amount, fromCurrency, toCurrency } = req.body;
+    const { fromCurrency, toCurrency } = req.body;
+    const amount = parseFloat(req.body.amount);
 
-    if (!amount || !fromCurrency || !toCurrency) {
+    if (!req.body.amount || !fromCurrency || !toCurrency) {
       return res.status(400).json({ 
         error: 'Missing required fields' 
       });
     }
 
-    const rateData = await exchangeRateService.getRate(fromCurrency, toCurrency);
+    if (!Number.isFinite(amount) || amount <= 0) {
+      return res.status(400).json({ 
+        error: 'Amount must be greater than 0' 
+      });
+    }
 
-    const comparison = [
-      {
-        provider: 'SwiftBase XRPL',
-        fee: amount * 0.01,
-        rate: rateData.rate * 0.997,
-        received: ((amount - amount * 0.01) * rateData.rate * 0.997).toFixed(2),
-        time: '5-10 min'
-      },
-      {
-        provider: 'Western Union',
-        fee: amount * 0.05 + 5,
-        rate: rateData.rate * 0.96,
-        received: ((amount - (amount * 0.05 + 5)) * rateData.rate * 0.96).toFixed(2),
-        time: '1-3 days'
-      },
-      {
-        provider: 'Wise',
-        fee: amount * 0.015 + 3,
-        rate: rateData.rate * 0.99,
-        received: ((amount - (amount * 0.015 + 3)) * rateData.rate * 0.99).toFixed(2),
-        time: '1 day'
-      }
-    ];
+    if (amount > pricingService.maxAmount) {
+      return res.status(400).json({ 
+        error: `Amount must be at most ${pricingService.maxAmount}` 
+      });
+    }
+
+    const from = fromCurrency.toUpperCase();
+    const to = toCurrency.toUpperCase();
+    const rateData = await exchangeRateService.getRate(from, to);
+
+    // Indicative only, so no quote is locked
+    const pricing = { amount, fromCurrency: from, toCurrency: to, midMarketRate: rateData.rate };
+    const ours = await pricingService.price({ ...pricing, routeType: 'xrpl_direct' });
+    const benchmarks = await pricingService.benchmarks(pricing);
+
+    const comparison = [{ provider: 'SwiftBase XRPL', ...ours }, ...benchmarks].map(priced => ({
+      provider: priced.provider,
+      fee: priced.fee,
+      rate: priced.exchangeRate,
+      received: priced.amountReceived.toFixed(2),
+      time: priced.estimatedTime
+    }));
 
     res.json({
       amount,
@@ -344,6 +366,10 @@ router.post('/compare', async (req, res) => {
     });
 
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
     console.error('Compare error:', error);
     res.status(500).json({ 
       error: 'Failed to compare rates',
@@ -352,4 +378,61 @@ router.post('/compare', async (req, res) => {
   }
 });
 
+// ============================================
+// ROUTE 8: Create Rate Alert
+// ============================================
+router.post('/alerts', authenticateToken, async (req, res) => {
+  try {
+    const alert = await rateAlertService.create(req.user.userId, req.body);
+
+    res.status(201).json({ message: 'Rate alert created', alert });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    console.error('Create rate alert error:', error);
+    res.status(500).json({ 
+      error: 'Failed to create rate alert',
+      message: error.message 
+    });
+  }
+});
+
+// ============================================
+// ROUTE 9: List Rate Alerts
+// ============================================
+router.get('/alerts', authenticateToken, async (req, res) => {
+  try {
+    res.json({ alerts: await rateAlertService.list(req.user.userId) });
+  } catch (error) {
+    console.error('List rate alerts error:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch rate alerts',
+      message: error.message 
+    });
+  }
+});
+
+// ============================================
+// ROUTE 10: Delete Rate Alert
+// ============================================
+router.delete('/alerts/:id', authenticateToken, async (req, res) => {
+  try {
+    await rateAlertService.remove(req.user.userId, req.params.id);
+
+    res.json({ message: 'Rate alert deleted' });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    console.error('Delete rate alert error:', error);
+    res.status(500).json({ 
+      error: 'Failed to delete rate alert',
+      message: error.message 
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -1,83 +1,146 @@
 const express = require('express');
 const db = require('../config/database');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, allowQueryToken } = require('../middleware/auth');
+const { idempotency } = require('../middleware/idempotency');
 const exchangeRateService = require('../services/exchangeRate');
-const paymentService = require('../services/payment');
+const quoteService = require('../services/quote');
+const pricingService = require('../services/pricing');
+const transactionState = require('../services/transactionState');
+const transactionProcessor = require('../services/transactionProcessor');
+const twoFactorService = require('../services/twoFactor');
+const limitsService = require('../services/limits');
+const kycService = require('../services/kyc');
+const amlMonitoring = require('../services/amlMonitoring');
 const xrplService = require('../services/xrpl');
+const transactionStream = require('../services/transactionStream');
+const refundService = require('../services/refund');
 
 const router = express.Router();
 
+// Largest value of the transactions.id SERIAL column
+const MAX_TRANSACTION_ID = 2147483647;
+
+// Anything else would fail in Postgres as a 500
+router.param('id', (req, res, next, id) => {
+  if (!/^\d+$/.test(id) || parseInt(id) > MAX_TRANSACTION_ID) {
+    return res.status(404).json({ error: 'Transaction not found' });
+  }
+  next();
+});
+
+// Shown with competitor benchmarks, by pricing_rules.route_type
+const BENCHMARK_DESCRIPTIONS = {
+  bank_transfer: 'Standard international wire transfer',
+  competitor: 'Third-party remittance service'
+};
+
 // ============================================
 // ROUTE 1: Compare Routes
 // ============================================
 router.post('/compare-routes', authenticateToken, async (req, res) => {
   try {
-    const { amount, fromCurrency, toCurrency } = req.body;
+    // payoutType is optional; pass the recipient's to get payout-specific pricing
+    const { fromCurrency, toCurrency, payoutType = null } = req.body;
+    const amount = parseFloat(req.body.amount);
 
     // Validate input
-    if (!amount || !fromCurrency || !toCurrency) {
+    if (!req.body.amount || !fromCurrency || !toCurrency) {
       return res.status(400).json({ 
         error: 'Missing required fields: amount, fromCurrency, toCurrency' 
       });
     }
 
+    if (!Number.isFinite(amount)) {
+      return res.status(400).json({ 
+        error: 'Amount must be a number' 
+      });
+    }
+
     if (amount < 10) {
       return res.status(400).json({ 
         error: 'Minimum transfer amount is $10' 
       });
     }
 
-    // Get real exchange rate
-    const rateData = await exchangeRateService.getRate(fromCurrency, toCurrency);
+    if (amount > pricingService.maxAmount) {
+      return res.status(400).json({ 
+        error: `Amount must be at most ${pricingService.maxAmount}` 
+      });
+    }
+
+    // Quotes can only be locked against a live, fresh rate
+    const rateData = await exchangeRateService.getTransactableRate(fromCurrency, toCurrency);
     const rate = rateData.rate;
 
-    // Calculate different routes
+    // Lock our own route's price so /create charges exactly what is shown here
+    const quote = await quoteService.createQuote({
+      userId: req.user.userId,
+      amount,
+      fromCurrency,
+      toCurrency,
+      routeType: 'xrpl_direct',
+      payoutType,
+      midMarketRate: rate
+    });
+
+    const benchmarks = await pricingService.benchmarks({
+      amount,
+      fromCurrency,
+      toCurrency,
+      payoutType,
+      midMarketRate: rate
+    });
+
+    // What the XRPL order books would actually give for the net amount right
+    // now. Informational only: a missing or thin book must not break the page.
+    let onLedger = null;
+    try {
+      onLedger = await xrplService.quoteOnLedger(amount - quote.fee, fromCurrency, toCurrency);
+    } catch (error) {
+      console.error('On-ledger quote error:', error.message);
+    }
+
+    // Our route first, then what competitors would charge for the same transfer
     const routes = [
       {
-        provider: 'SwiftBridge XRPL',
+        provider: 'SwiftBase XRPL',
         type: 'xrpl_direct',
         amountSent: amount,
-        fee: amount * 0.01, // 1% fee
-        exchangeRate: rate * 0.997, // 0.3% spread
-        estimatedTime: '5-10 minutes',
-        amountReceived: ((amount - amount * 0.01) * rate * 0.997).toFixed(2),
+        fee: quote.fee,
+        exchangeRate: quote.exchangeRate,
+        estimatedTime: quote.estimatedTime,
+        amountReceived: quote.amountReceived.toFixed(2),
         savings: 0,
         recommended: true,
-        description: 'Fast blockchain transfer via XRPL network'
+        description: 'Fast blockchain transfer via XRPL network',
+        promo: quote.promo,
+        onLedgerRate: onLedger && onLedger.rate,
+        quoteId: quote.id
       },
-      {
-        provider: 'Traditional Bank Transfer',
-        type: 'bank_transfer',
+      ...benchmarks.map(benchmark => ({
+        provider: benchmark.provider,
+        type: benchmark.type,
         amountSent: amount,
-        fee: amount * 0.05 + 5, // 5% + $5 flat fee
-        exchangeRate: rate * 0.97, // 3% markup
-        estimatedTime: '1-3 business days',
-        amountReceived: ((amount - (amount * 0.05 + 5)) * rate * 0.97).toFixed(2),
+        fee: benchmark.fee,
+        exchangeRate: benchmark.exchangeRate,
+        estimatedTime: benchmark.estimatedTime,
+        amountReceived: benchmark.amountReceived.toFixed(2),
         savings: 0,
         recommended: false,
-        description: 'Standard international wire transfer'
-      },
-      {
-        provider: 'Competitor Service',
-        type: 'competitor',
-        amountSent: amount,
-        fee: amount * 0.015 + 3, // 1.5% + $3
-        exchangeRate: rate * 0.99, // 1% markup
-        estimatedTime: '1 business day',
-        amountReceived: ((amount - (amount * 0.015 + 3)) * rate * 0.99).toFixed(2),
-        savings: 0,
-        recommended: false,
-        description: 'Third-party remittance service'
-      }
+        description: BENCHMARK_DESCRIPTIONS[benchmark.type] || 'Third-party remittance service'
+      }))
     ];
 
     // Calculate savings compared to traditional
-    const traditionalAmount = parseFloat(routes[1].amountReceived);
-    routes.forEach(route => {
-      const saved = parseFloat(route.amountReceived) - traditionalAmount;
-      route.savings = saved.toFixed(2);
-      route.savingsPercent = ((saved / traditionalAmount) * 100).toFixed(2);
-    });
+    const traditional = pricingService.baseline(benchmarks);
+    if (traditional) {
+      const traditionalAmount = parseFloat(traditional.amountReceived.toFixed(2));
+      routes.forEach(route => {
+        const saved = parseFloat(route.amountReceived) - traditionalAmount;
+        route.savings = saved.toFixed(2);
+        route.savingsPercent = ((saved / traditionalAmount) * 100).toFixed(2);
+      });
+    }
 
     // Sort by amount received (best first)
     routes.sort((a, b) => parseFloat(b.amountReceived) - parseFloat(a.amountReceived));
@@ -85,10 +148,23 @@ router.post('/compare-routes', authenticateToken, async (req, res) => {
     res.json({ 
       routes,
       midMarketRate: rate,
+      onLedger: onLedger && {
+        rate: onLedger.rate,
+        xrpAmount: onLedger.xrpAmount,
+        source: onLedger.source
+      },
+      quote: {
+        id: quote.id,
+        expiresAt: quote.expiresAt
+      },
       timestamp: Date.now()
     });
 
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
     console.error('Compare routes error:', error);
     res.status(500).json({ 
       error: 'Failed to compare routes',
@@ -100,35 +176,29 @@ router.post('/compare-routes', authenticateToken, async (req, res) => {
 // ============================================
 // ROUTE 2: Create Transaction
 // ============================================
-router.post('/create', authenticateToken, async (req, res) => {
+router.post('/create', authenticateToken, idempotency, async (req, res) => {
   try {
     const { 
+      quoteId,
       recipientId, 
       paymentMethodId, 
       amount, 
       fromCurrency, 
       toCurrency, 
-      routeType,
+      totpCode,
       notes 
     } = req.body;
 
     // Validate required fields
-    if (!recipientId || !paymentMethodId || !amount || !fromCurrency || !toCurrency || !routeType) {
+    if (!quoteId || !recipientId || !paymentMethodId) {
       return res.status(400).json({ 
-        error: 'Missing required fields' 
-      });
-    }
-
-    // Validate amount
-    if (amount < 10 || amount > 10000) {
-      return res.status(400).json({ 
-        error: 'Amount must be between $10 and $10,000' 
+        error: 'Missing required fields: quoteId, recipientId, paymentMethodId' 
       });
     }
 
     // Verify recipient belongs to user
     const recipientCheck = await db.query(
-      'SELECT id FROM recipients WHERE id = $1 AND user_id = $2',
+      'SELECT id, payout_type FROM recipients WHERE id = $1 AND user_id = $2',
       [recipientId, req.user.userId]
     );
 
@@ -150,60 +220,86 @@ router.post('/create', authenticateToken, async (req, res) => {
       });
     }
 
-    // Get exchange rate
-    const rateData = await exchangeRateService.getRate(fromCurrency, toCurrency);
-    const exchangeRate = rateData.rate * 0.997; // Apply spread
+    // Redeem the quote and create the transaction atomically
+    const { transactionId, quote } = await db.withTransaction(async (client) => {
+      const quote = await quoteService.redeemQuote(client, quoteId, req.user.userId);
+
+      // Fields sent alongside the quote must agree with it
+      if ((amount !== undefined && parseFloat(amount) !== quote.amountSent) ||
+          (fromCurrency && fromCurrency !== quote.fromCurrency) ||
+          (toCurrency && toCurrency !== quote.toCurrency)) {
+        const error = new Error('Amount or currencies do not match the quote');
+        error.status = 400;
+        throw error;
+      }
+
+      // The quote may have been priced without this recipient's payout type
+      await quoteService.assertPayoutType(quote, recipientCheck.rows[0].payout_type);
 
-    // Calculate fee and received amount
-    const fee = amount * 0.01; // 1% fee
-    const amountReceived = (amount - fee) * exchangeRate;
+      // Unverified users cannot send; tier caps are applied by the limits engine
+      await kycService.assertCanSend(client, req.user.userId);
 
-    // Create transaction in database
-    const result = await db.query(
-      `INSERT INTO transactions 
-       (sender_id, recipient_id, payment_method_id, amount_sent, currency_sent, 
-        currency_received, exchange_rate, fee, status, route_type, notes)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
-       RETURNING id`,
-      [
+      // Enforce per-transaction and rolling daily/weekly/monthly caps
+      await limitsService.assertWithinLimits(
+        client,
         req.user.userId,
-        recipientId,
-        paymentMethodId,
-        amount,
-        fromCurrency,
-        toCurrency,
-        exchangeRate,
-        fee,
-        'processing',
-        routeType,
-        notes || null
-      ]
-    );
-
-    const transactionId = result.rows[0].id;
+        quote.amountSent,
+        quote.fromCurrency,
+        quote.toCurrency
+      );
+
+      // Step-up check; throwing here rolls back the quote redemption
+      await twoFactorService.assertStepUp(req.user.userId, recipientId, quote.amountSent, quote.fromCurrency, totpCode, { client });
+
+      // Create transaction in database with the locked numbers
+      const result = await client.query(
+        `INSERT INTO transactions 
+         (sender_id, recipient_id, payment_method_id, quote_id, amount_sent, currency_sent, 
+          currency_received, exchange_rate, fee, status, route_type, notes)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+         RETURNING id`,
+        [
+          req.user.userId,
+          recipientId,
+          paymentMethodId,
+          quote.id,
+          quote.amountSent,
+          quote.fromCurrency,
+          quote.toCurrency,
+          quote.exchangeRate,
+          quote.fee,
+          'pending',
+          quote.routeType,
+          notes || null
+        ]
+      );
+
+      await transactionState.recordCreated(client, result.rows[0].id);
+
+      // Queue processing and AML monitoring in the same transaction so they can never be lost
+      await transactionProcessor.enqueue(result.rows[0].id, { client });
+      await amlMonitoring.enqueue(result.rows[0].id, { client });
+
+      return { transactionId: result.rows[0].id, quote };
+    });
 
-    // Respond immediately
     res.json({
       transactionId,
-      status: 'processing',
+      quoteId: quote.id,
+      status: 'pending',
       message: 'Transaction initiated successfully',
       estimatedCompletion: new Date(Date.now() + 10 * 60 * 1000).toISOString() // 10 minutes
     });
 
-    // Process transaction in background (don't await)
-    processTransaction(
-      transactionId, 
-      req.user.userId, 
-      recipientId, 
-      paymentMethodId, 
-      amount, 
-      fromCurrency, 
-      toCurrency, 
-      exchangeRate, 
-      amountReceived
-    );
-
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        error: error.message,
+        ...error.details,
+        ...(error.stepUpRequired && { stepUpRequired: true })
+      });
+    }
+
     console.error('Create transaction error:', error);
     res.status(500).json({ 
       error: 'Failed to create transaction',
@@ -212,91 +308,6 @@ router.post('/create', authenticateToken, async (req, res) => {
   }
 });
 
-// ============================================
-// Background Transaction Processing
-// ============================================
-async function processTransaction(
-  transactionId, 
-  senderId, 
-  recipientId, 
-  paymentMethodId, 
-  amount, 
-  fromCurrency, 
-  toCurrency, 
-  exchangeRate, 
-  amountReceived
-) {
-  try {
-    console.log(`⏳ Processing transaction ${transactionId}...`);
-
-    // Step 1: Process payment from sender (mock for hackathon)
-    console.log(`💳 Processing payment of ${amount} ${fromCurrency}...`);
-    const paymentResult = await paymentService.processPayment(
-      paymentMethodId,
-      amount,
-      fromCurrency
-    );
-
-    if (!paymentResult.success) {
-      throw new Error('Payment processing failed');
-    }
-    console.log(`✅ Payment captured: ${paymentResult.transactionId}`);
-
-    // Step 2: Process XRPL transaction (mock for hackathon)
-    console.log(`🔗 Processing XRPL transaction...`);
-    const xrplResult = await xrplService.processRemittance(
-      'sender_wallet_' + senderId,
-      'recipient_wallet_' + recipientId,
-      amount,
-      fromCurrency,
-      toCurrency,
-      exchangeRate
-    );
-    console.log(`✅ XRPL transaction: ${xrplResult.xrplTxHash}`);
-
-    // Step 3: Get recipient details
-    const recipientResult = await db.query(
-      'SELECT * FROM recipients WHERE id = $1',
-      [recipientId]
-    );
-    const recipient = recipientResult.rows[0];
-
-    // Step 4: Process payout to recipient (mock for hackathon)
-    console.log(`💰 Processing payout of ${amountReceived} ${toCurrency}...`);
-    const payoutResult = await paymentService.processPayout(
-      recipient,
-      amountReceived,
-      toCurrency
-    );
-    console.log(`✅ Payout processed: ${payoutResult.payoutId}`);
-
-    // Step 5: Update transaction as completed
-    await db.query(
-      `UPDATE transactions 
-       SET status = $1, 
-           amount_received = $2,
-           xrpl_tx_hash = $3,
-           completed_at = NOW()
-       WHERE id = $4`,
-      ['completed', amountReceived, xrplResult.xrplTxHash, transactionId]
-    );
-
-    console.log(`✅ Transaction ${transactionId} completed successfully!`);
-
-  } catch (error) {
-    console.error(`❌ Transaction ${transactionId} failed:`, error);
-
-    // Update transaction as failed
-    await db.query(
-      `UPDATE transactions 
-       SET status = $1, 
-           notes = $2
-       WHERE id = $3`,
-      ['failed', `Error: ${error.message}`, transactionId]
-    );
-  }
-}
-
 // ============================================
 // ROUTE 3: Get Transaction Status
 // ============================================
@@ -329,6 +340,7 @@ router.get('/:id/status', authenticateToken, async (req, res) => {
     }
 
     const transaction = result.rows[0];
+    const refundResult = await db.query('SELECT * FROM refunds WHERE transaction_id = $1', [transaction.id]);
 
     // Format response
     const response = {
@@ -362,9 +374,9 @@ router.get('/:id/status', authenticateToken, async (req, res) => {
       
       // Blockchain proof
       xrplTxHash: transaction.xrpl_tx_hash,
-      explorerUrl: transaction.xrpl_tx_hash 
-        ? `https://testnet.xrpl.org/transactions/${transaction.xrpl_tx_hash}` 
-        : null,
+      explorerUrl: xrplService.explorerUrl(transaction.xrpl_tx_hash),
+      xrplLedgerIndex: transaction.xrpl_ledger_index,
+      xrplFee: transaction.xrpl_fee ? parseFloat(transaction.xrpl_fee) : null,
       
       // Route and timing
       routeType: transaction.route_type,
@@ -372,7 +384,11 @@ router.get('/:id/status', authenticateToken, async (req, res) => {
       completedAt: transaction.completed_at,
       
       // Additional info
-      notes: transaction.notes
+      notes: transaction.notes,
+      refund: refundService.format(refundResult.rows[0]),
+
+      // Status history
+      timeline: await transactionState.getTimeline(transaction.id)
     };
 
     res.json(response);
@@ -409,9 +425,13 @@ router.get('/history', authenticateToken, async (req, res) => {
         t.completed_at,
         r.name as recipient_name,
         r.country as recipient_country,
-        r.payout_type
+        r.payout_type,
+        f.status as refund_status,
+        f.amount as refund_amount,
+        f.completed_at as refunded_at
       FROM transactions t
       LEFT JOIN recipients r ON t.recipient_id = r.id
+      LEFT JOIN refunds f ON f.transaction_id = t.id
       WHERE t.sender_id = $1
     `;
 
@@ -460,6 +480,11 @@ router.get('/history', authenticateToken, async (req, res) => {
         country: tx.recipient_country,
         payoutType: tx.payout_type
       },
+      refund: tx.refund_status ? {
+        status: tx.refund_status,
+        amount: parseFloat(tx.refund_amount),
+        refundedAt: tx.refunded_at
+      } : null,
       createdAt: tx.created_at,
       completedAt: tx.completed_at
     }));
@@ -493,14 +518,16 @@ router.get('/stats', authenticateToken, async (req, res) => {
       `SELECT 
         COUNT(*) as total_transactions,
         COUNT(*) FILTER (WHERE status = 'completed') as completed_count,
-        COUNT(*) FILTER (WHERE status = 'processing') as processing_count,
+        COUNT(*) FILTER (WHERE status = ANY($2)) as processing_count,
         COUNT(*) FILTER (WHERE status = 'failed') as failed_count,
+        COUNT(*) FILTER (WHERE status = 'cancelled') as cancelled_count,
+        COUNT(*) FILTER (WHERE status = 'refunded') as refunded_count,
         COALESCE(SUM(amount_sent) FILTER (WHERE status = 'completed'), 0) as total_sent,
         COALESCE(SUM(fee) FILTER (WHERE status = 'completed'), 0) as total_fees_paid,
         COALESCE(AVG(amount_sent) FILTER (WHERE status = 'completed'), 0) as avg_transaction_amount
        FROM transactions
        WHERE sender_id = $1`,
-      [req.user.userId]
+      [req.user.userId, transactionState.inFlightStatuses]
     );
 
     const stats = result.rows[0];
@@ -510,6 +537,8 @@ router.get('/stats', authenticateToken, async (req, res) => {
       completedTransactions: parseInt(stats.completed_count),
       processingTransactions: parseInt(stats.processing_count),
       failedTransactions: parseInt(stats.failed_count),
+      cancelledTransactions: parseInt(stats.cancelled_count),
+      refundedTransactions: parseInt(stats.refunded_count),
       totalAmountSent: parseFloat(stats.total_sent),
       totalFeesPaid: parseFloat(stats.total_fees_paid),
       averageTransactionAmount: parseFloat(stats.avg_transaction_amount),
@@ -528,38 +557,44 @@ router.get('/stats', authenticateToken, async (req, res) => {
 // ============================================
 // ROUTE 6: Cancel Transaction (if still pending)
 // ============================================
-router.post('/:id/cancel', authenticateToken, async (req, res) => {
+router.post('/:id/cancel', authenticateToken, idempotency, async (req, res) => {
   try {
     const { id } = req.params;
 
-    // Check transaction exists and belongs to user
-    const result = await db.query(
-      'SELECT id, status FROM transactions WHERE id = $1 AND sender_id = $2',
-      [id, req.user.userId]
-    );
+    await db.withTransaction(async (client) => {
+      // Check transaction exists and belongs to user; the lock holds off the
+      // processor claiming it for payment until this commits
+      const result = await client.query(
+        'SELECT id, status, payment_started_at FROM transactions WHERE id = $1 AND sender_id = $2 FOR UPDATE',
+        [id, req.user.userId]
+      );
+
+      if (result.rows.length === 0) {
+        const error = new Error('Transaction not found');
+        error.status = 404;
+        throw error;
+      }
 
-    if (result.rows.length === 0) {
-      return res.status(404).json({ 
-        error: 'Transaction not found' 
-      });
-    }
+      const transaction = result.rows[0];
 
-    const transaction = result.rows[0];
+      // Only pending transactions can be cancelled
+      if (transaction.status !== 'pending') {
+        const error = new Error(`Cannot cancel transaction with status: ${transaction.status}`);
+        error.status = 400;
+        throw error;
+      }
+      if (transaction.payment_started_at) {
+        const error = new Error('Payment is already being collected; the transaction can no longer be cancelled');
+        error.status = 409;
+        throw error;
+      }
 
-    // Only pending transactions can be cancelled
-    if (transaction.status !== 'pending') {
-      return res.status(400).json({ 
-        error: `Cannot cancel transaction with status: ${transaction.status}` 
+      // Update to cancelled status
+      await transactionState.transition(id, 'cancelled', {
+        reason: 'Cancelled by user',
+        client
       });
-    }
-
-    // Update to cancelled status
-    await db.query(
-      `UPDATE transactions 
-       SET status = $1, notes = $2 
-       WHERE id = $3`,
-      ['failed', 'Cancelled by user', id]
-    );
+    });
 
     res.json({ 
       message: 'Transaction cancelled successfully',
@@ -567,6 +602,10 @@ router.post('/:id/cancel', authenticateToken, async (req, res) => {
     });
 
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
     console.error('Cancel transaction error:', error);
     res.status(500).json({ 
       error: 'Failed to cancel transaction',
@@ -575,4 +614,78 @@ router.post('/:id/cancel', authenticateToken, async (req, res) => {
   }
 });
 
-module.exports = router;
\ No newline at end of file
+// ============================================
+// ROUTE 7: Stream All Transaction Updates (SSE)
+// ============================================
+router.get('/stream', allowQueryToken, authenticateToken, async (req, res) => {
+  try {
+    await transactionStream.open(req, res, {
+      snapshot: async () => {
+        const result = await db.query(
+          `SELECT id, status, amount_sent, currency_sent, currency_received, created_at
+           FROM transactions
+           WHERE sender_id = $1 AND status = ANY($2)
+           ORDER BY created_at DESC`,
+          [req.user.userId, transactionState.inFlightStatuses]
+        );
+
+        return {
+          inFlight: result.rows.map(row => ({
+            id: row.id,
+            status: row.status,
+            amountSent: parseFloat(row.amount_sent),
+            currencySent: row.currency_sent,
+            currencyReceived: row.currency_received,
+            createdAt: row.created_at
+          }))
+        };
+      }
+    });
+  } catch (error) {
+    console.error('Transaction stream error:', error);
+    res.status(500).json({ 
+      error: 'Failed to open transaction stream',
+      message: error.message 
+    });
+  }
+});
+
+// ============================================
+// ROUTE 8: Stream Transaction Status (SSE)
+// ============================================
+router.get('/:id/stream', allowQueryToken, authenticateToken, async (req, res) => {
+  try {
+    const transactionId = parseInt(req.params.id);
+
+    const result = await db.query(
+      'SELECT id, status FROM transactions WHERE id = $1 AND sender_id = $2',
+      [transactionId, req.user.userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ 
+        error: 'Transaction not found or does not belong to you' 
+      });
+    }
+
+    await transactionStream.open(req, res, {
+      transactionId,
+      snapshot: async () => {
+        const timeline = await transactionState.getTimeline(transactionId);
+        return {
+          id: transactionId,
+          status: timeline.length > 0 ? timeline[timeline.length - 1].to : result.rows[0].status,
+          timeline
+        };
+      }
+    });
+  } catch (error) {
+    console.error('Transaction stream error:', error);
+    res.status(500).json({ 
+      error: 'Failed to open transaction stream',
+      message: error.message 
+    });
+  }
+});
+
+module.exports = router;
@@ -1,10 +1,19 @@
 const express = require('express');
 const db = require('../config/database');
 const { authenticateToken } = require('../middleware/auth');
+const { idempotency } = require('../middleware/idempotency');
 const paymentService = require('../services/payment');
+const limitsService = require('../services/limits');
+const kycService = require('../services/kyc');
+const screeningService = require('../services/screening');
+const walletService = require('../services/wallet');
 
 const router = express.Router();
 
+// Recipient fields returned to the sender; screening_status is internal
+const RECIPIENT_COLUMNS = `id, name, email, country, phone_number, payout_type, bank_name,
+  account_number_last4, destination_tag, date_of_birth, created_at`;
+
 router.get('/profile', authenticateToken, async (req, res) => {
   try {
     const result = await db.query(
@@ -24,7 +33,63 @@ router.get('/profile', authenticateToken, async (req, res) => {
   }
 });
 
-router.post('/payment-methods', authenticateToken, async (req, res) => {
+router.get('/wallet', authenticateToken, async (req, res) => {
+  try {
+    const wallet = await walletService.getOrCreateUserWallet(req.user.userId);
+    const balance = await walletService.getBalance(wallet.address);
+
+    res.json(walletService.format(wallet, balance));
+  } catch (error) {
+    console.error('Fetch wallet error:', error);
+    res.status(500).json({ error: 'Failed to fetch wallet' });
+  }
+});
+
+router.get('/limits', authenticateToken, async (req, res) => {
+  try {
+    const { fromCurrency, toCurrency } = req.query;
+
+    const limits = await limitsService.getLimits(req.user.userId, {
+      fromCurrency: fromCurrency && fromCurrency.toUpperCase(),
+      toCurrency: toCurrency && toCurrency.toUpperCase()
+    });
+
+    res.json(limits);
+  } catch (error) {
+    console.error('Fetch limits error:', error);
+    res.status(500).json({ error: 'Failed to fetch limits' });
+  }
+});
+
+router.get('/kyc', authenticateToken, async (req, res) => {
+  try {
+    res.json(await kycService.getStatus(req.user.userId));
+  } catch (error) {
+    console.error('Fetch KYC status error:', error);
+    res.status(500).json({ error: 'Failed to fetch verification status' });
+  }
+});
+
+// Documents are sent inline as base64: [{ type, fileName, mimeType, content }]
+router.post('/kyc', authenticateToken, async (req, res) => {
+  try {
+    const submission = await kycService.submit(req.user.userId, req.body);
+
+    res.status(201).json({
+      message: 'Verification submitted for review',
+      submission
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    console.error('KYC submission error:', error);
+    res.status(500).json({ error: 'Failed to submit verification' });
+  }
+});
+
+router.post('/payment-methods', authenticateToken, idempotency, async (req, res) => {
   try {
     const { type, bankDetails, cryptoDetails } = req.body;
 
@@ -32,9 +97,9 @@ router.post('/payment-methods', authenticateToken, async (req, res) => {
       const result = await paymentService.linkBankAccount(req.user.userId, bankDetails);
       
       await db.query(
-        `INSERT INTO payment_methods (user_id, type, bank_name, account_number_last4, routing_number)
-         VALUES ($1, $2, $3, $4, $5)`,
-        [req.user.userId, 'bank', bankDetails.bankName, bankDetails.accountNumber.slice(-4), bankDetails.routingNumber]
+        `INSERT INTO payment_methods (user_id, type, bank_name, account_number_last4, routing_number, provider, provider_reference)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+        [req.user.userId, 'bank', bankDetails.bankName, bankDetails.accountNumber.slice(-4), bankDetails.routingNumber, result.provider, result.providerReference]
       );
 
       res.json(result);
@@ -42,9 +107,9 @@ router.post('/payment-methods', authenticateToken, async (req, res) => {
       const result = await paymentService.linkCryptoWallet(req.user.userId, cryptoDetails);
       
       await db.query(
-        `INSERT INTO payment_methods (user_id, type, wallet_address, crypto_type)
-         VALUES ($1, $2, $3, $4)`,
-        [req.user.userId, 'crypto', cryptoDetails.address, cryptoDetails.cryptoType]
+        `INSERT INTO payment_methods (user_id, type, wallet_address, crypto_type, provider, provider_reference)
+         VALUES ($1, $2, $3, $4, $5, $6)`,
+        [req.user.userId, 'crypto', cryptoDetails.address, cryptoDetails.cryptoType, result.provider, result.providerReference]
       );
 
       res.json(result);
@@ -52,6 +117,10 @@ router.post('/payment-methods', authenticateToken, async (req, res) => {
       res.status(400).json({ error: 'Invalid payment method type' });
     }
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
     console.error('Payment method error:', error);
     res.status(500).json({ error: error.message });
   }
@@ -75,16 +144,25 @@ router.get('/payment-methods', authenticateToken, async (req, res) => {
 
 router.post('/recipients', authenticateToken, async (req, res) => {
   try {
-    const { name, email, country, phoneNumber, payoutType, bankName, accountNumberLast4 } = req.body;
+    const { name, email, country, phoneNumber, payoutType, bankName, accountNumberLast4, dateOfBirth } = req.body;
 
     const result = await db.query(
-      `INSERT INTO recipients (user_id, name, email, country, phone_number, payout_type, bank_name, account_number_last4)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
-       RETURNING *`,
-      [req.user.userId, name, email, country, phoneNumber, payoutType, bankName, accountNumberLast4]
+      `INSERT INTO recipients (user_id, name, email, country, phone_number, payout_type, bank_name, account_number_last4, date_of_birth)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+       RETURNING id`,
+      [req.user.userId, name, email, country, phoneNumber, payoutType, bankName, accountNumberLast4, dateOfBirth || null]
     );
 
-    res.json(result.rows[0]);
+    // A hit keeps the recipient usable, but transfers to them are held for review
+    try {
+      await screeningService.screenRecipient(result.rows[0].id);
+    } catch (screeningError) {
+      console.error('Recipient screening error:', screeningError);
+    }
+
+    const recipient = await db.query(`SELECT ${RECIPIENT_COLUMNS} FROM recipients WHERE id = $1`, [result.rows[0].id]);
+
+    res.json(recipient.rows[0]);
   } catch (error) {
     console.error('Add recipient error:', error);
     res.status(500).json({ error: 'Failed to add recipient' });
@@ -94,7 +172,7 @@ router.post('/recipients', authenticateToken, async (req, res) => {
 router.get('/recipients', authenticateToken, async (req, res) => {
   try {
     const result = await db.query(
-      `SELECT * FROM recipients WHERE user_id = $1 ORDER BY created_at DESC`,
+      `SELECT ${RECIPIENT_COLUMNS} FROM recipients WHERE user_id = $1 ORDER BY created_at DESC`,
       [req.user.userId]
     );
 
@@ -0,0 +1,192 @@
+const express = require('express');
+const { authenticateToken } = require('../middleware/auth');
+const providerWebhooks = require('../services/providerWebhooks');
+const webhookSubscriptions = require('../services/webhookSubscriptions');
+
+const router = express.Router();
+
+// ============================================
+// ROUTE 1: Create Subscription
+// ============================================
+router.post('/subscriptions', authenticateToken, async (req, res) => {
+  try {
+    const { url, events, description } = req.body;
+    const subscription = await webhookSubscriptions.create(req.user.userId, { url, events, description });
+
+    res.status(201).json({
+      message: 'Subscription created. Store the secret now; it is not shown again.',
+      subscription
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    console.error('Create webhook subscription error:', error);
+    res.status(500).json({ 
+      error: 'Failed to create subscription',
+      message: error.message 
+    });
+  }
+});
+
+// ============================================
+// ROUTE 2: List Subscriptions
+// ============================================
+router.get('/subscriptions', authenticateToken, async (req, res) => {
+  try {
+    res.json({
+      subscriptions: await webhookSubscriptions.list(req.user.userId),
+      availableEvents: webhookSubscriptions.eventTypes
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    console.error('List webhook subscriptions error:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch subscriptions',
+      message: error.message 
+    });
+  }
+});
+
+// ============================================
+// ROUTE 3: Get Subscription
+// ============================================
+router.get('/subscriptions/:id', authenticateToken, async (req, res) => {
+  try {
+    const subscription = await webhookSubscriptions.get(req.user.userId, req.params.id);
+
+    res.json(webhookSubscriptions.format(subscription));
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    console.error('Get webhook subscription error:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch subscription',
+      message: error.message 
+    });
+  }
+});
+
+// ============================================
+// ROUTE 4: Update Subscription
+// ============================================
+router.put('/subscriptions/:id', authenticateToken, async (req, res) => {
+  try {
+    const { url, events, description, active } = req.body;
+    const subscription = await webhookSubscriptions.update(req.user.userId, req.params.id, {
+      url,
+      events,
+      description,
+      active
+    });
+
+    res.json({ message: 'Subscription updated', subscription });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    console.error('Update webhook subscription error:', error);
+    res.status(500).json({ 
+      error: 'Failed to update subscription',
+      message: error.message 
+    });
+  }
+});
+
+// ============================================
+// ROUTE 5: Delete Subscription
+// ============================================
+router.delete('/subscriptions/:id', authenticateToken, async (req, res) => {
+  try {
+    await webhookSubscriptions.remove(req.user.userId, req.params.id);
+
+    res.json({ message: 'Subscription deleted' });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    console.error('Delete webhook subscription error:', error);
+    res.status(500).json({ 
+      error: 'Failed to delete subscription',
+      message: error.message 
+    });
+  }
+});
+
+// ============================================
+// ROUTE 6: Delivery Log
+// ============================================
+router.get('/subscriptions/:id/deliveries', authenticateToken, async (req, res) => {
+  try {
+    const deliveries = await webhookSubscriptions.listDeliveries(req.user.userId, req.params.id, {
+      status: req.query.status,
+      limit: req.query.limit
+    });
+
+    res.json({ deliveries });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    console.error('Webhook delivery log error:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch deliveries',
+      message: error.message 
+    });
+  }
+});
+
+// ============================================
+// ROUTE 7: Replay Delivery
+// ============================================
+router.post('/subscriptions/:id/deliveries/:deliveryId/replay', authenticateToken, async (req, res) => {
+  try {
+    const delivery = await webhookSubscriptions.replay(req.user.userId, req.params.id, req.params.deliveryId);
+
+    res.json({ message: 'Delivery queued', delivery });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    console.error('Webhook replay error:', error);
+    res.status(500).json({ 
+      error: 'Failed to replay delivery',
+      message: error.message 
+    });
+  }
+});
+
+// ============================================
+// ROUTE 8: Receive Provider Webhook
+// ============================================
+// Unauthenticated: requests are verified by their HMAC signature instead.
+// Declared last so /subscriptions is never taken for a provider name.
+router.post('/:provider', async (req, res) => {
+  try {
+    const { eventId, duplicate } = await providerWebhooks.receive(req.params.provider, req.rawBody, req.headers);
+
+    res.json({ received: true, eventId, duplicate });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    console.error('Provider webhook error:', error);
+    res.status(500).json({ 
+      error: 'Failed to receive webhook',
+      message: error.message 
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,404 @@
+const db = require('../config/database');
+
+// Chart of accounts. Each account exists once per currency.
+const ACCOUNTS = {
+  provider_clearing: { type: 'asset', name: 'Funds held at collection providers' },
+  customer_funds: { type: 'liability', name: 'Customer funds in transit' },
+  fee_revenue: { type: 'revenue', name: 'Transfer fee revenue' },
+  fx_conversion: { type: 'clearing', name: 'FX conversion (treasury position)' },
+  spread_revenue: { type: 'revenue', name: 'FX spread revenue' },
+  payout_payable: { type: 'liability', name: 'Owed to recipients' },
+  payouts_in_flight: { type: 'liability', name: 'Payouts sent, not yet confirmed' },
+  payout_provider: { type: 'asset', name: 'Prefunded balance at payout providers' },
+  xrpl_treasury: { type: 'asset', name: 'XRP held in treasury wallets' },
+  network_fees: { type: 'expense', name: 'XRPL network fees' },
+  refund_losses: { type: 'expense', name: 'Refunds of transfers already paid out' }
+};
+
+// Unwound by a refund. Cash that actually moved (collection, payout provider,
+// network fees) is not; whatever that leaves unbalanced is a refund loss.
+const REVERSIBLE = ['customer_funds', 'fee_revenue', 'fx_conversion', 'spread_revenue', 'payout_payable', 'payouts_in_flight'];
+
+const EPSILON = 0.000001;
+
+function accountingError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function round(value, currency) {
+  const places = currency === 'XRP' ? 6 : 2;
+  return parseFloat(value.toFixed(places));
+}
+
+// Double-entry bookkeeping. Postings are signed: debits positive, credits
+// negative, and every journal entry sums to zero in each currency.
+//
+// Entries are written by transactionState.transition on the same database
+// transaction as the status change, at most once per (transaction, kind):
+//   funds_captured   -> capture     collected amount, split into customer funds and fee
+//   on_ledger        -> conversion  customer funds converted at mid-market, spread, network fee
+//   payout_initiated -> payout      owed to recipient, now in flight
+//   completed        -> settlement  payout confirmed by the provider
+//   refunded         -> refund      the above unwound and the collected amount returned
+// and, outside a transition, a payout_return when a completed payout comes back
+// (see recordPayoutReturn).
+class AccountingService {
+  constructor() {
+    this.accounts = ACCOUNTS;
+  }
+
+  // Accounts are created the first time a currency uses them
+  async accountId(client, code, currency) {
+    const { type, name } = ACCOUNTS[code];
+    await client.query(
+      `INSERT INTO ledger_accounts (code, currency, type, name)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (code, currency) DO NOTHING`,
+      [code, currency, type, name]
+    );
+    const result = await client.query(
+      'SELECT id FROM ledger_accounts WHERE code = $1 AND currency = $2',
+      [code, currency]
+    );
+    return result.rows[0].id;
+  }
+
+  // postings: [{ account, currency, amount }]. Returns false when the entry
+  // was already written.
+  async post(client, { transactionId, kind, description, postings }) {
+    for (const line of postings) {
+      if (!Number.isFinite(line.amount)) {
+        throw new Error(`Journal entry ${kind} for transaction ${transactionId} has an invalid ${line.account} amount: ${line.amount}`);
+      }
+    }
+
+    const lines = postings
+      .map(line => ({ ...line, amount: round(line.amount, line.currency) }))
+      .filter(line => line.amount !== 0);
+
+    const totals = {};
+    for (const line of lines) {
+      if (!ACCOUNTS[line.account]) {
+        throw new Error(`Unknown ledger account ${line.account}`);
+      }
+      totals[line.currency] = (totals[line.currency] || 0) + line.amount;
+    }
+    for (const [currency, total] of Object.entries(totals)) {
+      if (!Number.isFinite(total) || Math.abs(total) > EPSILON) {
+        throw new Error(`Journal entry ${kind} for transaction ${transactionId} is out of balance by ${total} ${currency}`);
+      }
+    }
+
+    const entry = await client.query(
+      `INSERT INTO journal_entries (transaction_id, kind, description)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (transaction_id, kind) DO NOTHING
+       RETURNING id`,
+      [transactionId, kind, description]
+    );
+    if (entry.rows.length === 0) {
+      return false;
+    }
+
+    for (const line of lines) {
+      await client.query(
+        'INSERT INTO journal_postings (entry_id, account_id, amount) VALUES ($1, $2, $3)',
+        [entry.rows[0].id, await this.accountId(client, line.account, line.currency), line.amount]
+      );
+    }
+    return true;
+  }
+
+  // Called by transactionState.transition on its client
+  async recordTransition(client, transaction, from, to) {
+    const builder = {
+      funds_captured: this.captureEntry,
+      on_ledger: this.conversionEntry,
+      payout_initiated: this.payoutEntry,
+      completed: this.settlementEntry,
+      refunded: this.refundEntry
+    }[to];
+    if (!builder) return;
+
+    const entry = await builder.call(this, client, transaction);
+    if (entry) {
+      await this.post(client, { transactionId: transaction.id, ...entry });
+    }
+  }
+
+  // amount_received is only set on the transaction when it completes; until
+  // then the recipient is owed what the quote locked in
+  async receivedAmount(client, transaction) {
+    if (transaction.amount_received !== null) {
+      return parseFloat(transaction.amount_received);
+    }
+
+    const quote = await client.query('SELECT amount_received FROM quotes WHERE id = $1', [transaction.quote_id]);
+    if (quote.rows[0]) {
+      return parseFloat(quote.rows[0].amount_received);
+    }
+    // Transfers created before quotes existed
+    const net = parseFloat(transaction.amount_sent) - parseFloat(transaction.fee);
+    return round(net * parseFloat(transaction.exchange_rate), transaction.currency_received);
+  }
+
+  // A payout returned after the transfer completed: the provider has the money
+  // back and the recipient is again unpaid, so the refund that follows unwinds
+  // it like a payout that never settled. Returns false when already recorded.
+  async recordPayoutReturn(client, transaction) {
+    const received = await this.receivedAmount(client, transaction);
+    const currency = transaction.currency_received;
+
+    return this.post(client, {
+      transactionId: transaction.id,
+      kind: 'payout_return',
+      description: `Payout of ${received} ${currency} returned for transfer ${transaction.id}`,
+      postings: [
+        { account: 'payout_provider', currency, amount: received },
+        { account: 'payouts_in_flight', currency, amount: -received }
+      ]
+    });
+  }
+
+  async captureEntry(client, transaction) {
+    const sent = parseFloat(transaction.amount_sent);
+    const fee = parseFloat(transaction.fee);
+    const currency = transaction.currency_sent;
+
+    return {
+      kind: 'capture',
+      description: `Collected ${sent} ${currency} for transfer ${transaction.id}`,
+      postings: [
+        { account: 'provider_clearing', currency, amount: sent },
+        { account: 'customer_funds', currency, amount: -round(sent - fee, currency) },
+        { account: 'fee_revenue', currency, amount: -fee }
+      ]
+    };
+  }
+
+  async conversionEntry(client, transaction) {
+    const quote = await client.query('SELECT mid_market_rate FROM quotes WHERE id = $1', [transaction.quote_id]);
+
+    const from = transaction.currency_sent;
+    const to = transaction.currency_received;
+    const net = round(parseFloat(transaction.amount_sent) - parseFloat(transaction.fee), from);
+    const received = await this.receivedAmount(client, transaction);
+
+    // Transfers created before quotes existed are booked without a spread
+    const midMarketRate = quote.rows[0]
+      ? parseFloat(quote.rows[0].mid_market_rate)
+      : parseFloat(transaction.exchange_rate);
+    const converted = round(net * midMarketRate, to);
+    const networkFee = parseFloat(transaction.xrpl_fee) || 0;
+
+    return {
+      kind: 'conversion',
+      description: `Converted ${net} ${from} to ${to} at ${midMarketRate} for transfer ${transaction.id}`,
+      postings: [
+        { account: 'customer_funds', currency: from, amount: net },
+        { account: 'fx_conversion', currency: from, amount: -net },
+        { account: 'fx_conversion', currency: to, amount: converted },
+        { account: 'spread_revenue', currency: to, amount: -round(converted - received, to) },
+        { account: 'payout_payable', currency: to, amount: -received },
+        { account: 'network_fees', currency: 'XRP', amount: networkFee },
+        { account: 'xrpl_treasury', currency: 'XRP', amount: -networkFee }
+      ]
+    };
+  }
+
+  async payoutEntry(client, transaction) {
+    const received = await this.receivedAmount(client, transaction);
+    const currency = transaction.currency_received;
+
+    return {
+      kind: 'payout',
+      description: `Payout of ${received} ${currency} sent for transfer ${transaction.id}`,
+      postings: [
+        { account: 'payout_payable', currency, amount: received },
+        { account: 'payouts_in_flight', currency, amount: -received }
+      ]
+    };
+  }
+
+  async settlementEntry(client, transaction) {
+    const received = await this.receivedAmount(client, transaction);
+    const currency = transaction.currency_received;
+
+    return {
+      kind: 'settlement',
+      description: `Payout of ${received} ${currency} confirmed for transfer ${transaction.id}`,
+      postings: [
+        { account: 'payouts_in_flight', currency, amount: received },
+        { account: 'payout_provider', currency, amount: -received }
+      ]
+    };
+  }
+
+  // Reverses what is still open on REVERSIBLE accounts at the rates it was
+  // booked, returns the collected amount, and books any remainder (money that
+  // already reached the recipient) as a refund loss
+  async refundEntry(client, transaction) {
+    const balances = await client.query(
+      `SELECT a.code, a.currency, SUM(p.amount) AS balance
+       FROM journal_postings p
+       JOIN journal_entries e ON p.entry_id = e.id
+       JOIN ledger_accounts a ON p.account_id = a.id
+       WHERE e.transaction_id = $1 AND a.code = ANY($2)
+       GROUP BY a.code, a.currency`,
+      [transaction.id, REVERSIBLE]
+    );
+
+    const sent = parseFloat(transaction.amount_sent);
+    const currency = transaction.currency_sent;
+
+    const postings = balances.rows.map(row => ({
+      account: row.code,
+      currency: row.currency,
+      amount: -parseFloat(row.balance)
+    }));
+    postings.push({ account: 'provider_clearing', currency, amount: -sent });
+
+    const totals = {};
+    for (const line of postings) {
+      totals[line.currency] = round((totals[line.currency] || 0) + line.amount, line.currency);
+    }
+    for (const [lossCurrency, total] of Object.entries(totals)) {
+      if (total !== 0) {
+        postings.push({ account: 'refund_losses', currency: lossCurrency, amount: -total });
+      }
+    }
+
+    return {
+      kind: 'refund',
+      description: `Refunded ${sent} ${currency} for transfer ${transaction.id}`,
+      postings
+    };
+  }
+
+  // Debit and credit totals per account; each currency must net to zero
+  async getTrialBalance() {
+    const result = await db.query(
+      `SELECT a.code, a.currency, a.type, a.name,
+              COALESCE(SUM(p.amount) FILTER (WHERE p.amount > 0), 0) AS debits,
+              COALESCE(-SUM(p.amount) FILTER (WHERE p.amount < 0), 0) AS credits,
+              COALESCE(SUM(p.amount), 0) AS balance
+       FROM ledger_accounts a
+       LEFT JOIN journal_postings p ON p.account_id = a.id
+       GROUP BY a.id
+       ORDER BY a.currency, a.code`
+    );
+
+    const accounts = result.rows.map(row => ({
+      code: row.code,
+      currency: row.currency,
+      type: row.type,
+      name: row.name,
+      debits: parseFloat(row.debits),
+      credits: parseFloat(row.credits),
+      balance: parseFloat(row.balance)
+    }));
+
+    const currencies = {};
+    for (const account of accounts) {
+      const totals = currencies[account.currency] || { debits: 0, credits: 0 };
+      totals.debits = round(totals.debits + account.debits, account.currency);
+      totals.credits = round(totals.credits + account.credits, account.currency);
+      currencies[account.currency] = totals;
+    }
+    for (const totals of Object.values(currencies)) {
+      totals.balanced = Math.abs(totals.debits - totals.credits) < EPSILON;
+    }
+
+    return {
+      accounts,
+      currencies,
+      balanced: Object.values(currencies).every(totals => totals.balanced),
+      generatedAt: new Date().toISOString()
+    };
+  }
+
+  // Postings on one account with a running balance; from/to are dates (YYYY-MM-DD)
+  async getStatement(code, currency, { from, to, limit = 500 } = {}) {
+    const account = await db.query(
+      'SELECT * FROM ledger_accounts WHERE code = $1 AND currency = $2',
+      [code, currency]
+    );
+    if (account.rows.length === 0) {
+      throw accountingError('Ledger account not found', 404);
+    }
+
+    for (const date of [from, to].filter(Boolean)) {
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || isNaN(Date.parse(date))) {
+        throw accountingError('Dates must be YYYY-MM-DD');
+      }
+    }
+
+    const accountId = account.rows[0].id;
+    const params = [accountId];
+    let range = '';
+    if (from) {
+      params.push(from);
+      range += ` AND e.created_at >= $${params.length}::date`;
+    }
+    if (to) {
+      params.push(to);
+      range += ` AND e.created_at < $${params.length}::date + 1`;
+    }
+
+    // Balance carried into the period
+    let openingBalance = 0;
+    if (from) {
+      const opening = await db.query(
+        `SELECT COALESCE(SUM(p.amount), 0) AS balance
+         FROM journal_postings p
+         JOIN journal_entries e ON p.entry_id = e.id
+         WHERE p.account_id = $1 AND e.created_at < $2::date`,
+        [accountId, from]
+      );
+      openingBalance = parseFloat(opening.rows[0].balance);
+    }
+
+    params.push(Math.min(parseInt(limit) || 500, 5000));
+    const postings = await db.query(
+      `SELECT p.id, p.amount, e.id AS entry_id, e.kind, e.description, e.transaction_id, e.created_at
+       FROM journal_postings p
+       JOIN journal_entries e ON p.entry_id = e.id
+       WHERE p.account_id = $1 ${range}
+       ORDER BY e.created_at, p.id
+       LIMIT $${params.length}`,
+      params
+    );
+
+    let balance = openingBalance;
+    const lines = postings.rows.map(row => {
+      const amount = parseFloat(row.amount);
+      balance = round(balance + amount, currency);
+      return {
+        entryId: row.entry_id,
+        transactionId: row.transaction_id,
+        kind: row.kind,
+        description: row.description,
+        debit: amount > 0 ? amount : 0,
+        credit: amount < 0 ? -amount : 0,
+        balance,
+        createdAt: row.created_at
+      };
+    });
+
+    return {
+      account: {
+        code,
+        currency,
+        type: account.rows[0].type,
+        name: account.rows[0].name
+      },
+      openingBalance,
+      closingBalance: balance,
+      postings: lines
+    };
+  }
+}
+
+module.exports = new AccountingService();
@@ -0,0 +1,305 @@
+const db = require('../config/database');
+const amlRules = require('../config/amlRules');
+const jobQueue = require('./jobQueue');
+const exchangeRateService = require('./exchangeRate');
+
+const JOB_TYPE = 'aml.evaluate';
+const ALERT_STATUSES = ['open', 'assigned', 'resolved'];
+const RESOLUTIONS = ['false_positive', 'escalated', 'reported'];
+
+// Only intervals like '24 hours' or '7 days' are interpolated into SQL
+const WINDOW_PATTERN = /^\d+ (minute|hour|day|week)s?$/;
+
+// Rule amounts are in this currency unless the rule names another
+const DEFAULT_RULE_CURRENCY = 'USD';
+
+function amlError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+class AMLMonitoringService {
+  constructor() {
+    this.rules = amlRules;
+
+    for (const rule of this.rules) {
+      if (!this.evaluators[rule.type]) {
+        throw new Error(`Unknown AML rule type "${rule.type}" in rule ${rule.id}`);
+      }
+      if (!WINDOW_PATTERN.test(rule.window)) {
+        throw new Error(`Invalid window "${rule.window}" in AML rule ${rule.id}`);
+      }
+    }
+
+    jobQueue.register(JOB_TYPE, payload => this.evaluate(payload.transactionId));
+  }
+
+  get evaluators() {
+    return {
+      count: this.evaluateCount,
+      sum: this.evaluateSum,
+      distinct_senders: this.evaluateDistinctSenders,
+      new_corridor: this.evaluateNewCorridor
+    };
+  }
+
+  enqueue(transactionId, { client } = {}) {
+    return jobQueue.enqueue(JOB_TYPE, { transactionId }, { client });
+  }
+
+  async evaluate(transactionId) {
+    const result = await db.query(
+      `SELECT t.*, r.name AS recipient_name, r.country AS recipient_country
+       FROM transactions t
+       JOIN recipients r ON t.recipient_id = r.id
+       WHERE t.id = $1`,
+      [transactionId]
+    );
+    const transaction = result.rows[0];
+
+    if (!transaction) {
+      return [];
+    }
+
+    const triggered = [];
+    for (const rule of this.rules) {
+      const details = await this.evaluators[rule.type].call(this, rule, transaction);
+      if (!details) continue;
+
+      const alert = await db.query(
+        `INSERT INTO aml_alerts (rule_id, severity, user_id, transaction_id, details)
+         VALUES ($1, $2, $3, $4, $5)
+         ON CONFLICT (transaction_id, rule_id) DO NOTHING
+         RETURNING id`,
+        [rule.id, rule.severity, transaction.sender_id, transaction.id, JSON.stringify({ description: rule.description, ...details })]
+      );
+
+      if (alert.rows.length > 0) {
+        triggered.push(rule.id);
+      }
+    }
+
+    if (triggered.length > 0) {
+      console.warn(`🚩 AML rules triggered for transaction ${transactionId}: ${triggered.join(', ')}`);
+    }
+
+    return triggered;
+  }
+
+  async toRuleCurrency(rule, amount, currency) {
+    const ruleCurrency = rule.currency || DEFAULT_RULE_CURRENCY;
+    if (currency === ruleCurrency) {
+      return amount;
+    }
+
+    const rateData = await exchangeRateService.getRate(currency, ruleCurrency);
+    return amount * rateData.rate;
+  }
+
+  // The sender's transfers within the rule's window up to this one
+  async senderTransfers(rule, transaction) {
+    const result = await db.query(
+      `SELECT id, amount_sent, currency_sent
+       FROM transactions
+       WHERE sender_id = $1
+         AND status <> 'cancelled'
+         AND created_at > (SELECT created_at FROM transactions WHERE id = $2) - INTERVAL '${rule.window}'
+         AND created_at <= (SELECT created_at FROM transactions WHERE id = $2)
+       ORDER BY id`,
+      [transaction.sender_id, transaction.id]
+    );
+    return result.rows;
+  }
+
+  async evaluateCount(rule, transaction) {
+    let transfers = await this.senderTransfers(rule, transaction);
+
+    if (rule.minAmount != null || rule.maxAmount != null) {
+      const inBand = [];
+      for (const transfer of transfers) {
+        const amount = await this.toRuleCurrency(rule, parseFloat(transfer.amount_sent), transfer.currency_sent);
+        if ((rule.minAmount == null || amount >= rule.minAmount) && (rule.maxAmount == null || amount < rule.maxAmount)) {
+          inBand.push(transfer);
+        }
+      }
+      transfers = inBand;
+    }
+
+    const count = transfers.length;
+    return count >= rule.threshold
+      ? { window: rule.window, threshold: rule.threshold, count, transactionIds: transfers.map(transfer => transfer.id) }
+      : null;
+  }
+
+  async evaluateSum(rule, transaction) {
+    let total = 0;
+    for (const transfer of await this.senderTransfers(rule, transaction)) {
+      total += await this.toRuleCurrency(rule, parseFloat(transfer.amount_sent), transfer.currency_sent);
+    }
+    total = parseFloat(total.toFixed(2));
+
+    return total >= rule.threshold
+      ? { window: rule.window, threshold: rule.threshold, total, currency: rule.currency || DEFAULT_RULE_CURRENCY }
+      : null;
+  }
+
+  async evaluateDistinctSenders(rule, transaction) {
+    const result = await db.query(
+      `SELECT COUNT(DISTINCT t.sender_id) AS senders
+       FROM transactions t
+       JOIN recipients r ON t.recipient_id = r.id
+       WHERE lower(trim(r.name)) = lower(trim($1))
+         AND r.country = $2
+         AND t.status <> 'cancelled'
+         AND t.created_at > (SELECT created_at FROM transactions WHERE id = $3) - INTERVAL '${rule.window}'
+         AND t.created_at <= (SELECT created_at FROM transactions WHERE id = $3)`,
+      [transaction.recipient_name, transaction.recipient_country, transaction.id]
+    );
+
+    const senders = parseInt(result.rows[0].senders);
+    return senders >= rule.threshold
+      ? {
+          window: rule.window,
+          threshold: rule.threshold,
+          distinctSenders: senders,
+          recipient: { name: transaction.recipient_name, country: transaction.recipient_country }
+        }
+      : null;
+  }
+
+  async evaluateNewCorridor(rule, transaction) {
+    const result = await db.query(
+      `SELECT COUNT(*) FILTER (
+                WHERE t.created_at > (SELECT created_at FROM transactions WHERE id = $5) - INTERVAL '${rule.window}'
+              ) AS history,
+              COUNT(*) FILTER (
+                WHERE t.currency_sent = $2 AND t.currency_received = $3 AND r.country = $4
+              ) AS same_corridor
+       FROM transactions t
+       JOIN recipients r ON t.recipient_id = r.id
+       WHERE t.sender_id = $1
+         AND t.id <> $5
+         AND t.status <> 'cancelled'
+         AND t.created_at < (SELECT created_at FROM transactions WHERE id = $5)`,
+      [
+        transaction.sender_id,
+        transaction.currency_sent,
+        transaction.currency_received,
+        transaction.recipient_country,
+        transaction.id
+      ]
+    );
+
+    const history = parseInt(result.rows[0].history);
+    const sameCorridor = parseInt(result.rows[0].same_corridor);
+
+    return history >= rule.minHistory && sameCorridor === 0
+      ? {
+          window: rule.window,
+          previousTransfers: history,
+          corridor: `${transaction.currency_sent}→${transaction.currency_received} (${transaction.recipient_country})`
+        }
+      : null;
+  }
+
+  async listAlerts({ status, severity, assignedTo, limit = 50, offset = 0 } = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (status) {
+      if (!ALERT_STATUSES.includes(status)) {
+        throw amlError(`Status must be one of: ${ALERT_STATUSES.join(', ')}`);
+      }
+      params.push(status);
+      conditions.push(`status = $${params.length}`);
+    }
+    if (severity) {
+      params.push(severity);
+      conditions.push(`severity = $${params.length}`);
+    }
+    if (assignedTo) {
+      params.push(assignedTo);
+      conditions.push(`assigned_to = $${params.length}`);
+    }
+
+    params.push(limit, offset);
+    const result = await db.query(
+      `SELECT * FROM aml_alerts
+       ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+       ORDER BY created_at DESC
+       LIMIT $${params.length - 1} OFFSET $${params.length}`,
+      params
+    );
+
+    return result.rows.map(row => this.formatAlert(row));
+  }
+
+  async getAlert(alertId) {
+    const result = await db.query('SELECT * FROM aml_alerts WHERE id = $1', [alertId]);
+    if (result.rows.length === 0) {
+      throw amlError('Alert not found', 404);
+    }
+    return this.formatAlert(result.rows[0]);
+  }
+
+  async assignAlert(alertId, assigneeId) {
+    const assignee = await db.query("SELECT id FROM users WHERE id = $1 AND role = 'admin'", [assigneeId]);
+    if (assignee.rows.length === 0) {
+      throw amlError('Alerts can only be assigned to admins');
+    }
+
+    const result = await db.query(
+      `UPDATE aml_alerts SET status = 'assigned', assigned_to = $1, updated_at = NOW()
+       WHERE id = $2 AND status <> 'resolved'
+       RETURNING *`,
+      [assigneeId, alertId]
+    );
+
+    if (result.rows.length === 0) {
+      throw amlError('Alert not found or already resolved', 404);
+    }
+    return this.formatAlert(result.rows[0]);
+  }
+
+  async resolveAlert(alertId, resolverId, resolution, notes) {
+    if (!RESOLUTIONS.includes(resolution)) {
+      throw amlError(`Resolution must be one of: ${RESOLUTIONS.join(', ')}`);
+    }
+
+    const result = await db.query(
+      `UPDATE aml_alerts
+       SET status = 'resolved', resolution = $1, resolution_notes = $2,
+           resolved_by = $3, resolved_at = NOW(), updated_at = NOW()
+       WHERE id = $4 AND status <> 'resolved'
+       RETURNING *`,
+      [resolution, notes || null, resolverId, alertId]
+    );
+
+    if (result.rows.length === 0) {
+      throw amlError('Alert not found or already resolved', 404);
+    }
+    return this.formatAlert(result.rows[0]);
+  }
+
+  formatAlert(row) {
+    return {
+      id: row.id,
+      ruleId: row.rule_id,
+      severity: row.severity,
+      status: row.status,
+      userId: row.user_id,
+      transactionId: row.transaction_id,
+      details: row.details,
+      assignedTo: row.assigned_to,
+      resolution: row.resolution,
+      resolutionNotes: row.resolution_notes,
+      resolvedBy: row.resolved_by,
+      resolvedAt: row.resolved_at,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+}
+
+module.exports = new AMLMonitoringService();
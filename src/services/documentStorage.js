@@ -0,0 +1,68 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+
+const ALLOWED_TYPES = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'application/pdf': '.pdf'
+};
+
+function storageError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+// Stores identity documents on local disk under KYC_UPLOAD_DIR. Paths kept in
+// the database are relative to that directory.
+class DocumentStorageService {
+  constructor() {
+    this.rootDir = path.resolve(process.env.KYC_UPLOAD_DIR || 'uploads/kyc');
+    this.maxBytes = parseInt(process.env.KYC_MAX_DOCUMENT_BYTES) || 5 * 1024 * 1024;
+  }
+
+  // `content` is the file as a base64 string
+  async save(userId, { mimeType, content }) {
+    const extension = ALLOWED_TYPES[mimeType];
+    if (!extension) {
+      throw storageError(`Unsupported document type: ${mimeType}. Use JPEG, PNG or PDF`);
+    }
+
+    const buffer = Buffer.from(content || '', 'base64');
+    if (buffer.length === 0) {
+      throw storageError('Document content is empty');
+    }
+    if (buffer.length > this.maxBytes) {
+      throw storageError(`Document exceeds ${this.maxBytes} bytes`);
+    }
+
+    const relativePath = path.join(String(userId), `${crypto.randomUUID()}${extension}`);
+    await fs.mkdir(path.join(this.rootDir, String(userId)), { recursive: true });
+    await fs.writeFile(path.join(this.rootDir, relativePath), buffer, { mode: 0o600 });
+
+    return {
+      storagePath: relativePath,
+      sizeBytes: buffer.length,
+      sha256: crypto.createHash('sha256').update(buffer).digest('hex')
+    };
+  }
+
+  async read(relativePath) {
+    return fs.readFile(this.resolve(relativePath));
+  }
+
+  async remove(relativePath) {
+    await fs.rm(this.resolve(relativePath), { force: true });
+  }
+
+  resolve(relativePath) {
+    const fullPath = path.resolve(this.rootDir, relativePath);
+    if (!fullPath.startsWith(this.rootDir + path.sep)) {
+      throw new Error('Document path escapes storage directory');
+    }
+    return fullPath;
+  }
+}
+
+module.exports = new DocumentStorageService();
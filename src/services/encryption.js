@@ -0,0 +1,45 @@
+const crypto = require('crypto');
+
+// AES-256-GCM for secrets stored at rest. ENCRYPTION_KEY is 32 bytes, hex or base64.
+class EncryptionService {
+  getKey() {
+    const raw = process.env.ENCRYPTION_KEY;
+    if (!raw) {
+      throw new Error('ENCRYPTION_KEY is not configured');
+    }
+
+    const key = /^[0-9a-f]{64}$/i.test(raw) ? Buffer.from(raw, 'hex') : Buffer.from(raw, 'base64');
+    if (key.length !== 32) {
+      throw new Error('ENCRYPTION_KEY must be 32 bytes');
+    }
+
+    return key;
+  }
+
+  encrypt(plaintext) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.getKey(), iv);
+    const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+
+    return ['v1', iv, cipher.getAuthTag(), ciphertext].map(part => (
+      typeof part === 'string' ? part : part.toString('base64')
+    )).join(':');
+  }
+
+  decrypt(payload) {
+    const [version, iv, tag, ciphertext] = payload.split(':');
+    if (version !== 'v1') {
+      throw new Error(`Unsupported ciphertext version: ${version}`);
+    }
+
+    const decipher = crypto.createDecipheriv('aes-256-gcm', this.getKey(), Buffer.from(iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64'));
+
+    return Buffer.concat([
+      decipher.update(Buffer.from(ciphertext, 'base64')),
+      decipher.final()
+    ]).toString('utf8');
+  }
+}
+
+module.exports = new EncryptionService();
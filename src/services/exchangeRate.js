@@ -1,69 +1,210 @@
-const axios = require('axios');
+const EventEmitter = require('events');
+const rateConfig = require('../config/exchangeRates');
+const ExchangeRateApiProvider = require('./exchangeRate/exchangeRateApiProvider');
+const OpenErApiProvider = require('./exchangeRate/openErApiProvider');
+const StaticFileProvider = require('./exchangeRate/staticFileProvider');
+const MockRateProvider = require('./exchangeRate/mockProvider');
 
+const ADAPTERS = {
+  exchangerate_api: ExchangeRateApiProvider,
+  open_er_api: OpenErApiProvider,
+  static_file: StaticFileProvider
+};
+
+// Made-up rates when no provider answers; opt-in, for offline development
+const MOCK_RATES = process.env.EXCHANGE_RATE_MOCK === 'true';
+
+// Significant digits kept for every rate, direct or derived
+const RATE_PRECISION = 8;
+
+function rateError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// Mid-market rates from the providers in src/config/exchangeRates.js. Every
+// adapter implements
+//   getTable(base) -> { rates: { CODE: units per 1 base }, asOf }
+// and throws when the provider can't be reached. One table against
+// baseCurrency is fetched per refresh and every pair is triangulated from it.
+//
+// Every new table is emitted as 'refresh' on events.
+//
+// Rates carry their source and age. getRate() serves the freshest rate it can
+// find, however old; getTransactableRate() is for anything that moves money and
+// refuses rates older than maxAgeSeconds and made-up rates. Made-up rates are
+// only served with EXCHANGE_RATE_MOCK=true.
 class ExchangeRateService {
   constructor() {
-    this.apiKey = process.env.EXCHANGE_RATE_API_KEY;
-    this.baseUrl = 'https://v6.exchangerate-api.com/v6';
-    this.cache = new Map();
-    this.cacheExpiry = 60000;
+    this.providers = rateConfig.providers.map(({ name, adapter, options }) => {
+      const Adapter = ADAPTERS[adapter];
+      if (!Adapter) {
+        throw new Error(`Unknown exchange rate adapter "${adapter}" for provider ${name}`);
+      }
+      return new Adapter(name, { timeoutMs: rateConfig.timeoutMs, ...options });
+    });
+    this.mockProvider = MOCK_RATES ? new MockRateProvider('mock') : null;
+
+    this.base = rateConfig.baseCurrency;
+    this.cacheExpiry = rateConfig.cacheSeconds * 1000;
+    this.refreshSeconds = rateConfig.refreshSeconds;
+    this.maxAgeSeconds = rateConfig.maxAgeSeconds;
+
+    this.table = null; // { rates, asOf, source, mock, fetchedAt }
+    this.inflight = new Map(); // base currency -> pending fetch
+    this.lastReadAt = 0;
+    this.refresher = null;
+    this.events = new EventEmitter();
   }
 
-  async getRate(from, to) {
-    const cacheKey = `${from}_${to}`;
-    const cached = this.cache.get(cacheKey);
-    
-    if (cached && Date.now() - cached.timestamp < this.cacheExpiry) {
-      console.log(`Cache hit for ${from}→${to}`);
-      return cached.data;
+  // Concurrent callers for the same key share one fetch
+  coalesce(key, fetch) {
+    if (!this.inflight.has(key)) {
+      this.inflight.set(key, fetch().finally(() => this.inflight.delete(key)));
     }
+    return this.inflight.get(key);
+  }
 
-    try {
-      const response = await axios.get(
-        `${this.baseUrl}/${this.apiKey}/pair/${from}/${to}`
-      );
-      
-      if (response.data.result !== 'success') {
-        throw new Error('Failed to fetch exchange rate');
+  async getTable() {
+    this.lastReadAt = Date.now();
+
+    if (this.table && Date.now() - this.table.fetchedAt < this.cacheExpiry) {
+      return this.table;
+    }
+    return this.refreshTable();
+  }
+
+  refreshTable() {
+    return this.coalesce(this.base, () => this.fetchTable(this.table));
+  }
+
+  async fetchTable(cached) {
+    for (const provider of this.providers) {
+      if (!provider.enabled) continue;
+
+      let table;
+      try {
+        table = await provider.getTable(this.base);
+      } catch (error) {
+        console.error(`Rate provider ${provider.name} failed for ${this.base} table:`, error.message);
+        continue;
       }
 
-      const result = {
-        rate: response.data.conversion_rate,
-        timestamp: Date.now(),
-        from,
-        to,
-      };
-
-      this.cache.set(cacheKey, { data: result, timestamp: Date.now() });
-      
-      return result;
-    } catch (error) {
-      console.error(`Failed to fetch rate for ${from}→${to}:`, error.message);
-      return this.getMockRate(from, to);
+      // A fallback can be older than what we already had
+      if (cached && cached.asOf > table.asOf) {
+        this.table = { ...cached, fetchedAt: Date.now() };
+        return this.table;
+      }
+
+      this.table = { rates: table.rates, asOf: table.asOf, source: provider.name, mock: false, fetchedAt: Date.now() };
+      this.events.emit('refresh', this.table);
+      return this.table;
     }
+
+    // Keep serving the last table, and wait a full cache period before
+    // trying the providers again
+    if (cached) {
+      this.table = { ...cached, fetchedAt: Date.now() };
+      return this.table;
+    }
+
+    const mock = await this.getMockTable();
+    if (mock) {
+      return mock;
+    }
+    throw rateError('No exchange rates available', 503);
   }
 
-  getMockRate(from, to) {
-    const mockRates = {
-      'USD_MXN': 17.5,
-      'USD_PHP': 56.0,
-      'USD_INR': 83.0,
-      'USD_NGN': 1550.0,
-    };
+  async getMockTable() {
+    if (!this.mockProvider) return null;
 
-    return {
-      rate: mockRates[`${from}_${to}`] || 1.0,
-      timestamp: Date.now(),
+    const table = await this.mockProvider.getTable(this.base);
+    return { rates: table.rates, asOf: table.asOf, source: 'mock', mock: true, fetchedAt: Date.now() };
+  }
+
+  // Cross rate via the base currency
+  derive(table, from, to) {
+    if (from === to) {
+      return this.withAge({ from, to, rate: 1, asOf: Date.now(), source: 'identity', mock: false });
+    }
+
+    const fromRate = table.rates[from];
+    const toRate = table.rates[to];
+    if (!fromRate || !toRate) {
+      throw rateError(`Unsupported currency pair ${from}/${to}`);
+    }
+
+    return this.withAge({
       from,
       to,
-      mock: true,
+      rate: parseFloat((toRate / fromRate).toPrecision(RATE_PRECISION)),
+      asOf: table.asOf,
+      source: table.source,
+      mock: table.mock
+    });
+  }
+
+  withAge(data) {
+    const ageSeconds = Math.max(Math.round((Date.now() - data.asOf) / 1000), 0);
+
+    return {
+      ...data,
+      timestamp: data.asOf,
+      ageSeconds,
+      stale: ageSeconds > this.maxAgeSeconds
     };
   }
 
+  async getRate(from, to) {
+    if (from === to) {
+      return this.derive(null, from, to);
+    }
+    return this.derive(await this.getTable(), from, to);
+  }
+
+  // For quotes and transfers
+  async getTransactableRate(from, to) {
+    const rateData = await this.getRate(from, to);
+
+    if (rateData.mock) {
+      throw rateError(`No real ${from}/${to} rate is available; transfers are paused`, 503);
+    }
+
+    if (rateData.stale) {
+      throw rateError(
+        `The ${from}/${to} rate from ${rateData.source} is ${rateData.ageSeconds}s old; transfers are paused until a fresh rate is available`,
+        503
+      );
+    }
+
+    return rateData;
+  }
+
+  // Every pair from the same table
   async getBatchRates(pairs) {
-    return Promise.all(
-      pairs.map(({ from, to }) => this.getRate(from, to))
-    );
+    const table = await this.getTable();
+    return pairs.map(({ from, to }) => this.derive(table, from, to));
+  }
+
+  // Refreshes the table ahead of expiry while rates are being read, so busy
+  // corridors never wait on a provider; an idle process makes no upstream calls
+  start() {
+    if (this.refresher) return;
+
+    this.refresher = setInterval(() => {
+      if (this.table && this.lastReadAt < this.table.fetchedAt) return;
+
+      this.refreshTable()
+        .catch(error => console.error('❌ Exchange rate refresh failed:', error.message));
+    }, this.refreshSeconds * 1000);
+    this.refresher.unref();
+  }
+
+  stop() {
+    clearInterval(this.refresher);
+    this.refresher = null;
   }
 }
 
-module.exports = new ExchangeRateService();
\ No newline at end of file
+module.exports = new ExchangeRateService();
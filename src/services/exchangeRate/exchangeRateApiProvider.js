@@ -0,0 +1,31 @@
+const axios = require('axios');
+
+// exchangerate-api.com (v6 latest endpoint). Needs an API key; without one the
+// provider is skipped.
+class ExchangeRateApiProvider {
+  constructor(name, options = {}) {
+    this.name = name;
+    this.apiKey = options.apiKey || null;
+    this.baseUrl = options.baseUrl || 'https://v6.exchangerate-api.com/v6';
+    this.timeoutMs = options.timeoutMs || 5000;
+    this.enabled = Boolean(this.apiKey);
+  }
+
+  async getTable(base) {
+    const response = await axios.get(`${this.baseUrl}/${this.apiKey}/latest/${base}`, {
+      timeout: this.timeoutMs
+    });
+    const data = response.data;
+
+    if (data.result !== 'success') {
+      throw new Error(`exchangerate-api returned ${data['error-type'] || data.result}`);
+    }
+
+    return {
+      rates: data.conversion_rates,
+      asOf: data.time_last_update_unix * 1000
+    };
+  }
+}
+
+module.exports = ExchangeRateApiProvider;
@@ -0,0 +1,28 @@
+// Made-up rates for local development. Only used with EXCHANGE_RATE_MOCK=true,
+// when no provider has a usable rate, and never for quotes or transfers.
+const MOCK_RATES = {
+  USD: 1,
+  MXN: 17.5,
+  PHP: 56.0,
+  INR: 83.0,
+  NGN: 1550.0
+};
+
+class MockRateProvider {
+  constructor(name) {
+    this.name = name;
+  }
+
+  async getTable(base) {
+    if (!MOCK_RATES[base]) {
+      throw new Error(`No mock rate for ${base}`);
+    }
+
+    return {
+      rates: Object.fromEntries(Object.entries(MOCK_RATES).map(([code, rate]) => [code, rate / MOCK_RATES[base]])),
+      asOf: Date.now()
+    };
+  }
+}
+
+module.exports = MockRateProvider;
@@ -0,0 +1,28 @@
+const axios = require('axios');
+
+// open.er-api.com, the keyless tier of exchangerate-api. Updated daily, so it
+// is a fallback rather than a primary source.
+class OpenErApiProvider {
+  constructor(name, options = {}) {
+    this.name = name;
+    this.baseUrl = options.baseUrl || 'https://open.er-api.com/v6';
+    this.timeoutMs = options.timeoutMs || 5000;
+    this.enabled = true;
+  }
+
+  async getTable(base) {
+    const response = await axios.get(`${this.baseUrl}/latest/${base}`, { timeout: this.timeoutMs });
+    const data = response.data;
+
+    if (data.result !== 'success') {
+      throw new Error(`open.er-api returned ${data['error-type'] || data.result}`);
+    }
+
+    return {
+      rates: data.rates,
+      asOf: data.time_last_update_unix * 1000
+    };
+  }
+}
+
+module.exports = OpenErApiProvider;
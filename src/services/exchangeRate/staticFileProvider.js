@@ -0,0 +1,39 @@
+const fs = require('fs');
+
+// Last resort: a JSON file of rates against one base currency,
+//   { "base": "USD", "asOf": "<ISO date>", "rates": { "MXN": 17.5, ... } }
+// Its age is the file's asOf, so it is normally too old to transact with.
+class StaticFileProvider {
+  constructor(name, options = {}) {
+    this.name = name;
+    this.path = options.path;
+    this.enabled = Boolean(this.path);
+    this.file = null;
+  }
+
+  load() {
+    if (!this.file) {
+      const file = JSON.parse(fs.readFileSync(this.path, 'utf8'));
+      this.file = {
+        asOf: Date.parse(file.asOf),
+        rates: { ...file.rates, [file.base]: 1 }
+      };
+    }
+    return this.file;
+  }
+
+  // Rebased when the file uses a different base
+  async getTable(base) {
+    const { asOf, rates } = this.load();
+    if (!rates[base]) {
+      throw new Error(`${this.path} has no rate for ${base}`);
+    }
+
+    return {
+      rates: Object.fromEntries(Object.entries(rates).map(([code, rate]) => [code, rate / rates[base]])),
+      asOf
+    };
+  }
+}
+
+module.exports = StaticFileProvider;
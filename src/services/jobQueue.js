@@ -0,0 +1,174 @@
+const db = require('../config/database');
+
+// Namespace for pg_advisory_xact_lock(namespace, hashtext(type)) in enqueueOnce
+const LOCK_NAMESPACE = 7002;
+
+// Postgres-backed job queue. Workers claim jobs with FOR UPDATE SKIP LOCKED so
+// several processes can share the table; a job whose worker died is reclaimed
+// once its lock is older than lockTimeoutSeconds.
+class JobQueue {
+  constructor() {
+    this.pollIntervalMs = parseInt(process.env.JOB_POLL_INTERVAL_MS) || 1000;
+    this.lockTimeoutSeconds = parseInt(process.env.JOB_LOCK_TIMEOUT_SECONDS) || 300;
+    this.backoffBaseSeconds = parseInt(process.env.JOB_BACKOFF_BASE_SECONDS) || 5;
+    this.backoffMaxSeconds = parseInt(process.env.JOB_BACKOFF_MAX_SECONDS) || 3600;
+    this.defaultMaxAttempts = parseInt(process.env.JOB_MAX_ATTEMPTS) || 5;
+    this.handlers = new Map();
+    this.running = false;
+    this.timer = null;
+    this.current = null;
+  }
+
+  // handler(payload, job) does the work; onDead(payload, job, error) runs once
+  // when the job is moved to the dead-letter state
+  register(type, handler, { onDead } = {}) {
+    this.handlers.set(type, { handler, onDead });
+  }
+
+  async enqueue(type, payload = {}, { client = db, delaySeconds = 0, maxAttempts } = {}) {
+    const result = await client.query(
+      `INSERT INTO jobs (type, payload, max_attempts, run_at)
+       VALUES ($1, $2, $3, NOW() + make_interval(secs => $4))
+       RETURNING id`,
+      [type, JSON.stringify(payload), maxAttempts || this.defaultMaxAttempts, delaySeconds]
+    );
+
+    return result.rows[0].id;
+  }
+
+  // For self-rescheduling jobs: enqueues unless one of this type is already
+  // waiting or running. The advisory lock serializes processes booting at
+  // the same time, so only one of them starts the chain.
+  async enqueueOnce(type, payload = {}, { delaySeconds = 0 } = {}) {
+    await db.withTransaction(async (client) => {
+      await client.query('SELECT pg_advisory_xact_lock($1, hashtext($2))', [LOCK_NAMESPACE, type]);
+      await client.query(
+        `INSERT INTO jobs (type, payload, max_attempts, run_at)
+         SELECT $1, $2, $3, NOW() + make_interval(secs => $4)
+         WHERE NOT EXISTS (
+           SELECT 1 FROM jobs WHERE type = $1 AND status IN ('queued', 'running')
+         )`,
+        [type, JSON.stringify(payload), this.defaultMaxAttempts, delaySeconds]
+      );
+    });
+  }
+
+  start() {
+    if (this.running) return;
+    this.running = true;
+    console.log(`👷 Job worker started (polling every ${this.pollIntervalMs}ms)`);
+    this.schedule(0);
+  }
+
+  async stop() {
+    this.running = false;
+    clearTimeout(this.timer);
+    if (this.current) {
+      await this.current;
+    }
+  }
+
+  schedule(delay) {
+    if (!this.running) return;
+    this.timer = setTimeout(() => {
+      this.current = this.drain()
+        .catch(error => console.error('❌ Job worker error:', error))
+        .finally(() => {
+          this.current = null;
+          this.schedule(this.pollIntervalMs);
+        });
+    }, delay);
+  }
+
+  // Works through every runnable job before going back to sleep
+  async drain() {
+    while (this.running) {
+      const job = await this.claim();
+      if (!job) return;
+      await this.run(job);
+    }
+  }
+
+  async claim() {
+    const result = await db.query(
+      `UPDATE jobs
+       SET status = 'running', locked_at = NOW(), attempts = attempts + 1, updated_at = NOW()
+       WHERE id = (
+         SELECT id FROM jobs
+         WHERE (status = 'queued' AND run_at <= NOW())
+            OR (status = 'running' AND locked_at < NOW() - make_interval(secs => $1))
+         ORDER BY run_at
+         FOR UPDATE SKIP LOCKED
+         LIMIT 1
+       )
+       RETURNING *`,
+      [this.lockTimeoutSeconds]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  async run(job) {
+    const registration = this.handlers.get(job.type);
+
+    try {
+      if (!registration) {
+        const error = new Error(`No handler registered for job type ${job.type}`);
+        error.retryable = false;
+        throw error;
+      }
+
+      await registration.handler(job.payload, job);
+
+      await db.query(
+        `UPDATE jobs
+         SET status = 'completed', locked_at = NULL, completed_at = NOW(), updated_at = NOW()
+         WHERE id = $1`,
+        [job.id]
+      );
+    } catch (error) {
+      await this.fail(job, registration, error);
+    }
+  }
+
+  async fail(job, registration, error) {
+    const dead = error.retryable === false || job.attempts >= job.max_attempts;
+
+    if (dead) {
+      console.error(`☠️  Job ${job.id} (${job.type}) moved to dead letter after ${job.attempts} attempt(s):`, error.message);
+
+      await db.query(
+        `UPDATE jobs
+         SET status = 'dead', locked_at = NULL, last_error = $1, updated_at = NOW()
+         WHERE id = $2`,
+        [error.message, job.id]
+      );
+
+      if (registration && registration.onDead) {
+        try {
+          await registration.onDead(job.payload, job, error);
+        } catch (hookError) {
+          console.error(`❌ Dead-letter hook for job ${job.id} failed:`, hookError);
+        }
+      }
+      return;
+    }
+
+    const delaySeconds = this.backoffSeconds(job.attempts);
+    console.warn(`🔁 Job ${job.id} (${job.type}) failed, retrying in ${delaySeconds}s:`, error.message);
+
+    await db.query(
+      `UPDATE jobs
+       SET status = 'queued', locked_at = NULL, last_error = $1,
+           run_at = NOW() + make_interval(secs => $2), updated_at = NOW()
+       WHERE id = $3`,
+      [error.message, delaySeconds, job.id]
+    );
+  }
+
+  backoffSeconds(attempts) {
+    return Math.min(this.backoffBaseSeconds * 2 ** (attempts - 1), this.backoffMaxSeconds);
+  }
+}
+
+module.exports = new JobQueue();
@@ -0,0 +1,256 @@
+const db = require('../config/database');
+const documentStorage = require('./documentStorage');
+
+const TIERS = ['unverified', 'basic', 'full'];
+
+// Identity data and documents each tier requires
+const REQUIREMENTS = {
+  basic: {
+    fields: ['fullName', 'dateOfBirth', 'nationality', 'address'],
+    documents: []
+  },
+  full: {
+    fields: ['fullName', 'dateOfBirth', 'nationality', 'address', 'idType', 'idNumber'],
+    documents: ['government_id', 'proof_of_address']
+  }
+};
+
+const DOCUMENT_TYPES = ['government_id', 'proof_of_address', 'selfie'];
+
+function kycError(message, status = 400, details) {
+  const error = new Error(message);
+  error.status = status;
+  error.details = details;
+  return error;
+}
+
+class KYCService {
+  constructor() {
+    this.tiers = TIERS;
+  }
+
+  async getStatus(userId) {
+    const user = await db.query(
+      'SELECT verification_tier FROM users WHERE id = $1',
+      [userId]
+    );
+
+    const latest = await db.query(
+      `SELECT * FROM kyc_submissions WHERE user_id = $1
+       ORDER BY created_at DESC LIMIT 1`,
+      [userId]
+    );
+
+    return {
+      verificationTier: user.rows[0] ? user.rows[0].verification_tier : 'unverified',
+      latestSubmission: latest.rows[0] ? this.formatSubmission(latest.rows[0]) : null,
+      requirements: REQUIREMENTS
+    };
+  }
+
+  async submit(userId, submission) {
+    const { requestedTier, documents = [] } = submission;
+    const requirements = REQUIREMENTS[requestedTier];
+
+    if (!requirements) {
+      throw kycError(`requestedTier must be one of: ${Object.keys(REQUIREMENTS).join(', ')}`);
+    }
+
+    const missingFields = requirements.fields.filter(field => !submission[field]);
+    if (missingFields.length > 0) {
+      throw kycError(`Missing required fields: ${missingFields.join(', ')}`);
+    }
+
+    const unknownTypes = documents.filter(doc => !DOCUMENT_TYPES.includes(doc.type));
+    if (unknownTypes.length > 0) {
+      throw kycError(`Document type must be one of: ${DOCUMENT_TYPES.join(', ')}`);
+    }
+
+    const missingDocuments = requirements.documents.filter(type => !documents.some(doc => doc.type === type));
+    if (missingDocuments.length > 0) {
+      throw kycError(`Missing required documents: ${missingDocuments.join(', ')}`);
+    }
+
+    const status = await this.getStatus(userId);
+    if (TIERS.indexOf(requestedTier) <= TIERS.indexOf(status.verificationTier)) {
+      throw kycError(`You are already verified at the ${status.verificationTier} tier`, 409);
+    }
+    if (status.latestSubmission && status.latestSubmission.status === 'pending') {
+      throw kycError('A verification request is already under review', 409);
+    }
+
+    // Write files first; remove them again if the database insert fails
+    const stored = [];
+    try {
+      for (const doc of documents) {
+        stored.push({ ...doc, ...(await documentStorage.save(userId, doc)) });
+      }
+
+      return await db.withTransaction(async (client) => {
+        const result = await client.query(
+          `INSERT INTO kyc_submissions
+           (user_id, requested_tier, full_name, date_of_birth, nationality, address, id_type, id_number_last4)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+           RETURNING *`,
+          [
+            userId,
+            requestedTier,
+            submission.fullName,
+            submission.dateOfBirth,
+            submission.nationality.toUpperCase(),
+            submission.address,
+            submission.idType || null,
+            submission.idNumber ? String(submission.idNumber).slice(-4) : null
+          ]
+        );
+        const row = result.rows[0];
+
+        for (const doc of stored) {
+          await client.query(
+            `INSERT INTO kyc_documents
+             (submission_id, document_type, storage_path, original_name, mime_type, size_bytes, sha256)
+             VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+            [row.id, doc.type, doc.storagePath, doc.fileName || null, doc.mimeType, doc.sizeBytes, doc.sha256]
+          );
+        }
+
+        return this.formatSubmission(row);
+      });
+    } catch (error) {
+      await Promise.all(stored.map(doc => documentStorage.remove(doc.storagePath).catch(() => {})));
+      throw error;
+    }
+  }
+
+  async listSubmissions({ status = 'pending', limit = 50, offset = 0 } = {}) {
+    const result = await db.query(
+      `SELECT s.*, u.email, u.first_name, u.last_name
+       FROM kyc_submissions s
+       JOIN users u ON s.user_id = u.id
+       WHERE s.status = $1
+       ORDER BY s.created_at
+       LIMIT $2 OFFSET $3`,
+      [status, limit, offset]
+    );
+
+    return result.rows.map(row => ({
+      ...this.formatSubmission(row),
+      user: { email: row.email, firstName: row.first_name, lastName: row.last_name }
+    }));
+  }
+
+  async getSubmission(submissionId) {
+    const result = await db.query('SELECT * FROM kyc_submissions WHERE id = $1', [submissionId]);
+    if (result.rows.length === 0) {
+      throw kycError('Submission not found', 404);
+    }
+
+    const documents = await db.query(
+      `SELECT id, document_type, original_name, mime_type, size_bytes, sha256, created_at
+       FROM kyc_documents WHERE submission_id = $1 ORDER BY id`,
+      [submissionId]
+    );
+
+    return {
+      ...this.formatSubmission(result.rows[0]),
+      documents: documents.rows.map(doc => ({
+        id: doc.id,
+        type: doc.document_type,
+        fileName: doc.original_name,
+        mimeType: doc.mime_type,
+        sizeBytes: doc.size_bytes,
+        sha256: doc.sha256,
+        uploadedAt: doc.created_at
+      }))
+    };
+  }
+
+  async getDocument(documentId) {
+    const result = await db.query('SELECT * FROM kyc_documents WHERE id = $1', [documentId]);
+    if (result.rows.length === 0) {
+      throw kycError('Document not found', 404);
+    }
+
+    const doc = result.rows[0];
+    return {
+      mimeType: doc.mime_type,
+      fileName: doc.original_name,
+      content: await documentStorage.read(doc.storage_path)
+    };
+  }
+
+  async review(submissionId, reviewerId, decision, notes) {
+    return db.withTransaction(async (client) => {
+      const result = await client.query(
+        `UPDATE kyc_submissions
+         SET status = $1, reviewed_by = $2, reviewed_at = NOW(), review_notes = $3
+         WHERE id = $4 AND status = 'pending'
+         RETURNING *`,
+        [decision, reviewerId, notes || null, submissionId]
+      );
+
+      if (result.rows.length === 0) {
+        throw kycError('Submission not found or already reviewed', 404);
+      }
+
+      const submission = result.rows[0];
+
+      if (decision === 'approved') {
+        await client.query(
+          'UPDATE users SET verification_tier = $1 WHERE id = $2',
+          [submission.requested_tier, submission.user_id]
+        );
+      }
+
+      return this.formatSubmission(submission);
+    });
+  }
+
+  async approve(submissionId, reviewerId, notes) {
+    return this.review(submissionId, reviewerId, 'approved', notes);
+  }
+
+  async reject(submissionId, reviewerId, reason) {
+    if (!reason) {
+      throw kycError('A rejection reason is required');
+    }
+    return this.review(submissionId, reviewerId, 'rejected', reason);
+  }
+
+  // Gate for money movement: unverified users cannot send at all
+  async assertCanSend(client, userId) {
+    const result = await client.query(
+      'SELECT verification_tier FROM users WHERE id = $1',
+      [userId]
+    );
+    const tier = result.rows[0] ? result.rows[0].verification_tier : 'unverified';
+
+    if (tier === 'unverified') {
+      throw kycError('Verify your identity before sending money', 403, {
+        verificationTier: tier,
+        kycRequired: true
+      });
+    }
+  }
+
+  formatSubmission(row) {
+    return {
+      id: row.id,
+      userId: row.user_id,
+      requestedTier: row.requested_tier,
+      status: row.status,
+      fullName: row.full_name,
+      dateOfBirth: row.date_of_birth,
+      nationality: row.nationality,
+      address: row.address,
+      idType: row.id_type,
+      idNumberLast4: row.id_number_last4,
+      reviewedBy: row.reviewed_by,
+      reviewedAt: row.reviewed_at,
+      reviewNotes: row.review_notes,
+      createdAt: row.created_at
+    };
+  }
+}
+
+module.exports = new KYCService();
@@ -0,0 +1,164 @@
+const db = require('../config/database');
+const limitsConfig = require('../config/limits');
+const exchangeRateService = require('./exchangeRate');
+
+// Statuses whose amounts no longer count against a user's limits
+const RELEASED_STATUSES = ['failed', 'cancelled', 'refunded'];
+
+const WINDOWS = [
+  { period: 'daily', interval: '1 day' },
+  { period: 'weekly', interval: '7 days' },
+  { period: 'monthly', interval: '30 days' }
+];
+
+// Namespace for pg_advisory_xact_lock(namespace, userId)
+const LOCK_NAMESPACE = 7001;
+
+function limitError(message, details) {
+  const error = new Error(message);
+  error.status = 403;
+  error.details = details;
+  return error;
+}
+
+class LimitsService {
+  constructor() {
+    this.config = limitsConfig;
+  }
+
+  async getTier(client, userId) {
+    const result = await client.query(
+      'SELECT verification_tier FROM users WHERE id = $1',
+      [userId]
+    );
+
+    return result.rows[0] ? result.rows[0].verification_tier : 'unverified';
+  }
+
+  capsFor(tier, fromCurrency, toCurrency) {
+    const corridor = this.config.corridors[`${fromCurrency}_${toCurrency}`];
+
+    return {
+      tier: this.config.tiers[tier] || this.config.tiers.unverified,
+      corridor: corridor && corridor[tier] ? corridor[tier] : null
+    };
+  }
+
+  async toLimitCurrency(amount, currency) {
+    if (currency === this.config.currency) {
+      return amount;
+    }
+
+    const rateData = await exchangeRateService.getRate(currency, this.config.currency);
+    return amount * rateData.rate;
+  }
+
+  // Rolling-window totals in the limit currency, optionally for one corridor
+  async getUsage(client, userId, corridor = null) {
+    const params = [userId, RELEASED_STATUSES];
+    let corridorFilter = '';
+
+    if (corridor) {
+      corridorFilter = 'AND currency_sent = $3 AND currency_received = $4';
+      params.push(corridor.fromCurrency, corridor.toCurrency);
+    }
+
+    const result = await client.query(
+      `SELECT currency_sent,
+        ${WINDOWS.map(w => `COALESCE(SUM(amount_sent) FILTER (WHERE created_at > NOW() - INTERVAL '${w.interval}'), 0) AS ${w.period}`).join(',\n        ')}
+       FROM transactions
+       WHERE sender_id = $1
+         AND status <> ALL($2)
+         AND created_at > NOW() - INTERVAL '30 days'
+         ${corridorFilter}
+       GROUP BY currency_sent`,
+      params
+    );
+
+    const usage = { daily: 0, weekly: 0, monthly: 0 };
+    for (const row of result.rows) {
+      for (const { period } of WINDOWS) {
+        usage[period] += await this.toLimitCurrency(parseFloat(row[period]), row.currency_sent);
+      }
+    }
+
+    return usage;
+  }
+
+  summarize(caps, usage) {
+    return {
+      perTransaction: caps.perTransaction,
+      windows: WINDOWS.map(({ period }) => ({
+        period,
+        limit: caps[period],
+        used: parseFloat(usage[period].toFixed(2)),
+        remaining: parseFloat(Math.max(caps[period] - usage[period], 0).toFixed(2))
+      }))
+    };
+  }
+
+  async getLimits(userId, { fromCurrency, toCurrency } = {}) {
+    const tier = await this.getTier(db, userId);
+    const caps = this.capsFor(tier, fromCurrency, toCurrency);
+
+    return {
+      tier,
+      currency: this.config.currency,
+      minimumAmount: this.config.minimumAmount,
+      overall: this.summarize(caps.tier, await this.getUsage(db, userId)),
+      corridor: caps.corridor
+        ? {
+            fromCurrency,
+            toCurrency,
+            ...this.summarize(caps.corridor, await this.getUsage(db, userId, { fromCurrency, toCurrency }))
+          }
+        : null
+    };
+  }
+
+  // Must run inside the transaction that inserts the transfer: the advisory
+  // lock serializes concurrent transfers by the same user until commit.
+  async assertWithinLimits(client, userId, amount, fromCurrency, toCurrency) {
+    await client.query('SELECT pg_advisory_xact_lock($1, $2)', [LOCK_NAMESPACE, userId]);
+
+    const amountInLimitCurrency = await this.toLimitCurrency(amount, fromCurrency);
+    if (amountInLimitCurrency < this.config.minimumAmount) {
+      throw limitError(`Minimum transfer amount is ${this.config.minimumAmount} ${this.config.currency}`);
+    }
+
+    const tier = await this.getTier(client, userId);
+    const caps = this.capsFor(tier, fromCurrency, toCurrency);
+
+    const checks = [{ scope: 'overall', caps: caps.tier, usage: await this.getUsage(client, userId) }];
+    if (caps.corridor) {
+      checks.push({
+        scope: `${fromCurrency}→${toCurrency}`,
+        caps: caps.corridor,
+        usage: await this.getUsage(client, userId, { fromCurrency, toCurrency })
+      });
+    }
+
+    for (const { scope, caps: scopeCaps, usage } of checks) {
+      if (amountInLimitCurrency > scopeCaps.perTransaction) {
+        throw limitError(`Transfer exceeds your per-transaction limit (${scope})`, {
+          tier, scope, period: 'perTransaction', limit: scopeCaps.perTransaction, currency: this.config.currency
+        });
+      }
+
+      for (const { period } of WINDOWS) {
+        if (usage[period] + amountInLimitCurrency > scopeCaps[period]) {
+          throw limitError(`Transfer exceeds your ${period} limit (${scope})`, {
+            tier,
+            scope,
+            period,
+            limit: scopeCaps[period],
+            remaining: parseFloat(Math.max(scopeCaps[period] - usage[period], 0).toFixed(2)),
+            currency: this.config.currency
+          });
+        }
+      }
+    }
+  }
+}
+
+module.exports = new LimitsService();
@@ -0,0 +1,34 @@
+const ConsoleTransport = require('./notifier/consoleTransport');
+const FileTransport = require('./notifier/fileTransport');
+
+const TRANSPORTS = {
+  console: ConsoleTransport,
+  file: FileTransport
+};
+
+// Sends notifications to users through the transport named by
+// NOTIFIER_TRANSPORT (default 'console'). A transport implements
+//   send({ to, subject, text, data })
+// and throws when delivery fails. Email, SMS or push providers plug in by
+// adding a transport here, or at runtime with use().
+class Notifier {
+  constructor() {
+    const name = process.env.NOTIFIER_TRANSPORT || 'console';
+    const Transport = TRANSPORTS[name];
+    if (!Transport) {
+      throw new Error(`Unknown notifier transport "${name}"`);
+    }
+
+    this.transport = new Transport({ path: process.env.NOTIFIER_FILE_PATH });
+  }
+
+  use(transport) {
+    this.transport = transport;
+  }
+
+  async send(message) {
+    await this.transport.send(message);
+  }
+}
+
+module.exports = new Notifier();
@@ -0,0 +1,12 @@
+// Prints notifications to stdout. The default; nothing is delivered.
+class ConsoleTransport {
+  constructor() {
+    this.name = 'console';
+  }
+
+  async send({ to, subject, text }) {
+    console.log(`🔔 Notification to ${to}: ${subject}\n   ${text}`);
+  }
+}
+
+module.exports = ConsoleTransport;
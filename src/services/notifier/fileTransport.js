@@ -0,0 +1,17 @@
+const fs = require('fs');
+
+// Appends each notification as a JSON line to NOTIFIER_FILE_PATH, for local
+// testing.
+class FileTransport {
+  constructor({ path } = {}) {
+    this.name = 'file';
+    this.path = path || 'notifications.log';
+  }
+
+  async send(message) {
+    const line = JSON.stringify({ ...message, sentAt: new Date().toISOString() });
+    await fs.promises.appendFile(this.path, line + '\n');
+  }
+}
+
+module.exports = FileTransport;
@@ -1,8 +1,80 @@
+const providerConfig = require('../config/paymentProviders');
+const SandboxProvider = require('./payment/sandboxProvider');
+
+const ADAPTERS = {
+  sandbox: SandboxProvider
+};
+
+const RULE_FIELDS = ['methodType', 'fromCurrency', 'toCurrency', 'country', 'payoutType'];
+
+function paymentError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// Routes collections, payouts, links and refunds to the providers configured
+// in src/config/paymentProviders.js. Every adapter implements:
+//   link({ userId, methodType, details })                         -> { reference }
+//   collect({ paymentMethod, amount, currency, idempotencyKey })  -> { reference, status, reason }
+//   payout({ recipient, amount, currency, idempotencyKey })       -> { reference, status, reason, method, ... }
+//   refund({ reference, amount, currency, idempotencyKey })       -> { reference, status, reason }
+//   getStatus(reference)                                          -> { status, reason }
+//   parseWebhookEvent(body)  -> { id, type, occurredAt, reference, idempotencyKey, reason }
+// Outcomes ('succeeded', 'pending', 'declined', 'failed', 'returned') are
+// returned; transient problems talking to the provider are thrown.
 class PaymentService {
+  constructor() {
+    this.providers = new Map();
+
+    for (const [name, { adapter, options }] of Object.entries(providerConfig.providers)) {
+      const Adapter = ADAPTERS[adapter];
+      if (!Adapter) {
+        throw new Error(`Unknown payment adapter "${adapter}" for provider ${name}`);
+      }
+      this.providers.set(name, new Adapter(name, options));
+    }
+
+    for (const kind of ['collection', 'payout']) {
+      for (const rule of providerConfig[kind]) {
+        if (!this.providers.has(rule.provider)) {
+          throw new Error(`Unknown payment provider "${rule.provider}" in ${kind} rules`);
+        }
+      }
+    }
+  }
+
+  getProvider(name) {
+    const provider = this.providers.get(name);
+    if (!provider) {
+      throw paymentError(`Unknown payment provider ${name}`, 500);
+    }
+    return provider;
+  }
+
+  // kind is 'collection' or 'payout'; context holds the RULE_FIELDS of the transfer
+  route(kind, context) {
+    const rule = providerConfig[kind].find(candidate =>
+      RULE_FIELDS.every(field => candidate[field] === undefined || candidate[field] === context[field])
+    );
+
+    if (!rule) {
+      const error = paymentError(`No ${kind} provider for ${JSON.stringify(context)}`, 422);
+      error.retryable = false;
+      throw error;
+    }
+
+    return this.getProvider(rule.provider);
+  }
+
   async linkBankAccount(userId, bankDetails) {
+    const provider = this.route('collection', { methodType: 'bank' });
+    const linked = await provider.link({ userId, methodType: 'bank', details: bankDetails });
+
     return {
       success: true,
-      paymentMethodId: 'bank_' + Date.now(),
+      provider: provider.name,
+      providerReference: linked.reference,
       bankName: bankDetails.bankName,
       last4: bankDetails.accountNumber.slice(-4),
       message: 'Bank account linked successfully',
@@ -11,54 +83,76 @@ class PaymentService {
 
   async linkCryptoWallet(userId, walletDetails) {
     if (!this.isValidWalletAddress(walletDetails.address)) {
-      throw new Error('Invalid wallet address');
+      throw paymentError('Invalid wallet address');
     }
 
+    const provider = this.route('collection', { methodType: 'crypto' });
+    const linked = await provider.link({ userId, methodType: 'crypto', details: walletDetails });
+
     return {
       success: true,
-      paymentMethodId: 'crypto_' + Date.now(),
+      provider: provider.name,
+      providerReference: linked.reference,
       walletAddress: walletDetails.address,
       cryptoType: walletDetails.cryptoType,
       message: 'Crypto wallet linked successfully',
     };
   }
 
-  async processPayment(paymentMethodId, amount, currency) {
-    await this.simulateDelay(1000);
+  // Charges the sender. Methods are collected by the provider they were linked with.
+  async collect(transaction, paymentMethod) {
+    const provider = paymentMethod && paymentMethod.provider
+      ? this.getProvider(paymentMethod.provider)
+      : this.route('collection', {
+        methodType: paymentMethod && paymentMethod.type,
+        fromCurrency: transaction.currency_sent,
+        toCurrency: transaction.currency_received
+      });
 
-    return {
-      success: true,
-      transactionId: 'pay_' + Date.now(),
-      amount,
-      currency,
-      timestamp: new Date().toISOString(),
-    };
+    const result = await provider.collect({
+      paymentMethod,
+      amount: parseFloat(transaction.amount_sent),
+      currency: transaction.currency_sent,
+      idempotencyKey: `swiftbase-${transaction.id}-collect`
+    });
+
+    return { provider: provider.name, ...result };
   }
 
-  async processPayout(recipientDetails, amount, currency) {
-    await this.simulateDelay(2000);
-
-    if (recipientDetails.payout_type === 'bank') {
-      return {
-        success: true,
-        payoutId: 'payout_' + Date.now(),
-        method: 'bank_transfer',
-        bankName: recipientDetails.bank_name,
-        amount,
-        currency,
-        estimatedArrival: '1-2 business days',
-      };
-    } else {
-      return {
-        success: true,
-        payoutId: 'payout_' + Date.now(),
-        method: 'cash_pickup',
-        pickupCode: Math.random().toString(36).substr(2, 9).toUpperCase(),
-        amount,
-        currency,
-        estimatedArrival: 'Available now',
-      };
-    }
+  // transaction as loaded by the processor; amount_received is only set on completion
+  async payout(transaction, recipient) {
+    const provider = this.route('payout', {
+      payoutType: recipient.payout_type,
+      country: recipient.country,
+      fromCurrency: transaction.currency_sent,
+      toCurrency: transaction.currency_received
+    });
+
+    const result = await provider.payout({
+      recipient,
+      amount: parseFloat(transaction.quoted_amount_received),
+      currency: transaction.currency_received,
+      idempotencyKey: `swiftbase-${transaction.id}-payout`
+    });
+
+    return { provider: provider.name, ...result };
+  }
+
+  async refund(providerName, reference, amount, currency, idempotencyKey) {
+    const provider = this.getProvider(providerName);
+    const result = await provider.refund({ reference, amount, currency, idempotencyKey });
+
+    return { provider: provider.name, ...result };
+  }
+
+  // From the provider's webhookSecret option or PAYMENT_WEBHOOK_SECRET_<NAME>
+  getWebhookSecret(providerName) {
+    const provider = this.getProvider(providerName);
+    return provider.webhookSecret || process.env[`PAYMENT_WEBHOOK_SECRET_${providerName.toUpperCase()}`] || null;
+  }
+
+  getStatus(providerName, reference) {
+    return this.getProvider(providerName).getStatus(reference);
   }
 
   isValidWalletAddress(address) {
@@ -70,10 +164,6 @@ class PaymentService {
     }
     return false;
   }
-
-  simulateDelay(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
-  }
 }
 
-module.exports = new PaymentService();
\ No newline at end of file
+module.exports = new PaymentService();
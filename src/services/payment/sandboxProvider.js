@@ -0,0 +1,163 @@
+const crypto = require('crypto');
+
+// Fake provider for development and tests; nothing leaves the process.
+// Outcomes are drawn from the configured rates (0 = never, 1 = always):
+//   delayMs          - latency added to every call
+//   declineRate      - collections declined
+//   failureRate      - payouts rejected when submitted
+//   returnRate       - payouts accepted, then reported 'returned' once settled
+//   settleAfterMs    - how long accepted payouts stay 'pending'
+//   payoutMethod, estimatedArrival - echoed back in payout results
+//   webhookSecret    - HMAC secret for POST /api/webhooks/:provider
+// Operations are kept in memory and keyed by idempotency key, so a retried
+// call gets the original result instead of a second operation.
+class SandboxProvider {
+  constructor(name, options = {}) {
+    this.name = name;
+    this.delayMs = options.delayMs ?? 0;
+    this.declineRate = options.declineRate ?? 0;
+    this.failureRate = options.failureRate ?? 0;
+    this.returnRate = options.returnRate ?? 0;
+    this.settleAfterMs = options.settleAfterMs ?? 0;
+    this.payoutMethod = options.payoutMethod || 'bank_transfer';
+    this.estimatedArrival = options.estimatedArrival || null;
+    this.webhookSecret = options.webhookSecret || null;
+
+    this.operations = new Map(); // reference -> operation
+    this.byIdempotencyKey = new Map(); // idempotency key -> reference
+  }
+
+  chance(rate) {
+    return Math.random() < rate;
+  }
+
+  simulateDelay() {
+    return new Promise(resolve => setTimeout(resolve, this.delayMs));
+  }
+
+  newReference(prefix) {
+    return `sbx_${prefix}_${crypto.randomBytes(8).toString('hex')}`;
+  }
+
+  // Returns the operation recorded under idempotencyKey, or records a new one
+  remember(idempotencyKey, create) {
+    const existing = idempotencyKey && this.byIdempotencyKey.get(idempotencyKey);
+    if (existing) {
+      return this.operations.get(existing);
+    }
+
+    const operation = create();
+    this.operations.set(operation.reference, operation);
+    if (idempotencyKey) {
+      this.byIdempotencyKey.set(idempotencyKey, operation.reference);
+    }
+    return operation;
+  }
+
+  async link({ methodType }) {
+    await this.simulateDelay();
+
+    return { reference: this.newReference(`pm_${methodType}`) };
+  }
+
+  async collect({ amount, currency, idempotencyKey }) {
+    await this.simulateDelay();
+
+    const operation = this.remember(idempotencyKey, () => {
+      const declined = this.chance(this.declineRate);
+      return {
+        reference: this.newReference('pay'),
+        kind: 'collect',
+        amount,
+        currency,
+        status: declined ? 'declined' : 'succeeded',
+        reason: declined ? 'Sandbox decline' : null
+      };
+    });
+
+    return { reference: operation.reference, status: operation.status, reason: operation.reason };
+  }
+
+  async payout({ amount, currency, idempotencyKey }) {
+    await this.simulateDelay();
+
+    const operation = this.remember(idempotencyKey, () => {
+      const failed = this.chance(this.failureRate);
+      return {
+        reference: this.newReference('po'),
+        kind: 'payout',
+        amount,
+        currency,
+        status: failed ? 'failed' : 'pending',
+        reason: failed ? 'Sandbox payout rejected' : null,
+        settlesAt: Date.now() + this.settleAfterMs,
+        finalStatus: this.chance(this.returnRate) ? 'returned' : 'succeeded',
+        pickupCode: this.payoutMethod === 'cash_pickup'
+          ? crypto.randomBytes(5).toString('hex').toUpperCase()
+          : null
+      };
+    });
+
+    return {
+      reference: operation.reference,
+      status: operation.status,
+      reason: operation.reason,
+      method: this.payoutMethod,
+      estimatedArrival: this.estimatedArrival,
+      pickupCode: operation.pickupCode
+    };
+  }
+
+  async refund({ reference, amount, currency, idempotencyKey }) {
+    await this.simulateDelay();
+
+    const original = this.operations.get(reference);
+    if (original && original.kind === 'collect' && original.status !== 'succeeded') {
+      return { reference: null, status: 'failed', reason: 'Nothing was collected' };
+    }
+
+    const operation = this.remember(idempotencyKey, () => ({
+      reference: this.newReference('re'),
+      kind: 'refund',
+      amount,
+      currency,
+      status: 'succeeded',
+      reason: null
+    }));
+
+    return { reference: operation.reference, status: operation.status, reason: operation.reason };
+  }
+
+  // Sandbox webhook body: { id, type, created_at, data: { reference, idempotency_key, reason } }
+  parseWebhookEvent(body) {
+    const data = body.data || {};
+
+    return {
+      id: body.id,
+      type: body.type,
+      occurredAt: body.created_at || null,
+      reference: data.reference || null,
+      idempotencyKey: data.idempotency_key || null,
+      reason: data.reason || null
+    };
+  }
+
+  // Operations from before a restart are gone; they are reported settled
+  async getStatus(reference) {
+    await this.simulateDelay();
+
+    const operation = this.operations.get(reference);
+    if (!operation) {
+      return { status: 'succeeded', reason: null };
+    }
+
+    if (operation.kind === 'payout' && operation.status === 'pending' && Date.now() >= operation.settlesAt) {
+      operation.status = operation.finalStatus;
+      operation.reason = operation.status === 'returned' ? 'Sandbox payout returned by the beneficiary bank' : null;
+    }
+
+    return { status: operation.status, reason: operation.reason };
+  }
+}
+
+module.exports = SandboxProvider;
@@ -0,0 +1,182 @@
+const db = require('../config/database');
+
+// Match fields of pricing_rules, as { column: context key }
+const MATCH_FIELDS = {
+  from_currency: 'fromCurrency',
+  to_currency: 'toCurrency',
+  route_type: 'routeType',
+  payout_type: 'payoutType'
+};
+
+function pricingError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function roundMoney(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// The one place fees, spreads and competitor benchmarks are computed, from
+// the pricing_rules table. Rules are cached for PRICING_CACHE_SECONDS, so a
+// change in the table takes effect within that time.
+//
+// For a transfer (fromCurrency, toCurrency, routeType, payoutType, amount) the
+// rule used is, among active rules inside their time window that match:
+//   1. a promo over a standard rule
+//   2. the one setting the most match fields (amount band counts as one)
+//   3. the highest priority, then the newest
+// fee = max(amount * fee_percent + fee_fixed, min_fee), in the sending
+// currency; exchangeRate = midMarketRate * (1 - spread). Amounts above
+// PRICING_MAX_AMOUNT (in any sending currency) are not priced.
+class PricingService {
+  constructor() {
+    this.cacheSeconds = parseInt(process.env.PRICING_CACHE_SECONDS) || 30;
+    this.maxAmount = parseFloat(process.env.PRICING_MAX_AMOUNT) || 10000000;
+    this.rules = null;
+    this.loadedAt = 0;
+  }
+
+  async loadRules() {
+    if (this.rules && Date.now() - this.loadedAt < this.cacheSeconds * 1000) {
+      return this.rules;
+    }
+
+    const result = await db.query(
+      `SELECT * FROM pricing_rules
+       WHERE active = true
+         AND (ends_at IS NULL OR ends_at > NOW())`
+    );
+
+    this.rules = result.rows;
+    this.loadedAt = Date.now();
+    return this.rules;
+  }
+
+  matches(rule, context) {
+    const now = new Date();
+    if (rule.starts_at && rule.starts_at > now) return false;
+    if (rule.ends_at && rule.ends_at <= now) return false;
+
+    for (const [column, key] of Object.entries(MATCH_FIELDS)) {
+      if (rule[column] !== null && rule[column] !== context[key]) return false;
+    }
+
+    if (rule.min_amount !== null && context.amount < parseFloat(rule.min_amount)) return false;
+    if (rule.max_amount !== null && context.amount >= parseFloat(rule.max_amount)) return false;
+
+    return true;
+  }
+
+  specificity(rule) {
+    const fields = Object.keys(MATCH_FIELDS).filter(column => rule[column] !== null).length;
+    const band = rule.min_amount !== null || rule.max_amount !== null ? 1 : 0;
+    return fields + band;
+  }
+
+  best(rules) {
+    return rules.sort((a, b) =>
+      (b.kind === 'promo') - (a.kind === 'promo') ||
+      this.specificity(b) - this.specificity(a) ||
+      b.priority - a.priority ||
+      b.id - a.id
+    )[0] || null;
+  }
+
+  // context: { amount, fromCurrency, toCurrency, routeType, payoutType }
+  async getRule(context) {
+    const rules = await this.loadRules();
+    const rule = this.best(rules.filter(candidate =>
+      candidate.kind !== 'benchmark' && this.matches(candidate, context)
+    ));
+
+    if (!rule) {
+      throw pricingError(`No pricing for ${context.fromCurrency}→${context.toCurrency} via ${context.routeType}`, 422);
+    }
+    return rule;
+  }
+
+  apply(rule, amount, midMarketRate) {
+    const fee = roundMoney(Math.max(
+      amount * parseFloat(rule.fee_percent) + parseFloat(rule.fee_fixed),
+      parseFloat(rule.min_fee)
+    ));
+    if (fee >= amount) {
+      throw pricingError(`Amount does not cover the ${fee} fee`);
+    }
+
+    const spread = parseFloat(rule.spread);
+    const exchangeRate = midMarketRate * (1 - spread);
+
+    return {
+      fee,
+      spread,
+      exchangeRate,
+      amountReceived: (amount - fee) * exchangeRate,
+      estimatedTime: rule.estimated_time
+    };
+  }
+
+  // Routes check this too, with their own messages; this guards every other caller
+  assertAmount(amount) {
+    if (typeof amount !== 'number' || !Number.isFinite(amount) || amount <= 0) {
+      throw pricingError('Amount must be greater than 0');
+    }
+    if (amount > this.maxAmount) {
+      throw pricingError(`Amount must be at most ${this.maxAmount}`);
+    }
+  }
+
+  // Our price: { fee, spread, exchangeRate, amountReceived, estimatedTime, ruleId, promo }
+  async price({ amount, fromCurrency, toCurrency, midMarketRate, routeType = 'xrpl_direct', payoutType = null }) {
+    this.assertAmount(amount);
+    if (!Number.isFinite(midMarketRate) || midMarketRate <= 0) {
+      throw pricingError(`No valid rate for ${fromCurrency}→${toCurrency}`, 503);
+    }
+
+    const rule = await this.getRule({ amount, fromCurrency, toCurrency, routeType, payoutType });
+
+    return {
+      ...this.apply(rule, amount, midMarketRate),
+      ruleId: rule.id,
+      promo: rule.kind === 'promo' ? rule.name : null
+    };
+  }
+
+  // What each competitor would charge for the same transfer, one entry per provider
+  async benchmarks({ amount, fromCurrency, toCurrency, midMarketRate, payoutType = null }) {
+    const rules = await this.loadRules();
+
+    const byProvider = new Map();
+    for (const rule of rules) {
+      if (rule.kind !== 'benchmark') continue;
+      // Benchmarks match on everything but route_type, which names their kind of service
+      if (!this.matches(rule, { amount, fromCurrency, toCurrency, payoutType, routeType: rule.route_type })) continue;
+
+      byProvider.set(rule.provider, [...(byProvider.get(rule.provider) || []), rule]);
+    }
+
+    const results = [];
+    for (const [provider, candidates] of byProvider) {
+      const rule = this.best(candidates);
+      let priced;
+      try {
+        priced = this.apply(rule, amount, midMarketRate);
+      } catch (error) {
+        continue; // their fee exceeds the amount
+      }
+      results.push({ provider, type: rule.route_type, ...priced });
+    }
+    return results;
+  }
+
+  // The benchmark savings are quoted against: a bank transfer, else the worst
+  baseline(benchmarks) {
+    return benchmarks.find(benchmark => benchmark.type === 'bank_transfer') ||
+      [...benchmarks].sort((a, b) => a.amountReceived - b.amountReceived)[0] ||
+      null;
+  }
+}
+
+module.exports = new PricingService();
@@ -0,0 +1,220 @@
+const crypto = require('crypto');
+const db = require('../config/database');
+const jobQueue = require('./jobQueue');
+const paymentService = require('./payment');
+const transactionProcessor = require('./transactionProcessor');
+const refundService = require('./refund');
+const accountingService = require('./accounting');
+
+const JOB_TYPE = 'webhook.process';
+const SIGNATURE_HEADER = 'x-webhook-signature';
+
+// Provider event type -> payout outcome
+const PAYOUT_OUTCOMES = {
+  payout_succeeded: 'succeeded',
+  payout_failed: 'failed',
+  payout_returned: 'returned'
+};
+
+const PAYOUT_KEY_PATTERN = /^swiftbase-(\d+)-payout$/;
+
+function webhookError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// Webhooks sent to POST /api/webhooks/:provider. Each request is signed with
+// HMAC-SHA256 of the raw body under the provider's secret, sent as
+// "X-Webhook-Signature: sha256=<hex>". Verified events are stored once per
+// (provider, event id) and applied by a job, so provider retries are harmless.
+//
+// Events can arrive before our own step has recorded the payout, or after a
+// later event already settled it; the first kind waits for the transaction,
+// the second is ignored. A payout that fails or is returned after the transfer
+// completed is reversed and the sender refunded.
+class ProviderWebhookService {
+  constructor() {
+    jobQueue.register(JOB_TYPE, payload => this.process(payload.eventId), {
+      onDead: (payload, job, error) => this.finish(payload.eventId, 'failed', { notes: error.message })
+    });
+  }
+
+  verifySignature(secret, rawBody, header) {
+    const expected = 'sha256=' + crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+
+    return Boolean(header) &&
+      header.length === expected.length &&
+      crypto.timingSafeEqual(Buffer.from(header), Buffer.from(expected));
+  }
+
+  // Returns { eventId, duplicate }
+  async receive(providerName, rawBody, headers) {
+    let provider;
+    try {
+      provider = paymentService.getProvider(providerName);
+    } catch (error) {
+      throw webhookError('Unknown provider', 404);
+    }
+
+    const secret = paymentService.getWebhookSecret(providerName);
+    if (!secret) {
+      console.error(`❌ Webhook received for ${providerName}, but no webhook secret is configured`);
+      throw webhookError('Webhooks are not configured for this provider', 503);
+    }
+
+    if (!rawBody || !this.verifySignature(secret, rawBody, headers[SIGNATURE_HEADER])) {
+      throw webhookError('Invalid signature', 401);
+    }
+
+    let event;
+    try {
+      event = provider.parseWebhookEvent(JSON.parse(rawBody.toString('utf8')));
+    } catch (error) {
+      throw webhookError('Malformed event');
+    }
+    if (!event.id || !event.type) {
+      throw webhookError('Event id and type are required');
+    }
+
+    return db.withTransaction(async (client) => {
+      const inserted = await client.query(
+        `INSERT INTO provider_webhook_events
+          (provider, event_id, event_type, reference, idempotency_key, reason, occurred_at, raw_body)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+         ON CONFLICT (provider, event_id) DO NOTHING
+         RETURNING id`,
+        [
+          providerName,
+          event.id,
+          event.type,
+          event.reference,
+          event.idempotencyKey,
+          event.reason,
+          event.occurredAt,
+          rawBody.toString('utf8')
+        ]
+      );
+
+      if (inserted.rows.length === 0) {
+        return { eventId: event.id, duplicate: true };
+      }
+
+      await jobQueue.enqueue(JOB_TYPE, { eventId: inserted.rows[0].id }, { client });
+      return { eventId: event.id, duplicate: false };
+    });
+  }
+
+  async process(eventId) {
+    const result = await db.query('SELECT * FROM provider_webhook_events WHERE id = $1', [eventId]);
+    const event = result.rows[0];
+    if (!event || event.status !== 'received') return;
+
+    const outcome = PAYOUT_OUTCOMES[event.event_type];
+    if (!outcome) {
+      await this.finish(event.id, 'ignored', { notes: `Unhandled event type ${event.event_type}` });
+      return;
+    }
+
+    const transactionId = await this.findTransactionId(event);
+    if (!transactionId) {
+      await this.finish(event.id, 'ignored', { notes: 'No matching transaction' });
+      return;
+    }
+
+    // A later event for the same payout has already been applied
+    const newer = await db.query(
+      `SELECT 1 FROM provider_webhook_events
+       WHERE provider = $1 AND reference = $2 AND status = 'processed' AND occurred_at > $3`,
+      [event.provider, event.reference, event.occurred_at]
+    );
+    if (newer.rows.length > 0) {
+      await this.finish(event.id, 'ignored', { transactionId, notes: 'Superseded by a newer event' });
+      return;
+    }
+
+    const transaction = await transactionProcessor.load(transactionId);
+
+    if (['on_ledger', 'funds_captured', 'pending', 'held'].includes(transaction.status)) {
+      // Our payout step has not recorded the payout yet; retried with backoff
+      throw new Error(`Transaction ${transactionId} is ${transaction.status}, waiting for the payout to be recorded`);
+    }
+
+    if (transaction.status !== 'payout_initiated' &&
+        !(transaction.status === 'completed' && outcome !== 'succeeded')) {
+      await this.finish(event.id, 'ignored', { transactionId, notes: `Transaction already ${transaction.status}` });
+      return;
+    }
+
+    if (transaction.payout_provider !== event.provider) {
+      await this.finish(event.id, 'ignored', { transactionId, notes: `Payout was sent via ${transaction.payout_provider}` });
+      return;
+    }
+
+    if (transaction.status === 'completed') {
+      await this.reverseCompleted(transaction, event, outcome);
+      return;
+    }
+
+    try {
+      await transactionProcessor.settlePayout(transaction, outcome, {
+        reason: event.reason,
+        metadata: { webhookEventId: event.event_id, provider: event.provider }
+      });
+    } catch (error) {
+      // Settled by polling between our read and the transition
+      if (error.code !== 'INVALID_TRANSITION') throw error;
+      await this.finish(event.id, 'ignored', { transactionId, notes: error.message });
+      return;
+    }
+
+    await this.finish(event.id, 'processed', { transactionId });
+  }
+
+  // Refunds a completed transfer whose payout came back. Retried until the
+  // refund is queued; both steps are safe to repeat.
+  async reverseCompleted(transaction, event, outcome) {
+    const reason = `Payout ${outcome} after completion${event.reason ? `: ${event.reason}` : ''}`;
+
+    await db.withTransaction(client => accountingService.recordPayoutReturn(client, transaction));
+    const refund = await refundService.request(transaction.id, { reason });
+    const notes = refund ? `${reason}; refund ${refund.id}` : `${reason}; nothing was collected to refund`;
+
+    console.warn(`⚠️  Transaction ${transaction.id}: ${notes}`);
+    await this.finish(event.id, 'processed', { transactionId: transaction.id, notes });
+  }
+
+  async findTransactionId(event) {
+    if (event.reference) {
+      const byReference = await db.query(
+        'SELECT id FROM transactions WHERE payout_provider = $1 AND payout_reference = $2',
+        [event.provider, event.reference]
+      );
+      if (byReference.rows[0]) {
+        return byReference.rows[0].id;
+      }
+    }
+
+    // Providers echo our idempotency key, which is known before the payout is recorded
+    const key = event.idempotency_key && event.idempotency_key.match(PAYOUT_KEY_PATTERN);
+    if (key) {
+      const byKey = await db.query('SELECT id FROM transactions WHERE id = $1', [parseInt(key[1])]);
+      if (byKey.rows[0]) {
+        return byKey.rows[0].id;
+      }
+    }
+
+    return null;
+  }
+
+  async finish(eventId, status, { transactionId = null, notes = null } = {}) {
+    await db.query(
+      `UPDATE provider_webhook_events
+       SET status = $1, transaction_id = COALESCE($2, transaction_id), notes = $3, processed_at = NOW()
+       WHERE id = $4`,
+      [status, transactionId, notes, eventId]
+    );
+  }
+}
+
+module.exports = new ProviderWebhookService();
@@ -0,0 +1,137 @@
+const crypto = require('crypto');
+const db = require('../config/database');
+const pricingService = require('./pricing');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+function quoteError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+class QuoteService {
+  constructor() {
+    this.ttlSeconds = parseInt(process.env.QUOTE_TTL_SECONDS) || 60;
+  }
+
+  // Priced by src/services/pricing.js; payoutType is null until a recipient is known
+  async createQuote({ userId = null, amount, fromCurrency, toCurrency, routeType, payoutType = null, midMarketRate }) {
+    const pricing = await pricingService.price({
+      amount,
+      fromCurrency,
+      toCurrency,
+      midMarketRate,
+      routeType,
+      payoutType
+    });
+    const { fee, spread, exchangeRate, amountReceived } = pricing;
+
+    const result = await db.query(
+      `INSERT INTO quotes
+       (id, user_id, from_currency, to_currency, amount_sent, mid_market_rate, spread,
+        exchange_rate, fee, amount_received, route_type, payout_type, pricing_rule_id, expires_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, NOW() + make_interval(secs => $14))
+       RETURNING *`,
+      [
+        crypto.randomUUID(),
+        userId,
+        fromCurrency,
+        toCurrency,
+        amount,
+        midMarketRate,
+        spread,
+        exchangeRate,
+        fee,
+        amountReceived,
+        routeType,
+        payoutType,
+        pricing.ruleId,
+        this.ttlSeconds
+      ]
+    );
+
+    return { ...this.format(result.rows[0]), estimatedTime: pricing.estimatedTime, promo: pricing.promo };
+  }
+
+  // Locks the quote for the caller's transaction and marks it used.
+  // Anonymous quotes (issued by /api/rates/calculate) can be redeemed by any user.
+  async redeemQuote(client, quoteId, userId) {
+    if (!UUID_PATTERN.test(String(quoteId))) {
+      throw quoteError('Quote not found', 404);
+    }
+
+    const result = await client.query(
+      `SELECT *, expires_at <= NOW() AS expired
+       FROM quotes
+       WHERE id = $1 AND (user_id IS NULL OR user_id = $2)
+       FOR UPDATE`,
+      [quoteId, userId]
+    );
+
+    if (result.rows.length === 0) {
+      throw quoteError('Quote not found', 404);
+    }
+
+    const quote = result.rows[0];
+
+    if (quote.used_at) {
+      throw quoteError('Quote has already been used', 409);
+    }
+
+    if (quote.expired) {
+      throw quoteError('Quote has expired, please request a new one', 410);
+    }
+
+    await client.query(
+      'UPDATE quotes SET used_at = NOW() WHERE id = $1',
+      [quoteId]
+    );
+
+    return this.format(quote);
+  }
+
+  // A quote is usually priced before the recipient is known. It stands for a
+  // recipient with another payout type unless that payout type would price the
+  // transfer differently; both are priced under the current rules, so an
+  // expired promo or a changed rule alone never voids a locked quote.
+  async assertPayoutType(quote, payoutType) {
+    if (quote.payoutType === payoutType) return;
+
+    const context = {
+      amount: quote.amountSent,
+      fromCurrency: quote.fromCurrency,
+      toCurrency: quote.toCurrency,
+      routeType: quote.routeType,
+      midMarketRate: quote.midMarketRate
+    };
+    const priceFor = type => pricingService.price({ ...context, payoutType: type }).catch(() => null);
+
+    const forRecipient = await priceFor(payoutType);
+    const asQuoted = await priceFor(quote.payoutType);
+    if (!forRecipient || (asQuoted && (asQuoted.fee !== forRecipient.fee || asQuoted.exchangeRate !== forRecipient.exchangeRate))) {
+      throw quoteError('Pricing for this recipient differs from the quote; request a new quote with their payoutType', 409);
+    }
+  }
+
+  format(row) {
+    return {
+      id: row.id,
+      fromCurrency: row.from_currency,
+      toCurrency: row.to_currency,
+      amountSent: parseFloat(row.amount_sent),
+      midMarketRate: parseFloat(row.mid_market_rate),
+      spread: parseFloat(row.spread),
+      exchangeRate: parseFloat(row.exchange_rate),
+      fee: parseFloat(row.fee),
+      amountReceived: parseFloat(row.amount_received),
+      routeType: row.route_type,
+      payoutType: row.payout_type,
+      pricingRuleId: row.pricing_rule_id,
+      createdAt: row.created_at,
+      expiresAt: row.expires_at
+    };
+  }
+}
+
+module.exports = new QuoteService();
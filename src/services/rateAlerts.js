@@ -0,0 +1,182 @@
+const db = require('../config/database');
+const jobQueue = require('./jobQueue');
+const exchangeRateService = require('./exchangeRate');
+const notifier = require('./notifier');
+
+const JOB_TYPE = 'rate_alert.notify';
+const DIRECTIONS = ['above', 'below'];
+
+function alertError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// User alerts on a corridor's mid-market rate. A percentage move is stored as
+// the target rate it implies from the rate at creation, so every alert is
+// "rate at or above/below target".
+//
+// Alerts are checked against each rate table ExchangeRateService fetches. An
+// alert fires once when its condition becomes true and re-arms when it stops
+// being true, but never fires again within RATE_ALERT_COOLDOWN_SECONDS. Firing
+// is a conditional update, so several processes checking the same table
+// notify once; the notification itself is a job and retried.
+class RateAlertService {
+  constructor() {
+    this.cooldownSeconds = parseInt(process.env.RATE_ALERT_COOLDOWN_SECONDS) || 3600;
+    this.maxPerUser = parseInt(process.env.RATE_ALERT_MAX_PER_USER) || 20;
+
+    exchangeRateService.events.on('refresh', table => {
+      this.evaluate(table).catch(error => console.error('❌ Rate alert check failed:', error));
+    });
+
+    jobQueue.register(JOB_TYPE, payload => this.notify(payload));
+  }
+
+  async create(userId, { fromCurrency, toCurrency, direction, targetRate, changePercent }) {
+    if (!fromCurrency || !toCurrency || fromCurrency.length !== 3 || toCurrency.length !== 3) {
+      throw alertError('fromCurrency and toCurrency must be 3-letter currency codes');
+    }
+    if (!DIRECTIONS.includes(direction)) {
+      throw alertError(`direction must be one of: ${DIRECTIONS.join(', ')}`);
+    }
+    if ((targetRate === undefined) === (changePercent === undefined)) {
+      throw alertError('Give either targetRate or changePercent');
+    }
+    if (targetRate !== undefined && !(parseFloat(targetRate) > 0)) {
+      throw alertError('targetRate must be greater than 0');
+    }
+    if (changePercent !== undefined && !(parseFloat(changePercent) > 0 && parseFloat(changePercent) < 100)) {
+      throw alertError('changePercent must be between 0 and 100');
+    }
+
+    const from = fromCurrency.toUpperCase();
+    const to = toCurrency.toUpperCase();
+
+    // Also rejects pairs we can't price
+    const current = await exchangeRateService.getRate(from, to);
+
+    let target = parseFloat(targetRate);
+    if (changePercent !== undefined) {
+      const move = parseFloat(changePercent) / 100;
+      target = current.rate * (direction === 'above' ? 1 + move : 1 - move);
+    }
+
+    const count = await db.query('SELECT COUNT(*) AS count FROM rate_alerts WHERE user_id = $1', [userId]);
+    if (parseInt(count.rows[0].count) >= this.maxPerUser) {
+      throw alertError(`You can have at most ${this.maxPerUser} rate alerts`, 409);
+    }
+
+    const result = await db.query(
+      `INSERT INTO rate_alerts (user_id, from_currency, to_currency, direction, target_rate, change_percent, baseline_rate)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING *`,
+      [userId, from, to, direction, target, changePercent ?? null, current.rate]
+    );
+
+    return this.format(result.rows[0]);
+  }
+
+  async list(userId) {
+    const result = await db.query(
+      'SELECT * FROM rate_alerts WHERE user_id = $1 ORDER BY created_at DESC',
+      [userId]
+    );
+    return result.rows.map(row => this.format(row));
+  }
+
+  async remove(userId, alertId) {
+    const result = await db.query(
+      'DELETE FROM rate_alerts WHERE id = $1 AND user_id = $2 RETURNING id',
+      [alertId, userId]
+    );
+    if (result.rows.length === 0) {
+      throw alertError('Alert not found', 404);
+    }
+  }
+
+  // table is a rate table emitted by ExchangeRateService
+  async evaluate(table) {
+    // A fallback to old rates (e.g. the static file) is not a move
+    if ((Date.now() - table.asOf) / 1000 > exchangeRateService.maxAgeSeconds) return;
+
+    const alerts = await db.query('SELECT * FROM rate_alerts');
+
+    for (const alert of alerts.rows) {
+      let rate;
+      try {
+        rate = exchangeRateService.derive(table, alert.from_currency, alert.to_currency).rate;
+      } catch (error) {
+        continue; // pair missing from this table
+      }
+
+      const target = parseFloat(alert.target_rate);
+      const met = alert.direction === 'above' ? rate >= target : rate <= target;
+
+      if (met && alert.armed) {
+        await this.fire(alert, rate, table.source);
+      } else if (!met && !alert.armed) {
+        await db.query('UPDATE rate_alerts SET armed = true WHERE id = $1', [alert.id]);
+      }
+    }
+  }
+
+  async fire(alert, rate, source) {
+    await db.withTransaction(async (client) => {
+      const fired = await client.query(
+        `UPDATE rate_alerts
+         SET armed = false, trigger_count = trigger_count + 1,
+             last_triggered_at = NOW(), last_triggered_rate = $2
+         WHERE id = $1 AND armed = true
+           AND (last_triggered_at IS NULL OR last_triggered_at < NOW() - make_interval(secs => $3))
+         RETURNING id`,
+        [alert.id, rate, this.cooldownSeconds]
+      );
+      if (fired.rows.length === 0) return;
+
+      await jobQueue.enqueue(JOB_TYPE, { alertId: alert.id, rate, source }, { client });
+    });
+  }
+
+  async notify({ alertId, rate, source }) {
+    const result = await db.query(
+      `SELECT a.*, u.email, u.first_name
+       FROM rate_alerts a
+       JOIN users u ON a.user_id = u.id
+       WHERE a.id = $1`,
+      [alertId]
+    );
+    const alert = result.rows[0];
+    if (!alert) return; // deleted since it fired
+
+    const pair = `${alert.from_currency}/${alert.to_currency}`;
+    const target = parseFloat(alert.target_rate);
+
+    await notifier.send({
+      to: alert.email,
+      subject: `${pair} is ${alert.direction} ${target}`,
+      text: `Hi ${alert.first_name}, 1 ${alert.from_currency} now buys ${rate} ${alert.to_currency} ` +
+        `(your alert: ${alert.direction} ${target}).`,
+      data: { type: 'rate_alert', alertId: alert.id, pair, rate, source }
+    });
+  }
+
+  format(row) {
+    return {
+      id: row.id,
+      fromCurrency: row.from_currency,
+      toCurrency: row.to_currency,
+      direction: row.direction,
+      targetRate: parseFloat(row.target_rate),
+      changePercent: row.change_percent === null ? null : parseFloat(row.change_percent),
+      baselineRate: parseFloat(row.baseline_rate),
+      armed: row.armed,
+      triggerCount: row.trigger_count,
+      lastTriggeredAt: row.last_triggered_at,
+      lastTriggeredRate: row.last_triggered_rate === null ? null : parseFloat(row.last_triggered_rate),
+      createdAt: row.created_at
+    };
+  }
+}
+
+module.exports = new RateAlertService();
@@ -0,0 +1,120 @@
+const db = require('../config/database');
+const jobQueue = require('./jobQueue');
+const exchangeRateService = require('./exchangeRate');
+const { corridors } = require('../config/currencies');
+
+const JOB_TYPE = 'rates.snapshot';
+
+// Bucket sizes for history, as Postgres date_trunc units
+const INTERVALS = {
+  hour: 'hour',
+  day: 'day',
+  week: 'week'
+};
+
+function historyError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// Records the rate of every corridor in src/config/currencies.js every
+// RATE_SNAPSHOT_INTERVAL_SECONDS, and serves open/high/low/close series from
+// those snapshots. Stale and made-up rates are not recorded, so gaps in the
+// series mean we had no live rate.
+class RateHistoryService {
+  constructor() {
+    this.intervals = Object.keys(INTERVALS);
+    this.intervalSeconds = parseInt(process.env.RATE_SNAPSHOT_INTERVAL_SECONDS) || 300;
+
+    jobQueue.register(JOB_TYPE, () => this.runScheduled());
+  }
+
+  async start() {
+    await jobQueue.enqueueOnce(JOB_TYPE);
+  }
+
+  // Each pass queues the next one, whatever happens to this one
+  async runScheduled() {
+    try {
+      await this.snapshot();
+    } catch (error) {
+      console.error('❌ Rate snapshot failed:', error);
+    } finally {
+      await jobQueue.enqueue(JOB_TYPE, {}, { delaySeconds: this.intervalSeconds });
+    }
+  }
+
+  async snapshot() {
+    let recorded = 0;
+
+    for (const { from, to } of corridors) {
+      let rateData;
+      try {
+        rateData = await exchangeRateService.getRate(from, to);
+      } catch (error) {
+        console.error(`Rate snapshot skipped for ${from}→${to}:`, error.message);
+        continue;
+      }
+      if (rateData.mock || rateData.stale) continue;
+
+      await db.query(
+        `INSERT INTO rate_snapshots (from_currency, to_currency, rate, source, rate_as_of)
+         VALUES ($1, $2, $3, $4, to_timestamp($5::double precision / 1000))`,
+        [from, to, rateData.rate, rateData.source, rateData.asOf]
+      );
+      recorded++;
+    }
+
+    return recorded;
+  }
+
+  // One bucket per interval over the last `days` days, oldest first
+  async getHistory(from, to, { interval = 'day', days = 7 } = {}) {
+    const unit = INTERVALS[interval];
+    if (!unit) {
+      throw historyError(`interval must be one of: ${this.intervals.join(', ')}`);
+    }
+
+    const result = await db.query(
+      `SELECT date_trunc($3, captured_at) AS period,
+              (array_agg(rate ORDER BY captured_at))[1] AS open,
+              MAX(rate) AS high,
+              MIN(rate) AS low,
+              (array_agg(rate ORDER BY captured_at DESC))[1] AS close,
+              COUNT(*) AS samples
+       FROM rate_snapshots
+       WHERE from_currency = $1 AND to_currency = $2
+         AND captured_at > NOW() - make_interval(days => $4)
+       GROUP BY 1
+       ORDER BY 1`,
+      [from, to, unit, days]
+    );
+
+    return result.rows.map(row => ({
+      period: row.period,
+      open: parseFloat(row.open),
+      high: parseFloat(row.high),
+      low: parseFloat(row.low),
+      close: parseFloat(row.close),
+      samples: parseInt(row.samples)
+    }));
+  }
+
+  toCsv(history) {
+    const lines = ['period,open,high,low,close,samples'];
+    for (const bucket of history) {
+      lines.push([
+        new Date(bucket.period).toISOString(),
+        bucket.open,
+        bucket.high,
+        bucket.low,
+        bucket.close,
+        bucket.samples
+      ].join(','));
+    }
+    return lines.join('\n') + '\n';
+  }
+}
+
+module.exports = new RateHistoryService();
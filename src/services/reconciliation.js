@@ -0,0 +1,323 @@
+const db = require('../config/database');
+const jobQueue = require('./jobQueue');
+const xrplService = require('./xrpl');
+const walletService = require('./wallet');
+
+const JOB_TYPE = 'xrpl.reconcile';
+const MEMO_PATTERN = /^swiftbase:(\d+)$/;
+
+// Delivered amounts are stored with 6 decimals, transaction amounts with 2
+const AMOUNT_TOLERANCE = 0.01;
+
+function reconciliationError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// Reads validated payments received by the payout treasury wallet from the
+// ledger (account_tx, resumed from a stored cursor) and checks them against
+// transactions:
+//   matched  - found by hash, memo or destination tag, and amounts agree
+//   mismatch - found, but hash, ledger, result or delivered amount differ
+//   missing  - transaction says it was validated, but no ledger entry shows it
+// Ledger entries that belong to no transaction are kept as 'unmatched'.
+class ReconciliationService {
+  constructor() {
+    this.intervalSeconds = parseInt(process.env.RECONCILE_INTERVAL_SECONDS) || 60;
+
+    jobQueue.register(JOB_TYPE, () => this.runScheduled());
+  }
+
+  async start() {
+    if (xrplService.mode === 'mock') {
+      console.log('🧾 Ledger reconciliation disabled in mock mode');
+      return;
+    }
+    await jobQueue.enqueueOnce(JOB_TYPE);
+  }
+
+  // Each pass queues the next one; failures are logged rather than retried so
+  // the schedule never stops
+  async runScheduled() {
+    try {
+      await this.sync();
+    } catch (error) {
+      console.error('❌ Ledger reconciliation failed:', error);
+    } finally {
+      await jobQueue.enqueue(JOB_TYPE, {}, { delaySeconds: this.intervalSeconds });
+    }
+  }
+
+  async sync() {
+    const payout = await walletService.getTreasuryWallet('payout');
+
+    const cursorResult = await db.query(
+      'SELECT last_ledger_index FROM xrpl_sync_cursors WHERE account = $1',
+      [payout.address]
+    );
+    const cursor = cursorResult.rows[0] ? cursorResult.rows[0].last_ledger_index : null;
+
+    let marker;
+    let lastLedgerIndex = cursor;
+
+    do {
+      const page = await xrplService.getAccountTransactions(payout.address, {
+        ledgerIndexMin: cursor === null ? -1 : cursor + 1,
+        marker
+      });
+      if (!page) return;
+
+      for (const entry of page.transactions) {
+        if (entry.destination === payout.address) {
+          await this.record(payout.address, entry);
+        }
+      }
+
+      marker = page.marker;
+      lastLedgerIndex = page.ledgerIndexMax;
+    } while (marker);
+
+    await db.query(
+      `INSERT INTO xrpl_sync_cursors (account, last_ledger_index)
+       VALUES ($1, $2)
+       ON CONFLICT (account) DO UPDATE
+       SET last_ledger_index = EXCLUDED.last_ledger_index, updated_at = NOW()`,
+      [payout.address, lastLedgerIndex]
+    );
+
+    // Entries whose transaction had not recorded its result yet
+    const pending = await db.query(
+      "SELECT * FROM ledger_entries WHERE match_status = 'pending' ORDER BY ledger_index"
+    );
+    for (const entry of pending.rows) {
+      await this.match(entry);
+    }
+
+    await this.markMissing(lastLedgerIndex);
+  }
+
+  async record(account, entry) {
+    const delivered = entry.deliveredAmount || {};
+
+    const result = await db.query(
+      `INSERT INTO ledger_entries
+        (account, tx_hash, ledger_index, close_time, source_account, destination_tag,
+         memo, engine_result, delivered_amount, delivered_currency)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+       ON CONFLICT (tx_hash) DO NOTHING
+       RETURNING *`,
+      [
+        account,
+        entry.hash,
+        entry.ledgerIndex,
+        entry.closeTime,
+        entry.account,
+        entry.destinationTag,
+        entry.memo,
+        entry.engineResult,
+        delivered.value ?? null,
+        delivered.currency ?? null
+      ]
+    );
+
+    // Already seen on an earlier pass
+    if (result.rows.length === 0) return;
+
+    await this.match(result.rows[0]);
+  }
+
+  async findTransaction(entry) {
+    const byHash = await db.query('SELECT * FROM transactions WHERE xrpl_tx_hash = $1', [entry.tx_hash]);
+    if (byHash.rows[0]) {
+      return { transaction: byHash.rows[0], matchedBy: 'hash' };
+    }
+
+    const memo = entry.memo && entry.memo.match(MEMO_PATTERN);
+    if (memo) {
+      const byMemo = await db.query('SELECT * FROM transactions WHERE id = $1', [parseInt(memo[1])]);
+      if (byMemo.rows[0]) {
+        return { transaction: byMemo.rows[0], matchedBy: 'memo' };
+      }
+    }
+
+    // Oldest transfer to that recipient the ledger has not accounted for yet
+    if (entry.destination_tag !== null) {
+      const byTag = await db.query(
+        `SELECT t.* FROM transactions t
+         JOIN recipients r ON t.recipient_id = r.id
+         WHERE r.destination_tag = $1
+           AND t.xrpl_tx_hash IS NOT NULL
+           AND (t.reconciliation_status IS NULL OR t.reconciliation_status = 'missing')
+         ORDER BY t.created_at
+         LIMIT 1`,
+        [entry.destination_tag]
+      );
+      if (byTag.rows[0]) {
+        return { transaction: byTag.rows[0], matchedBy: 'destination_tag' };
+      }
+    }
+
+    return null;
+  }
+
+  compare(entry, transaction) {
+    const reasons = [];
+
+    if (entry.engine_result !== 'tesSUCCESS') {
+      reasons.push(`ledger result ${entry.engine_result}`);
+    }
+    if (transaction.xrpl_tx_hash !== entry.tx_hash) {
+      reasons.push(`hash ${entry.tx_hash} differs from recorded ${transaction.xrpl_tx_hash}`);
+    }
+    if (transaction.xrpl_ledger_index !== entry.ledger_index) {
+      reasons.push(`ledger ${entry.ledger_index} differs from recorded ${transaction.xrpl_ledger_index}`);
+    }
+
+    const expectedCurrency = transaction.xrpl_delivered_currency || transaction.currency_received;
+    const expectedAmount = parseFloat(transaction.xrpl_delivered_amount ?? transaction.amount_received);
+    const deliveredAmount = parseFloat(entry.delivered_amount);
+
+    if (entry.delivered_currency !== expectedCurrency ||
+        !(Math.abs(deliveredAmount - expectedAmount) <= AMOUNT_TOLERANCE)) {
+      reasons.push(`delivered ${entry.delivered_amount} ${entry.delivered_currency}, expected ${expectedAmount} ${expectedCurrency}`);
+    }
+
+    return reasons;
+  }
+
+  async match(entry) {
+    const found = await this.findTransaction(entry);
+
+    if (!found) {
+      await db.query(
+        "UPDATE ledger_entries SET match_status = 'unmatched', updated_at = NOW() WHERE id = $1",
+        [entry.id]
+      );
+      return;
+    }
+
+    const { transaction, matchedBy } = found;
+
+    // The processor has not recorded the validated result yet; the next pass retries
+    if (transaction.xrpl_ledger_index === null && entry.engine_result === 'tesSUCCESS') {
+      await db.query(
+        "UPDATE ledger_entries SET match_status = 'pending', transaction_id = $1, updated_at = NOW() WHERE id = $2",
+        [transaction.id, entry.id]
+      );
+      return;
+    }
+
+    const reasons = this.compare(entry, transaction);
+    const status = reasons.length > 0 ? 'mismatch' : 'matched';
+
+    await db.withTransaction(async (client) => {
+      await client.query(
+        `UPDATE ledger_entries
+         SET transaction_id = $1, match_status = $2, matched_by = $3,
+             mismatch_reasons = $4, updated_at = NOW()
+         WHERE id = $5`,
+        [transaction.id, status, matchedBy, JSON.stringify(reasons), entry.id]
+      );
+      await client.query(
+        'UPDATE transactions SET reconciliation_status = $1, reconciled_at = NOW() WHERE id = $2',
+        [status, transaction.id]
+      );
+    });
+
+    if (status === 'mismatch') {
+      console.warn(`⚠️  Ledger entry ${entry.tx_hash} does not match transaction ${transaction.id}: ${reasons.join('; ')}`);
+    }
+  }
+
+  // Transactions recorded as validated in a ledger we have fully read, with
+  // no ledger entry pointing at them
+  async markMissing(lastLedgerIndex) {
+    if (lastLedgerIndex === null) return;
+
+    const result = await db.query(
+      `UPDATE transactions t
+       SET reconciliation_status = 'missing', reconciled_at = NOW()
+       WHERE t.xrpl_ledger_index IS NOT NULL
+         AND t.xrpl_ledger_index <= $1
+         AND t.reconciliation_status IS NULL
+         AND NOT EXISTS (SELECT 1 FROM ledger_entries e WHERE e.transaction_id = t.id)
+       RETURNING t.id`,
+      [lastLedgerIndex]
+    );
+
+    for (const row of result.rows) {
+      console.warn(`⚠️  Transaction ${row.id} has no matching ledger entry`);
+    }
+  }
+
+  // date is YYYY-MM-DD; ledger entries by close time, transactions by creation
+  async getDailyReport(date) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || isNaN(Date.parse(date))) {
+      throw reconciliationError('date must be YYYY-MM-DD');
+    }
+
+    const entryCounts = await db.query(
+      `SELECT match_status, COUNT(*) AS count
+       FROM ledger_entries
+       WHERE close_time::date = $1::date
+       GROUP BY match_status`,
+      [date]
+    );
+
+    const delivered = await db.query(
+      `SELECT delivered_currency AS currency, SUM(delivered_amount) AS total, COUNT(*) AS count
+       FROM ledger_entries
+       WHERE close_time::date = $1::date AND engine_result = 'tesSUCCESS'
+       GROUP BY delivered_currency
+       ORDER BY delivered_currency`,
+      [date]
+    );
+
+    const transactionCounts = await db.query(
+      `SELECT COALESCE(reconciliation_status, 'unreconciled') AS reconciliation_status, COUNT(*) AS count
+       FROM transactions
+       WHERE created_at::date = $1::date AND xrpl_tx_hash IS NOT NULL
+       GROUP BY 1`,
+      [date]
+    );
+
+    const entryExceptions = await db.query(
+      `SELECT id, tx_hash, ledger_index, close_time, source_account, destination_tag, memo,
+              engine_result, delivered_amount, delivered_currency,
+              transaction_id, match_status, matched_by, mismatch_reasons
+       FROM ledger_entries
+       WHERE close_time::date = $1::date AND match_status IN ('mismatch', 'unmatched', 'pending')
+       ORDER BY ledger_index`,
+      [date]
+    );
+
+    const missingTransactions = await db.query(
+      `SELECT id, xrpl_tx_hash, xrpl_ledger_index, amount_received, currency_received, status, created_at
+       FROM transactions
+       WHERE created_at::date = $1::date AND reconciliation_status = 'missing'
+       ORDER BY created_at`,
+      [date]
+    );
+
+    const toCounts = (rows, key) => Object.fromEntries(rows.map(row => [row[key], parseInt(row.count)]));
+
+    return {
+      date,
+      ledgerEntries: toCounts(entryCounts.rows, 'match_status'),
+      transactions: toCounts(transactionCounts.rows, 'reconciliation_status'),
+      delivered: delivered.rows.map(row => ({
+        currency: row.currency,
+        total: parseFloat(row.total),
+        count: parseInt(row.count)
+      })),
+      exceptions: {
+        ledgerEntries: entryExceptions.rows,
+        missingTransactions: missingTransactions.rows
+      },
+      generatedAt: new Date().toISOString()
+    };
+  }
+}
+
+module.exports = new ReconciliationService();
@@ -0,0 +1,182 @@
+const db = require('../config/database');
+const jobQueue = require('./jobQueue');
+const paymentService = require('./payment');
+const transactionState = require('./transactionState');
+
+const JOB_TYPE = 'refund.process';
+
+// States a transfer can be refunded from (see transactionState TRANSITIONS)
+const REFUNDABLE_STATUSES = ['failed', 'completed'];
+
+function refundError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// Returns the full captured amount, fee included, through the provider that
+// collected it. One refund per transaction; a failed refund can be requested
+// again. The transaction moves to 'refunded' once the provider confirms.
+class RefundService {
+  constructor() {
+    jobQueue.register(JOB_TYPE, payload => this.process(payload.refundId), {
+      onDead: (payload, job, error) => this.markFailed(payload.refundId, error.message)
+    });
+  }
+
+  // adminId is null for automatic refunds. Returns the refund row, or null
+  // when an automatic refund finds nothing was captured.
+  async request(transactionId, { reason, adminId = null }) {
+    const automatic = adminId === null;
+
+    return db.withTransaction(async (client) => {
+      const result = await client.query('SELECT * FROM transactions WHERE id = $1 FOR UPDATE', [transactionId]);
+      const transaction = result.rows[0];
+
+      if (!transaction) {
+        throw refundError('Transaction not found', 404);
+      }
+
+      if (!transaction.payment_reference || !transaction.payment_provider) {
+        if (automatic) return null;
+        throw refundError('Nothing was collected for this transaction', 409);
+      }
+
+      if (!REFUNDABLE_STATUSES.includes(transaction.status)) {
+        throw refundError(`Transaction is ${transaction.status}; only failed or completed transfers can be refunded`, 409);
+      }
+
+      const existing = await client.query('SELECT * FROM refunds WHERE transaction_id = $1', [transactionId]);
+      if (existing.rows[0] && existing.rows[0].status !== 'failed') {
+        if (automatic) return existing.rows[0];
+        throw refundError(`A refund is already ${existing.rows[0].status} for this transaction`, 409);
+      }
+
+      const refund = await client.query(
+        `INSERT INTO refunds (transaction_id, amount, fee_amount, currency, reason, automatic, requested_by)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)
+         ON CONFLICT (transaction_id) DO UPDATE
+         SET status = 'pending', attempt = refunds.attempt + 1, reason = EXCLUDED.reason,
+             automatic = EXCLUDED.automatic, requested_by = EXCLUDED.requested_by,
+             failure_reason = NULL, updated_at = NOW()
+         RETURNING *`,
+        [
+          transactionId,
+          transaction.amount_sent,
+          transaction.fee,
+          transaction.currency_sent,
+          reason,
+          automatic,
+          adminId
+        ]
+      );
+
+      await jobQueue.enqueue(JOB_TYPE, { refundId: refund.rows[0].id }, { client });
+      return refund.rows[0];
+    });
+  }
+
+  // For the processor's failure paths; never throws, so the failure itself is
+  // always recorded
+  async refundIfCaptured(transactionId, reason) {
+    try {
+      const refund = await this.request(transactionId, { reason });
+      if (refund) {
+        console.log(`↩️  Refund ${refund.id} queued for transaction ${transactionId}`);
+      }
+    } catch (error) {
+      console.error(`❌ Could not queue refund for transaction ${transactionId}:`, error.message);
+    }
+  }
+
+  async process(refundId) {
+    const result = await db.query(
+      `SELECT f.*, t.payment_provider, t.payment_reference
+       FROM refunds f
+       JOIN transactions t ON f.transaction_id = t.id
+       WHERE f.id = $1`,
+      [refundId]
+    );
+    const refund = result.rows[0];
+    if (!refund || refund.status !== 'pending') return;
+
+    const outcome = await paymentService.refund(
+      refund.payment_provider,
+      refund.payment_reference,
+      parseFloat(refund.amount),
+      refund.currency,
+      `swiftbase-${refund.transaction_id}-refund-${refund.attempt}`
+    );
+
+    if (outcome.status === 'pending') {
+      // Retried with backoff; the idempotency key returns the same refund
+      throw new Error(`Refund ${outcome.reference} is pending`);
+    }
+
+    if (outcome.status !== 'succeeded') {
+      await this.markFailed(refund.id, outcome.reason || `Refund ${outcome.status}`);
+      return;
+    }
+
+    await db.withTransaction(async (client) => {
+      await client.query(
+        `UPDATE refunds
+         SET status = 'succeeded', provider_reference = $1, completed_at = NOW(), updated_at = NOW()
+         WHERE id = $2`,
+        [outcome.reference, refund.id]
+      );
+
+      await transactionState.transition(refund.transaction_id, 'refunded', {
+        reason: refund.automatic ? 'Automatic refund after failure' : `Refunded: ${refund.reason}`,
+        metadata: { refundId: refund.id, providerReference: outcome.reference },
+        client
+      });
+    });
+    console.log(`✅ Refund ${refund.id} for transaction ${refund.transaction_id} completed`);
+  }
+
+  async markFailed(refundId, reason) {
+    console.error(`❌ Refund ${refundId} failed:`, reason);
+
+    await db.query(
+      "UPDATE refunds SET status = 'failed', failure_reason = $1, updated_at = NOW() WHERE id = $2",
+      [reason, refundId]
+    );
+  }
+
+  async list({ status, limit = 50, offset = 0 } = {}) {
+    const params = [];
+    let query = 'SELECT * FROM refunds';
+
+    if (status) {
+      params.push(status);
+      query += ` WHERE status = $${params.length}`;
+    }
+
+    params.push(limit, offset);
+    query += ` ORDER BY created_at DESC LIMIT $${params.length - 1} OFFSET $${params.length}`;
+
+    const result = await db.query(query, params);
+    return result.rows.map(row => this.format(row));
+  }
+
+  format(row) {
+    if (!row) return null;
+
+    return {
+      id: row.id,
+      transactionId: row.transaction_id,
+      status: row.status,
+      amount: parseFloat(row.amount),
+      feeAmount: parseFloat(row.fee_amount),
+      currency: row.currency,
+      reason: row.reason,
+      automatic: row.automatic,
+      failureReason: row.failure_reason,
+      createdAt: row.created_at,
+      completedAt: row.completed_at
+    };
+  }
+}
+
+module.exports = new RefundService();
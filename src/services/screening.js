@@ -0,0 +1,312 @@
+const db = require('../config/database');
+const watchlist = require('./watchlist');
+
+function normalizeName(name) {
+  return String(name || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+function sortTokens(name) {
+  return name.split(' ').sort().join(' ');
+}
+
+function jaroWinkler(a, b) {
+  if (a === b) return 1;
+  if (!a || !b) return 0;
+
+  const range = Math.max(Math.floor(Math.max(a.length, b.length) / 2) - 1, 0);
+  const aMatches = new Array(a.length).fill(false);
+  const bMatches = new Array(b.length).fill(false);
+  let matches = 0;
+
+  for (let i = 0; i < a.length; i++) {
+    for (let j = Math.max(0, i - range); j < Math.min(b.length, i + range + 1); j++) {
+      if (!bMatches[j] && a[i] === b[j]) {
+        aMatches[i] = bMatches[j] = true;
+        matches++;
+        break;
+      }
+    }
+  }
+
+  if (matches === 0) return 0;
+
+  let transpositions = 0;
+  for (let i = 0, j = 0; i < a.length; i++) {
+    if (!aMatches[i]) continue;
+    while (!bMatches[j]) j++;
+    if (a[i] !== b[j]) transpositions++;
+    j++;
+  }
+
+  const jaro = (matches / a.length + matches / b.length + (matches - transpositions / 2) / matches) / 3;
+
+  let prefix = 0;
+  while (prefix < 4 && a[prefix] === b[prefix]) prefix++;
+
+  return jaro + prefix * 0.1 * (1 - jaro);
+}
+
+function sameDate(a, b) {
+  return a.year === b.year &&
+    (!a.month || !b.month || a.month === b.month) &&
+    (!a.day || !b.day || a.day === b.day);
+}
+
+function screeningError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// Fuzzy-matches people against the watchlist. Name similarity drives the
+// score; a matching country or date of birth raises it and a conflicting one
+// lowers it. Every run is stored in screening_results for audit.
+class ScreeningService {
+  constructor() {
+    this.threshold = parseFloat(process.env.SCREENING_MATCH_THRESHOLD) || 0.88;
+  }
+
+  scoreEntry(subject, entry) {
+    const name = normalizeName(subject.name);
+    let best = { score: 0, matchedName: null };
+
+    for (const candidate of entry.names) {
+      const normalized = normalizeName(candidate);
+      const score = Math.max(
+        jaroWinkler(name, normalized),
+        jaroWinkler(sortTokens(name), sortTokens(normalized))
+      );
+      if (score > best.score) {
+        best = { score, matchedName: candidate };
+      }
+    }
+
+    let score = best.score;
+
+    if (subject.country && entry.countries.length > 0) {
+      score += entry.countries.includes(subject.country) ? 0.05 : -0.05;
+    }
+
+    const dateOfBirth = watchlist.parseDate(subject.dateOfBirth);
+    if (dateOfBirth && entry.datesOfBirth.length > 0) {
+      score += entry.datesOfBirth.some(date => sameDate(date, dateOfBirth)) ? 0.05 : -0.1;
+    }
+
+    return { ...best, score: Math.min(Math.max(score, 0), 1) };
+  }
+
+  findMatches(subject) {
+    return watchlist.getEntries()
+      .map(entry => ({ entry, ...this.scoreEntry(subject, entry) }))
+      .filter(match => match.score >= this.threshold)
+      .sort((a, b) => b.score - a.score)
+      .map(({ entry, score, matchedName }) => ({
+        entryId: entry.id,
+        matchedName,
+        score: parseFloat(score.toFixed(3)),
+        type: entry.type,
+        program: entry.program,
+        countries: entry.countries
+      }));
+  }
+
+  // subject: { type: 'user' | 'recipient', id, name, country, dateOfBirth }
+  async screenSubject(subject, { client = db } = {}) {
+    if (!watchlist.isConfigured()) {
+      if (process.env.NODE_ENV === 'production') {
+        throw new Error('WATCHLIST_PATH is not configured');
+      }
+      console.warn('⚠️  WATCHLIST_PATH not set, screening skipped');
+      return { status: 'clear', matches: [], resultId: null };
+    }
+
+    // Entries an admin already dismissed for this subject are not hits again
+    const dismissed = await client.query(
+      `SELECT DISTINCT jsonb_array_elements(matches)->>'entryId' AS entry_id
+       FROM screening_results
+       WHERE subject_type = $1 AND subject_id = $2 AND status = 'dismissed'`,
+      [subject.type, subject.id]
+    );
+    const dismissedIds = new Set(dismissed.rows.map(row => row.entry_id));
+
+    const matches = this.findMatches(subject).filter(match => !dismissedIds.has(String(match.entryId)));
+    const status = matches.length > 0 ? 'hit' : 'clear';
+
+    const result = await client.query(
+      `INSERT INTO screening_results (subject_type, subject_id, screened_name, country, date_of_birth, status, matches)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING id`,
+      [subject.type, subject.id, subject.name, subject.country || null, subject.dateOfBirth || null, status, JSON.stringify(matches)]
+    );
+
+    if (status === 'hit') {
+      await client.query(
+        `UPDATE ${subject.type === 'user' ? 'users' : 'recipients'}
+         SET screening_status = 'review'
+         WHERE id = $1 AND screening_status <> 'blocked'`,
+        [subject.id]
+      );
+    }
+
+    return { status, matches, resultId: result.rows[0].id };
+  }
+
+  // Dates of birth are selected as text: pg parses a DATE to local midnight,
+  // which toISOString() shifts to the previous day east of UTC
+  async screenUser(userId, options) {
+    const result = await db.query(
+      `SELECT u.id, u.first_name, u.last_name, u.country,
+              k.full_name, k.date_of_birth::text AS date_of_birth, k.nationality
+       FROM users u
+       LEFT JOIN LATERAL (
+         SELECT full_name, date_of_birth, nationality FROM kyc_submissions
+         WHERE user_id = u.id AND status = 'approved'
+         ORDER BY reviewed_at DESC LIMIT 1
+       ) k ON true
+       WHERE u.id = $1`,
+      [userId]
+    );
+    const user = result.rows[0];
+
+    return this.screenSubject({
+      type: 'user',
+      id: user.id,
+      name: user.full_name || `${user.first_name} ${user.last_name}`,
+      country: user.nationality || user.country,
+      dateOfBirth: user.date_of_birth
+    }, options);
+  }
+
+  async screenRecipient(recipientId, options) {
+    const result = await db.query(
+      'SELECT id, name, country, date_of_birth::text AS date_of_birth FROM recipients WHERE id = $1',
+      [recipientId]
+    );
+    const recipient = result.rows[0];
+
+    return this.screenSubject({
+      type: 'recipient',
+      id: recipient.id,
+      name: recipient.name,
+      country: recipient.country,
+      dateOfBirth: recipient.date_of_birth
+    }, options);
+  }
+
+  // Re-screens both parties right before funds move. Parties an admin has
+  // confirmed as matches stay blocked even without a fresh hit.
+  async screenTransaction(transaction) {
+    const checks = [
+      { type: 'user', table: 'users', id: transaction.sender_id, screen: () => this.screenUser(transaction.sender_id) },
+      { type: 'recipient', table: 'recipients', id: transaction.recipient_id, screen: () => this.screenRecipient(transaction.recipient_id) }
+    ];
+
+    const hits = [];
+    for (const check of checks) {
+      const result = await check.screen();
+      const blocked = await db.query(
+        `SELECT 1 FROM ${check.table} WHERE id = $1 AND screening_status = 'blocked'`,
+        [check.id]
+      );
+
+      if (result.status === 'hit' || blocked.rows.length > 0) {
+        hits.push({ subjectType: check.type, subjectId: check.id, resultId: result.resultId, matches: result.matches });
+      }
+    }
+
+    return { hits };
+  }
+
+  async listResults({ status = 'hit', limit = 50, offset = 0 } = {}) {
+    const result = await db.query(
+      `SELECT * FROM screening_results WHERE status = $1
+       ORDER BY created_at DESC LIMIT $2 OFFSET $3`,
+      [status, limit, offset]
+    );
+
+    return result.rows.map(row => this.formatResult(row));
+  }
+
+  // Subjects with unreviewed hits; held transfers cannot be released until clear
+  async hasOpenHits(subjects) {
+    for (const { type, id } of subjects) {
+      const result = await db.query(
+        `SELECT 1 FROM screening_results WHERE subject_type = $1 AND subject_id = $2 AND status = 'hit'
+         UNION ALL
+         SELECT 1 FROM ${type === 'user' ? 'users' : 'recipients'} WHERE id = $2 AND screening_status = 'blocked'`,
+        [type, id]
+      );
+      if (result.rows.length > 0) {
+        return true;
+      }
+    }
+
+    return false;
+  }
+
+  // decision: 'confirmed' blocks the subject, 'dismissed' marks a false positive
+  async reviewResult(resultId, reviewerId, decision, notes) {
+    if (!['confirmed', 'dismissed'].includes(decision)) {
+      throw screeningError('Decision must be confirmed or dismissed');
+    }
+
+    return db.withTransaction(async (client) => {
+      const result = await client.query(
+        `UPDATE screening_results
+         SET status = $1, reviewed_by = $2, reviewed_at = NOW(), review_notes = $3
+         WHERE id = $4 AND status = 'hit'
+         RETURNING *`,
+        [decision, reviewerId, notes || null, resultId]
+      );
+
+      if (result.rows.length === 0) {
+        throw screeningError('Screening hit not found or already reviewed', 404);
+      }
+
+      const row = result.rows[0];
+      const table = row.subject_type === 'user' ? 'users' : 'recipients';
+
+      if (decision === 'confirmed') {
+        await client.query(`UPDATE ${table} SET screening_status = 'blocked' WHERE id = $1`, [row.subject_id]);
+      } else {
+        // Older unreviewed hits for the same subject are covered by this review
+        await client.query(
+          `UPDATE screening_results
+           SET status = 'dismissed', reviewed_by = $1, reviewed_at = NOW(), review_notes = $2
+           WHERE subject_type = $3 AND subject_id = $4 AND status = 'hit' AND id < $5`,
+          [reviewerId, `Superseded by review of result ${row.id}`, row.subject_type, row.subject_id, row.id]
+        );
+        await client.query(
+          `UPDATE ${table} SET screening_status = 'clear' WHERE id = $1 AND screening_status = 'review'`,
+          [row.subject_id]
+        );
+      }
+
+      return this.formatResult(row);
+    });
+  }
+
+  formatResult(row) {
+    return {
+      id: row.id,
+      subjectType: row.subject_type,
+      subjectId: row.subject_id,
+      screenedName: row.screened_name,
+      country: row.country,
+      dateOfBirth: row.date_of_birth,
+      status: row.status,
+      matches: row.matches,
+      reviewedBy: row.reviewed_by,
+      reviewedAt: row.reviewed_at,
+      reviewNotes: row.review_notes,
+      createdAt: row.created_at
+    };
+  }
+}
+
+module.exports = new ScreeningService();
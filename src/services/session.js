@@ -0,0 +1,137 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const db = require('../config/database');
+
+function sessionError(message, status = 401) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// A session is one login. Its refresh tokens form a family: each refresh
+// rotates to a new token, and presenting an already-rotated token revokes
+// the whole session, since only a stolen copy could still be replayed.
+class SessionService {
+  constructor() {
+    this.accessTokenTtl = process.env.ACCESS_TOKEN_TTL || '15m';
+    this.refreshTokenTtlDays = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+  }
+
+  async createSession(user) {
+    return db.withTransaction(async (client) => {
+      const sessionId = crypto.randomUUID();
+
+      await client.query(
+        'INSERT INTO sessions (id, user_id) VALUES ($1, $2)',
+        [sessionId, user.id]
+      );
+
+      return this.issueTokens(client, sessionId, user);
+    });
+  }
+
+  async refresh(refreshToken) {
+    const outcome = await db.withTransaction(async (client) => {
+      const result = await client.query(
+        `SELECT rt.id, rt.session_id, rt.used_at, rt.expires_at <= NOW() AS expired,
+                s.revoked_at, u.id AS user_id, u.email
+         FROM refresh_tokens rt
+         JOIN sessions s ON rt.session_id = s.id
+         JOIN users u ON s.user_id = u.id
+         WHERE rt.token_hash = $1
+         FOR UPDATE OF rt, s`,
+        [hashToken(refreshToken)]
+      );
+
+      if (result.rows.length === 0) {
+        return { error: 'Invalid refresh token' };
+      }
+
+      const token = result.rows[0];
+
+      if (token.revoked_at) {
+        return { error: 'Session has been revoked' };
+      }
+
+      if (token.used_at) {
+        await this.revoke(client, token.session_id, 'refresh_token_reuse');
+        console.warn(`⚠️  Refresh token reuse detected, revoked session ${token.session_id}`);
+        return { error: 'Refresh token has already been used' };
+      }
+
+      if (token.expired) {
+        return { error: 'Refresh token has expired' };
+      }
+
+      await client.query(
+        'UPDATE refresh_tokens SET used_at = NOW() WHERE id = $1',
+        [token.id]
+      );
+
+      return {
+        tokens: await this.issueTokens(client, token.session_id, { id: token.user_id, email: token.email })
+      };
+    });
+
+    // Thrown outside the transaction so a reuse revocation is committed
+    if (outcome.error) {
+      throw sessionError(outcome.error);
+    }
+
+    return outcome.tokens;
+  }
+
+  async revokeSession(sessionId, reason = 'logout') {
+    await this.revoke(db, sessionId, reason);
+  }
+
+  async isActive(sessionId) {
+    const result = await db.query(
+      'SELECT 1 FROM sessions WHERE id = $1 AND revoked_at IS NULL',
+      [sessionId]
+    );
+
+    return result.rows.length > 0;
+  }
+
+  async revoke(client, sessionId, reason) {
+    await client.query(
+      `UPDATE sessions SET revoked_at = NOW(), revoked_reason = $1
+       WHERE id = $2 AND revoked_at IS NULL`,
+      [reason, sessionId]
+    );
+  }
+
+  async issueTokens(client, sessionId, user) {
+    const refreshToken = crypto.randomBytes(48).toString('base64url');
+
+    await client.query(
+      `INSERT INTO refresh_tokens (session_id, token_hash, expires_at)
+       VALUES ($1, $2, NOW() + make_interval(days => $3))`,
+      [sessionId, hashToken(refreshToken), this.refreshTokenTtlDays]
+    );
+
+    await client.query(
+      'UPDATE sessions SET last_used_at = NOW() WHERE id = $1',
+      [sessionId]
+    );
+
+    const accessToken = jwt.sign(
+      { userId: user.id, email: user.email, sessionId },
+      process.env.JWT_SECRET,
+      { expiresIn: this.accessTokenTtl }
+    );
+
+    return {
+      token: accessToken,
+      refreshToken,
+      expiresIn: jwt.decode(accessToken).exp - Math.floor(Date.now() / 1000)
+    };
+  }
+}
+
+module.exports = new SessionService();
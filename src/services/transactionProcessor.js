@@ -0,0 +1,364 @@
+const db = require('../config/database');
+const jobQueue = require('./jobQueue');
+const transactionState = require('./transactionState');
+const paymentService = require('./payment');
+const xrplService = require('./xrpl');
+const screeningService = require('./screening');
+const walletService = require('./wallet');
+const refundService = require('./refund');
+
+const JOB_TYPE = 'transaction.step';
+
+// How often an accepted payout is checked until the provider settles it
+const PAYOUT_POLL_SECONDS = parseInt(process.env.PAYOUT_POLL_SECONDS) || 30;
+
+// Drives a transaction through the pipeline one step per job. Every step reads
+// the current status, performs its side effect, then advances the status and
+// queues the next step in a single database transaction, so a restart resumes
+// from the last completed step instead of starting over.
+class TransactionProcessor {
+  constructor() {
+    this.steps = {
+      pending: this.chargeSender,
+      funds_captured: this.submitToLedger,
+      on_ledger: this.payoutRecipient,
+      payout_initiated: this.confirmPayout
+    };
+
+    jobQueue.register(JOB_TYPE, payload => this.runStep(payload.transactionId), {
+      onDead: (payload, job, error) => this.markFailed(payload.transactionId, error)
+    });
+  }
+
+  enqueue(transactionId, { client, delaySeconds } = {}) {
+    return jobQueue.enqueue(JOB_TYPE, { transactionId }, { client, delaySeconds });
+  }
+
+  async runStep(transactionId) {
+    const transaction = await this.load(transactionId);
+    const step = this.steps[transaction.status];
+
+    if (!step) {
+      console.log(`⏭️  Transaction ${transactionId} is ${transaction.status}, nothing to do`);
+      return;
+    }
+
+    await step.call(this, transaction);
+  }
+
+  async load(transactionId) {
+    const result = await db.query(
+      `SELECT t.*, q.amount_received AS quoted_amount_received
+       FROM transactions t
+       LEFT JOIN quotes q ON t.quote_id = q.id
+       WHERE t.id = $1`,
+      [transactionId]
+    );
+
+    if (result.rows.length === 0) {
+      const error = new Error(`Transaction ${transactionId} not found`);
+      error.status = 404;
+      error.retryable = false;
+      throw error;
+    }
+
+    return result.rows[0];
+  }
+
+  // Step 1: Screen both parties, then collect the payment from the sender
+  async chargeSender(transaction) {
+    const { hits } = await screeningService.screenTransaction(transaction);
+    if (hits.length > 0) {
+      await this.advance(transaction.id, 'held', {
+        reason: 'Sanctions screening match, held for manual review',
+        metadata: { screeningHits: hits.map(({ subjectType, subjectId, resultId }) => ({ subjectType, subjectId, resultId })) }
+      });
+      console.log(`🛑 Transaction ${transaction.id} held for screening review`);
+      return;
+    }
+
+    // Claim the transfer before charging, so a concurrent cancel either wins
+    // here or is refused (see POST /api/transactions/:id/cancel)
+    const claimed = await db.query(
+      `UPDATE transactions SET payment_started_at = COALESCE(payment_started_at, NOW())
+       WHERE id = $1 AND status = 'pending'
+       RETURNING id`,
+      [transaction.id]
+    );
+    if (claimed.rows.length === 0) {
+      console.log(`⏭️  Transaction ${transaction.id} is no longer pending, not charging`);
+      return;
+    }
+
+    const amount = parseFloat(transaction.amount_sent);
+    console.log(`💳 Processing payment of ${amount} ${transaction.currency_sent} for transaction ${transaction.id}...`);
+
+    const methodResult = await db.query(
+      'SELECT * FROM payment_methods WHERE id = $1',
+      [transaction.payment_method_id]
+    );
+    const paymentResult = await paymentService.collect(transaction, methodResult.rows[0]);
+
+    if (paymentResult.status === 'declined' || paymentResult.status === 'failed') {
+      const error = new Error(`Payment ${paymentResult.status}${paymentResult.reason ? `: ${paymentResult.reason}` : ''}`);
+      error.retryable = false;
+      throw error;
+    }
+    if (paymentResult.status !== 'succeeded') {
+      // Retried with backoff; the idempotency key returns the same charge
+      throw new Error(`Payment ${paymentResult.reference} is ${paymentResult.status}`);
+    }
+
+    await this.advance(transaction.id, 'funds_captured', {
+      reason: 'Payment captured',
+      metadata: { paymentId: paymentResult.reference, provider: paymentResult.provider },
+      columns: {
+        payment_reference: paymentResult.reference,
+        payment_provider: paymentResult.provider
+      }
+    });
+    console.log(`✅ Payment captured: ${paymentResult.reference}`);
+  }
+
+  // Step 2: Process XRPL transaction. The signed hash is stored before
+  // submission so a retry checks that payment instead of sending a second one.
+  async submitToLedger(transaction) {
+    console.log(`🔗 Processing XRPL transaction for transaction ${transaction.id}...`);
+
+    const senderWallet = await walletService.getOrCreateUserWallet(transaction.sender_id);
+    const payoutWallet = await walletService.getTreasuryWallet('payout');
+    const recipientResult = await db.query(
+      'SELECT destination_tag FROM recipients WHERE id = $1',
+      [transaction.recipient_id]
+    );
+
+    const xrplResult = await xrplService.processRemittance(
+      walletService.getSigningWallet(senderWallet),
+      payoutWallet.address,
+      parseFloat(transaction.amount_sent),
+      transaction.currency_sent,
+      transaction.currency_received,
+      parseFloat(transaction.exchange_rate),
+      {
+        memo: `swiftbase:${transaction.id}`,
+        deliverAmount: parseFloat(transaction.quoted_amount_received),
+        // Credit the sender's custodial wallet with the XRP this transfer needs
+        ensureFunded: xrpRequired => walletService.ensureFunded(senderWallet, xrpRequired),
+        destinationTag: parseInt(recipientResult.rows[0].destination_tag),
+        pending: transaction.xrpl_tx_hash && {
+          hash: transaction.xrpl_tx_hash,
+          lastLedgerSequence: transaction.xrpl_last_ledger_sequence
+        },
+        onPrepared: ({ hash, lastLedgerSequence }) => db.query(
+          'UPDATE transactions SET xrpl_tx_hash = $1, xrpl_last_ledger_sequence = $2 WHERE id = $3',
+          [hash, lastLedgerSequence, transaction.id]
+        )
+      }
+    );
+
+    const delivered = xrplResult.deliveredAmount || {};
+
+    await this.advance(transaction.id, 'on_ledger', {
+      reason: 'XRPL payment validated',
+      metadata: {
+        xrplTxHash: xrplResult.xrplTxHash,
+        ledgerIndex: xrplResult.ledgerIndex,
+        engineResult: xrplResult.engineResult
+      },
+      columns: {
+        xrpl_tx_hash: xrplResult.xrplTxHash,
+        xrpl_ledger_index: xrplResult.ledgerIndex,
+        xrpl_fee: xrplResult.fee,
+        xrpl_delivered_amount: delivered.value ?? null,
+        xrpl_delivered_currency: delivered.currency ?? null
+      }
+    });
+    console.log(`✅ XRPL transaction: ${xrplResult.xrplTxHash}`);
+  }
+
+  // Step 3: Send the payout through the provider for the recipient's corridor
+  async payoutRecipient(transaction) {
+    const recipientResult = await db.query(
+      'SELECT * FROM recipients WHERE id = $1',
+      [transaction.recipient_id]
+    );
+    const recipient = recipientResult.rows[0];
+    const amountReceived = parseFloat(transaction.quoted_amount_received);
+
+    console.log(`💰 Processing payout of ${amountReceived} ${transaction.currency_received}...`);
+    const payoutResult = await paymentService.payout(transaction, recipient);
+
+    if (payoutResult.status === 'failed') {
+      const error = new Error(`Payout rejected${payoutResult.reason ? `: ${payoutResult.reason}` : ''}`);
+      error.retryable = false;
+      throw error;
+    }
+
+    await this.advance(transaction.id, 'payout_initiated', {
+      reason: `Payout sent via ${payoutResult.method}`,
+      metadata: {
+        payoutId: payoutResult.reference,
+        provider: payoutResult.provider,
+        estimatedArrival: payoutResult.estimatedArrival,
+        pickupCode: payoutResult.pickupCode
+      },
+      columns: {
+        payout_reference: payoutResult.reference,
+        payout_provider: payoutResult.provider
+      }
+    });
+    console.log(`✅ Payout processed: ${payoutResult.reference}`);
+  }
+
+  // Step 4: Wait for the provider to settle the payout, then complete.
+  // Payouts started before providers were tracked are completed directly.
+  async confirmPayout(transaction) {
+    if (transaction.payout_provider) {
+      const { status, reason } = await paymentService.getStatus(
+        transaction.payout_provider,
+        transaction.payout_reference
+      );
+
+      if (status === 'pending') {
+        await this.enqueue(transaction.id, { delaySeconds: PAYOUT_POLL_SECONDS });
+        return;
+      }
+
+      await this.settlePayout(transaction, status, { reason });
+      return;
+    }
+
+    await this.settlePayout(transaction, 'succeeded');
+  }
+
+  // Final payout outcome, from polling the provider or from its webhook.
+  // Throws INVALID_TRANSITION if the transaction was settled in the meantime.
+  async settlePayout(transaction, status, { reason, metadata } = {}) {
+    if (status === 'succeeded') {
+      await this.advance(transaction.id, 'completed', {
+        reason: 'Payout confirmed',
+        metadata,
+        columns: { amount_received: transaction.quoted_amount_received }
+      });
+      console.log(`✅ Transaction ${transaction.id} completed successfully!`);
+      return;
+    }
+
+    await transactionState.transition(transaction.id, 'failed', {
+      reason: `Payout ${status}${reason ? `: ${reason}` : ''}`,
+      metadata
+    });
+    console.error(`❌ Transaction ${transaction.id} payout ${status}`);
+
+    await refundService.refundIfCaptured(transaction.id, `Payout ${status}`);
+  }
+
+  async advance(transactionId, to, { reason, metadata, columns = {} }) {
+    await db.withTransaction(async (client) => {
+      const names = Object.keys(columns);
+      if (names.length > 0) {
+        const assignments = names.map((name, i) => `${name} = $${i + 1}`).join(', ');
+        await client.query(
+          `UPDATE transactions SET ${assignments} WHERE id = $${names.length + 1}`,
+          [...names.map(name => columns[name]), transactionId]
+        );
+      }
+
+      await transactionState.transition(transactionId, to, { reason, metadata, client });
+
+      if (this.steps[to]) {
+        await this.enqueue(transactionId, { client });
+      }
+    });
+  }
+
+  // Manual review outcome for a transaction held by screening
+  async releaseHeld(transactionId, reviewerId) {
+    const transaction = await this.load(transactionId);
+    if (transaction.status !== 'held') {
+      const error = new Error(`Transaction is ${transaction.status}, not held`);
+      error.status = 409;
+      throw error;
+    }
+
+    const openHits = await screeningService.hasOpenHits([
+      { type: 'user', id: transaction.sender_id },
+      { type: 'recipient', id: transaction.recipient_id }
+    ]);
+    if (openHits) {
+      const error = new Error('Review the open screening hits for this transfer first');
+      error.status = 409;
+      throw error;
+    }
+
+    await this.advance(transactionId, 'pending', {
+      reason: 'Released after screening review',
+      metadata: { reviewedBy: reviewerId }
+    });
+  }
+
+  async rejectHeld(transactionId, reviewerId, reason) {
+    const transaction = await this.load(transactionId);
+    if (transaction.status !== 'held') {
+      const error = new Error(`Transaction is ${transaction.status}, not held`);
+      error.status = 409;
+      throw error;
+    }
+
+    await transactionState.transition(transactionId, 'failed', {
+      reason: `Rejected after screening review${reason ? `: ${reason}` : ''}`,
+      metadata: { reviewedBy: reviewerId }
+    });
+  }
+
+  async markFailed(transactionId, error) {
+    console.error(`❌ Transaction ${transactionId} failed:`, error.message);
+
+    try {
+      await transactionState.transition(transactionId, 'failed', {
+        reason: `Error: ${error.message}`
+      });
+    } catch (transitionError) {
+      console.error(`❌ Could not mark transaction ${transactionId} as failed:`, transitionError.message);
+      return;
+    }
+
+    // The sender may already have been charged
+    await refundService.refundIfCaptured(transactionId, error.message);
+  }
+
+  // Called on boot: re-queues in-flight transactions that have no live job
+  // (e.g. created before the queue existed) and fails rows left in the legacy
+  // 'processing' status, whose progress cannot be known.
+  async recoverOrphans() {
+    const legacy = await db.query(
+      "SELECT id FROM transactions WHERE status = 'processing'"
+    );
+
+    for (const { id } of legacy.rows) {
+      await this.markFailed(id, new Error('Interrupted before restart; check whether funds were captured'));
+    }
+
+    const orphans = await db.query(
+      `SELECT t.id FROM transactions t
+       WHERE t.status = ANY($1)
+         AND NOT EXISTS (
+           SELECT 1 FROM jobs j
+           WHERE j.type = $2
+             AND j.status IN ('queued', 'running')
+             AND (j.payload->>'transactionId')::int = t.id
+         )`,
+      [transactionState.inFlightStatuses, JOB_TYPE]
+    );
+
+    for (const { id } of orphans.rows) {
+      await this.enqueue(id);
+    }
+
+    if (legacy.rows.length > 0 || orphans.rows.length > 0) {
+      console.log(`♻️  Recovered ${orphans.rows.length} orphaned transaction(s), failed ${legacy.rows.length} legacy one(s)`);
+    }
+  }
+}
+
+module.exports = new TransactionProcessor();
@@ -0,0 +1,176 @@
+const db = require('../config/database');
+const webhookSubscriptions = require('./webhookSubscriptions');
+const accountingService = require('./accounting');
+
+// Allowed transitions: status -> statuses it may move to
+const TRANSITIONS = {
+  pending: ['funds_captured', 'held', 'failed', 'cancelled'],
+  held: ['pending', 'failed', 'cancelled'], // screening hit awaiting manual review
+  funds_captured: ['on_ledger', 'failed'],
+  on_ledger: ['payout_initiated', 'failed'],
+  payout_initiated: ['completed', 'failed'],
+  completed: ['refunded'],
+  failed: ['refunded'],
+  cancelled: [],
+  refunded: [],
+  // Legacy status from before this state machine; only resolved for review
+  processing: ['failed']
+};
+
+const IN_FLIGHT_STATUSES = ['pending', 'funds_captured', 'on_ledger', 'payout_initiated'];
+
+// What the sender sees for events into and out of 'held'. The stored reason
+// and metadata name the screening hits and reviewer, which must not be
+// disclosed to the sender; they stay in transaction_events for compliance.
+const REVIEW_REASONS = {
+  held: 'Under review',
+  pending: 'Review completed',
+  failed: 'Transfer could not be completed'
+};
+
+// pg_notify channel for status events (see src/services/transactionStream.js)
+const NOTIFY_CHANNEL = 'transaction_events';
+
+class TransactionStateMachine {
+  constructor() {
+    this.transitions = TRANSITIONS;
+    this.statuses = Object.keys(TRANSITIONS).filter(status => status !== 'processing');
+    this.inFlightStatuses = IN_FLIGHT_STATUSES;
+    this.notifyChannel = NOTIFY_CHANNEL;
+  }
+
+  canTransition(from, to) {
+    return (this.transitions[from] || []).includes(to);
+  }
+
+  // Records the initial 'pending' event for a freshly inserted transaction
+  async recordCreated(client, transactionId, reason = 'Transaction created') {
+    const event = await client.query(
+      `INSERT INTO transaction_events (transaction_id, from_status, to_status, reason)
+       VALUES ($1, NULL, 'pending', $2)
+       RETURNING *`,
+      [transactionId, reason]
+    );
+
+    const transaction = await client.query('SELECT sender_id FROM transactions WHERE id = $1', [transactionId]);
+    await this.notify(client, event.rows[0], transaction.rows[0].sender_id);
+  }
+
+  // Sent when the surrounding database transaction commits, so listeners
+  // never see a change that was rolled back
+  async notify(client, event, userId) {
+    await client.query('SELECT pg_notify($1, $2)', [
+      NOTIFY_CHANNEL,
+      JSON.stringify({ ...this.formatEvent(event), userId })
+    ]);
+  }
+
+  // Moves a transaction to `to`, enforcing TRANSITIONS and logging the event.
+  // Runs on `client` when given so callers can combine it with their own writes.
+  async transition(transactionId, to, { reason = null, metadata = null, client = null } = {}) {
+    if (!client) {
+      return db.withTransaction(tx => this.transition(transactionId, to, { reason, metadata, client: tx }));
+    }
+
+    const result = await client.query(
+      'SELECT id, status FROM transactions WHERE id = $1 FOR UPDATE',
+      [transactionId]
+    );
+
+    if (result.rows.length === 0) {
+      const error = new Error(`Transaction ${transactionId} not found`);
+      error.status = 404;
+      throw error;
+    }
+
+    const from = result.rows[0].status;
+
+    if (!this.canTransition(from, to)) {
+      const error = new Error(`Cannot move transaction from ${from} to ${to}`);
+      error.status = 409;
+      error.code = 'INVALID_TRANSITION';
+      throw error;
+    }
+
+    const updated = await client.query(
+      `UPDATE transactions
+       SET status = $1,
+           completed_at = CASE WHEN $1 = 'completed' THEN NOW() ELSE completed_at END
+       WHERE id = $2
+       RETURNING *`,
+      [to, transactionId]
+    );
+
+    const event = await client.query(
+      `INSERT INTO transaction_events (transaction_id, from_status, to_status, reason, metadata)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING *`,
+      [transactionId, from, to, reason, metadata ? JSON.stringify(metadata) : null]
+    );
+
+    await this.notify(client, event.rows[0], updated.rows[0].sender_id);
+
+    await accountingService.recordTransition(client, updated.rows[0], from, to);
+    await webhookSubscriptions.recordTransition(client, updated.rows[0], from, to, metadata);
+
+    return updated.rows[0];
+  }
+
+  // Events as shown to the sender (timeline, stream)
+  formatEvent(event) {
+    const { reason, metadata } = this.senderView(event);
+    return {
+      eventId: event.id,
+      transactionId: event.transaction_id,
+      from: event.from_status,
+      to: event.to_status,
+      reason,
+      metadata,
+      timestamp: event.created_at
+    };
+  }
+
+  senderView(event) {
+    if (event.from_status !== 'held' && event.to_status !== 'held') {
+      return { reason: event.reason, metadata: event.metadata };
+    }
+    return { reason: REVIEW_REASONS[event.to_status] || null, metadata: null };
+  }
+
+  // Events on the user's transfers after eventId, for resuming a stream
+  async getEventsSince(userId, eventId, transactionId = null) {
+    const params = [userId, eventId];
+    let query = `SELECT e.*
+       FROM transaction_events e
+       JOIN transactions t ON e.transaction_id = t.id
+       WHERE t.sender_id = $1 AND e.id > $2`;
+
+    if (transactionId) {
+      params.push(transactionId);
+      query += ` AND e.transaction_id = $${params.length}`;
+    }
+    query += ' ORDER BY e.id LIMIT 500';
+
+    const result = await db.query(query, params);
+    return result.rows.map(event => this.formatEvent(event));
+  }
+
+  async getTimeline(transactionId) {
+    const result = await db.query(
+      `SELECT from_status, to_status, reason, metadata, created_at
+       FROM transaction_events
+       WHERE transaction_id = $1
+       ORDER BY created_at, id`,
+      [transactionId]
+    );
+
+    return result.rows.map(event => ({
+      from: event.from_status,
+      to: event.to_status,
+      ...this.senderView(event),
+      timestamp: event.created_at
+    }));
+  }
+}
+
+module.exports = new TransactionStateMachine();
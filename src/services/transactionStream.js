@@ -0,0 +1,159 @@
+const EventEmitter = require('events');
+const db = require('../config/database');
+const transactionState = require('./transactionState');
+const sessionService = require('./session');
+
+const HEARTBEAT_MS = parseInt(process.env.STREAM_HEARTBEAT_MS) || 25000;
+const RECONNECT_MS = 3000;
+
+// Server-Sent Events for transaction status. One LISTEN connection per process
+// receives the pg_notify messages sent by transactionState, whichever process
+// made the change, and fans them out to the user's open streams.
+//
+// Every status event carries the transaction_events id as its SSE id, so a
+// client reconnecting with Last-Event-ID gets the events it missed.
+class TransactionStreamService {
+  constructor() {
+    this.emitter = new EventEmitter();
+    this.emitter.setMaxListeners(0);
+    this.listener = null;
+    this.connecting = null;
+    this.streams = new Set();
+  }
+
+  async ensureListening() {
+    if (this.listener) return;
+
+    if (!this.connecting) {
+      this.connecting = this.listen().finally(() => {
+        this.connecting = null;
+      });
+    }
+    return this.connecting;
+  }
+
+  // Holds one pool connection for as long as the process runs
+  async listen() {
+    const client = await db.connect();
+
+    client.on('notification', message => {
+      try {
+        const event = JSON.parse(message.payload);
+        this.emitter.emit(`user:${event.userId}`, event);
+      } catch (error) {
+        console.error('❌ Bad transaction event notification:', error.message);
+      }
+    });
+
+    client.on('error', error => {
+      console.error('❌ Transaction event listener lost its connection:', error.message);
+      this.listener = null;
+      client.release(error);
+
+      // Events sent while disconnected are lost, so ask open streams to
+      // reconnect and resume from their Last-Event-ID
+      this.closeAll('reconnect');
+    });
+
+    await client.query(`LISTEN ${transactionState.notifyChannel}`);
+    this.listener = client;
+  }
+
+  async subscribe(userId, handler) {
+    await this.ensureListening();
+
+    this.emitter.on(`user:${userId}`, handler);
+    return () => this.emitter.off(`user:${userId}`, handler);
+  }
+
+  // Streams status events for the user's transfers, or one transfer when
+  // transactionId is given. snapshot() supplies the first event for a fresh
+  // (non-resumed) stream.
+  async open(req, res, { transactionId = null, snapshot }) {
+    const { userId, sessionId, exp } = req.user;
+    const lastEventId = parseInt(req.headers['last-event-id'] || req.query.lastEventId) || null;
+
+    let lastSentId = lastEventId || 0;
+    let ready = false;
+    const buffered = [];
+
+    const send = (event) => {
+      if (event.eventId <= lastSentId) return;
+      lastSentId = event.eventId;
+      res.write(`id: ${event.eventId}\nevent: status\ndata: ${JSON.stringify(event)}\n\n`);
+    };
+
+    const stream = {
+      close: (reason) => {
+        if (res.writableEnded) return;
+        res.write(`event: end\ndata: ${JSON.stringify({ reason })}\n\n`);
+        res.end();
+      }
+    };
+
+    // Subscribed before reading history so nothing falls in between; the
+    // overlap is dropped by send()
+    const unsubscribe = await this.subscribe(userId, ({ userId: owner, ...event }) => {
+      if (transactionId && event.transactionId !== transactionId) return;
+      ready ? send(event) : buffered.push(event);
+    });
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.write(`retry: ${RECONNECT_MS}\n\n`);
+
+    // Session revocation and token expiry end the stream like any other request
+    const heartbeat = setInterval(async () => {
+      try {
+        if (!(await sessionService.isActive(sessionId))) {
+          stream.close('session_revoked');
+          return;
+        }
+        res.write(': ping\n\n');
+      } catch (error) {
+        console.error('Stream session check error:', error.message);
+      }
+    }, HEARTBEAT_MS);
+
+    const expiry = exp
+      ? setTimeout(() => stream.close('token_expired'), Math.max(exp * 1000 - Date.now(), 0))
+      : null;
+
+    this.streams.add(stream);
+    res.on('close', () => {
+      clearInterval(heartbeat);
+      clearTimeout(expiry);
+      unsubscribe();
+      this.streams.delete(stream);
+    });
+
+    try {
+      if (lastEventId) {
+        const missed = await transactionState.getEventsSince(userId, lastEventId, transactionId);
+        missed.forEach(send);
+      } else {
+        res.write(`event: snapshot\ndata: ${JSON.stringify(await snapshot())}\n\n`);
+      }
+    } catch (error) {
+      console.error('Stream start error:', error);
+      stream.close('error');
+      return;
+    }
+
+    ready = true;
+    buffered.forEach(send);
+  }
+
+  // On shutdown, or when the listener connection drops
+  closeAll(reason = 'shutdown') {
+    for (const stream of this.streams) {
+      stream.close(reason);
+    }
+  }
+}
+
+module.exports = new TransactionStreamService();
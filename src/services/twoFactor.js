@@ -0,0 +1,283 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const db = require('../config/database');
+const totpService = require('./totp');
+const encryptionService = require('./encryption');
+const limitsService = require('./limits');
+
+const BACKUP_CODE_COUNT = 10;
+
+function twoFactorError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function hashBackupCode(code) {
+  return crypto.createHash('sha256').update(code.replace(/[\s-]/g, '').toUpperCase()).digest('hex');
+}
+
+class TwoFactorService {
+  constructor() {
+    this.challengeTtl = process.env.TWO_FACTOR_CHALLENGE_TTL || '5m';
+    this.maxChallengeAttempts = parseInt(process.env.TWO_FACTOR_MAX_CHALLENGE_ATTEMPTS) || 5;
+    this.maxFailedAttempts = parseInt(process.env.TWO_FACTOR_MAX_FAILED_ATTEMPTS) || 10;
+    this.lockoutMinutes = parseInt(process.env.TWO_FACTOR_LOCKOUT_MINUTES) || 15;
+    this.stepUpAmountThreshold = parseFloat(process.env.STEP_UP_AMOUNT_THRESHOLD) || 1000;
+  }
+
+  async getStatus(userId) {
+    const result = await db.query(
+      `SELECT email, totp_secret, totp_enabled, totp_locked_until > NOW() AS totp_locked
+       FROM users WHERE id = $1`,
+      [userId]
+    );
+
+    if (result.rows.length === 0) {
+      throw twoFactorError('User not found', 404);
+    }
+
+    return result.rows[0];
+  }
+
+  // Stores a new, not yet enabled secret; enable() confirms the user scanned it
+  async setup(userId) {
+    const user = await this.getStatus(userId);
+
+    if (user.totp_enabled) {
+      throw twoFactorError('Two-factor authentication is already enabled', 409);
+    }
+
+    const secret = totpService.generateSecret();
+
+    await db.query(
+      'UPDATE users SET totp_secret = $1, totp_last_used_step = NULL WHERE id = $2',
+      [encryptionService.encrypt(secret), userId]
+    );
+
+    return {
+      secret,
+      otpauthUrl: totpService.otpauthUrl(secret, user.email)
+    };
+  }
+
+  async enable(userId, code) {
+    const user = await this.getStatus(userId);
+
+    if (user.totp_enabled) {
+      throw twoFactorError('Two-factor authentication is already enabled', 409);
+    }
+
+    if (!user.totp_secret) {
+      throw twoFactorError('Start two-factor setup first');
+    }
+
+    if (!(await this.consumeTotp(userId, user.totp_secret, code))) {
+      throw twoFactorError('Invalid verification code', 401);
+    }
+
+    const backupCodes = Array.from({ length: BACKUP_CODE_COUNT }, () => {
+      const raw = crypto.randomBytes(5).toString('hex').toUpperCase();
+      return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+
+    await db.withTransaction(async (client) => {
+      await client.query('UPDATE users SET totp_enabled = true WHERE id = $1', [userId]);
+      await client.query('DELETE FROM backup_codes WHERE user_id = $1', [userId]);
+
+      for (const backupCode of backupCodes) {
+        await client.query(
+          'INSERT INTO backup_codes (user_id, code_hash) VALUES ($1, $2)',
+          [userId, hashBackupCode(backupCode)]
+        );
+      }
+    });
+
+    return { backupCodes };
+  }
+
+  async disable(userId, code) {
+    const user = await this.getStatus(userId);
+
+    if (!user.totp_enabled) {
+      throw twoFactorError('Two-factor authentication is not enabled');
+    }
+
+    if (!(await this.verify(userId, code, { allowBackupCode: true }))) {
+      throw twoFactorError('Invalid verification code', 401);
+    }
+
+    await db.withTransaction(async (client) => {
+      await client.query(
+        `UPDATE users SET totp_enabled = false, totp_secret = NULL, totp_last_used_step = NULL
+         WHERE id = $1`,
+        [userId]
+      );
+      await client.query('DELETE FROM backup_codes WHERE user_id = $1', [userId]);
+    });
+  }
+
+  // Checks a TOTP code (or, when allowed, an unused backup code). Each code
+  // is accepted once: a TOTP step must be newer than the last one used.
+  // maxFailedAttempts wrong codes in a row lock the user out for
+  // lockoutMinutes. The code is consumed on `client` when given, so it is
+  // only used up if the caller's transaction commits; failures are always
+  // counted, even when the caller rolls back.
+  async verify(userId, code, { allowBackupCode = false, client = db } = {}) {
+    const user = await this.getStatus(userId);
+
+    if (!user.totp_enabled || !code) {
+      return false;
+    }
+
+    if (user.totp_locked) {
+      throw twoFactorError('Too many failed verification attempts; try again later', 429);
+    }
+
+    let valid = await this.consumeTotp(userId, user.totp_secret, code, client);
+
+    if (!valid && allowBackupCode) {
+      const result = await client.query(
+        `UPDATE backup_codes SET used_at = NOW()
+         WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+         RETURNING id`,
+        [userId, hashBackupCode(String(code))]
+      );
+      valid = result.rows.length > 0;
+    }
+
+    if (valid) {
+      await client.query(
+        'UPDATE users SET totp_failed_attempts = 0 WHERE id = $1 AND totp_failed_attempts > 0',
+        [userId]
+      );
+    } else {
+      await this.recordFailure(userId);
+    }
+
+    return valid;
+  }
+
+  async recordFailure(userId) {
+    const result = await db.query(
+      `UPDATE users
+       SET totp_failed_attempts = CASE WHEN totp_failed_attempts + 1 >= $2 THEN 0 ELSE totp_failed_attempts + 1 END,
+           totp_locked_until = CASE WHEN totp_failed_attempts + 1 >= $2
+             THEN NOW() + make_interval(mins => $3) ELSE totp_locked_until END
+       WHERE id = $1
+       RETURNING totp_failed_attempts = 0 AS locked`,
+      [userId, this.maxFailedAttempts, this.lockoutMinutes]
+    );
+
+    if (result.rows[0] && result.rows[0].locked) {
+      console.warn(`⚠️  Two-factor locked for user ${userId} after ${this.maxFailedAttempts} failed attempts`);
+    }
+  }
+
+  async consumeTotp(userId, encryptedSecret, code, client = db) {
+    const step = totpService.verify(encryptionService.decrypt(encryptedSecret), code);
+    if (step === null) {
+      return false;
+    }
+
+    const result = await client.query(
+      `UPDATE users SET totp_last_used_step = $1
+       WHERE id = $2 AND (totp_last_used_step IS NULL OR totp_last_used_step < $1)
+       RETURNING id`,
+      [step, userId]
+    );
+
+    return result.rows.length > 0;
+  }
+
+  // Transfers above the threshold (in the limit currency, see
+  // src/config/limits.js), or to a recipient the sender has never completed a
+  // transfer to, need a fresh TOTP code (backup codes not accepted).
+  // Pass the caller's client so the code is only used up if it commits.
+  async assertStepUp(userId, recipientId, amount, currency, code, { client = db } = {}) {
+    let required = await limitsService.toLimitCurrency(amount, currency) > this.stepUpAmountThreshold;
+
+    if (!required) {
+      const previous = await client.query(
+        `SELECT 1 FROM transactions
+         WHERE sender_id = $1 AND recipient_id = $2 AND status = 'completed'
+         LIMIT 1`,
+        [userId, recipientId]
+      );
+      required = previous.rows.length === 0;
+    }
+
+    if (!required) {
+      return;
+    }
+
+    const user = await this.getStatus(userId);
+    let message = null;
+
+    if (!user.totp_enabled) {
+      message = 'Enable two-factor authentication to send this transfer';
+    } else if (!code) {
+      message = 'A verification code is required for this transfer';
+    } else if (!(await this.verify(userId, code, { client }))) {
+      message = 'Invalid verification code';
+    }
+
+    if (message) {
+      const error = twoFactorError(message, 403);
+      error.stepUpRequired = true;
+      throw error;
+    }
+  }
+
+  createChallenge(userId) {
+    return jwt.sign(
+      { userId, purpose: '2fa_login' },
+      process.env.JWT_SECRET,
+      { expiresIn: this.challengeTtl, jwtid: crypto.randomUUID() }
+    );
+  }
+
+  // Returns { userId, challengeId }
+  verifyChallenge(challengeToken) {
+    try {
+      const payload = jwt.verify(challengeToken, process.env.JWT_SECRET);
+      if (payload.purpose !== '2fa_login' || !payload.jti) {
+        throw new Error('Wrong token purpose');
+      }
+      return { userId: payload.userId, challengeId: payload.jti };
+    } catch (error) {
+      throw twoFactorError('Invalid or expired challenge', 401);
+    }
+  }
+
+  // Second login step. Each challenge allows maxChallengeAttempts codes;
+  // after that the user has to log in again. Returns the user id.
+  async verifyLogin(challengeToken, code) {
+    const { userId, challengeId } = this.verifyChallenge(challengeToken);
+
+    const attempt = await db.query(
+      `INSERT INTO two_factor_challenges (id, user_id, attempts)
+       VALUES ($1, $2, 1)
+       ON CONFLICT (id) DO UPDATE SET attempts = two_factor_challenges.attempts + 1
+       RETURNING attempts`,
+      [challengeId, userId]
+    );
+    if (attempt.rows[0].attempts > this.maxChallengeAttempts) {
+      throw twoFactorError('Too many attempts for this challenge; log in again', 429);
+    }
+
+    if (!(await this.verify(userId, code, { allowBackupCode: true }))) {
+      throw twoFactorError('Invalid verification code', 401);
+    }
+
+    // Challenges expire within challengeTtl; drop this user's old ones
+    await db.query(
+      "DELETE FROM two_factor_challenges WHERE user_id = $1 AND created_at < NOW() - INTERVAL '1 day'",
+      [userId]
+    );
+
+    return userId;
+  }
+}
+
+module.exports = new TwoFactorService();
@@ -0,0 +1,128 @@
+const db = require('../config/database');
+const xrplService = require('./xrpl');
+const encryptionService = require('./encryption');
+
+// Custodial XRPL accounts. Each user gets one wallet; treasury wallets are
+// named by label:
+//   liquidity - funds user wallets with the XRP a transfer needs
+//   payout    - receives remittances, tagged with the recipient's destination tag
+// Seeds are encrypted with ENCRYPTION_KEY and only decrypted to sign.
+class WalletService {
+  constructor() {
+    this.accountReserveXrp = parseFloat(process.env.XRPL_ACCOUNT_RESERVE_XRP) || 1;
+    this.treasuryFundingXrp = parseFloat(process.env.XRPL_TREASURY_FUNDING_XRP) || 1000;
+  }
+
+  async getOrCreateUserWallet(userId) {
+    const existing = await db.query('SELECT * FROM wallets WHERE user_id = $1', [userId]);
+    if (existing.rows.length > 0) {
+      return existing.rows[0];
+    }
+
+    await this.insertWallet({ userId, kind: 'user', label: null });
+
+    // Re-read: a concurrent request may have won the insert
+    const result = await db.query('SELECT * FROM wallets WHERE user_id = $1', [userId]);
+    return result.rows[0];
+  }
+
+  async getTreasuryWallet(label) {
+    const existing = await db.query(
+      "SELECT * FROM wallets WHERE kind = 'treasury' AND label = $1",
+      [label]
+    );
+    if (existing.rows.length > 0) {
+      return existing.rows[0];
+    }
+
+    const created = await this.insertWallet({ userId: null, kind: 'treasury', label });
+    if (created) {
+      await this.fundTreasury(created);
+    }
+
+    const result = await db.query(
+      "SELECT * FROM wallets WHERE kind = 'treasury' AND label = $1",
+      [label]
+    );
+    return result.rows[0];
+  }
+
+  // Returns the new row, or null when another request created it first
+  async insertWallet({ userId, kind, label }) {
+    const wallet = xrplService.generateWallet();
+
+    const result = await db.query(
+      `INSERT INTO wallets (user_id, kind, label, address, seed_encrypted)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT DO NOTHING
+       RETURNING *`,
+      [userId, kind, label, wallet.classicAddress, encryptionService.encrypt(wallet.seed)]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  // New treasury accounts are activated from XRPL_FUNDING_SEED (e.g. the
+  // genesis account of a standalone rippled) when one is configured
+  async fundTreasury(walletRow) {
+    if (xrplService.mode === 'mock') {
+      return;
+    }
+
+    if (!process.env.XRPL_FUNDING_SEED) {
+      console.warn(`⚠️  Treasury wallet ${walletRow.label} (${walletRow.address}) created unfunded; set XRPL_FUNDING_SEED or fund it manually`);
+      return;
+    }
+
+    await xrplService.sendXrp(
+      xrplService.walletFromSeed(process.env.XRPL_FUNDING_SEED),
+      walletRow.address,
+      this.treasuryFundingXrp,
+      { memo: `swiftbase:treasury:${walletRow.label}` }
+    );
+    console.log(`🏦 Funded treasury wallet ${walletRow.label} with ${this.treasuryFundingXrp} XRP`);
+  }
+
+  getSigningWallet(walletRow) {
+    return xrplService.walletFromSeed(encryptionService.decrypt(walletRow.seed_encrypted));
+  }
+
+  getBalance(address) {
+    return xrplService.getBalance(address);
+  }
+
+  // Tops the wallet up from the liquidity treasury so it can send xrpAmount
+  // and still hold the account reserve. A no-op when balances are unknown (mock).
+  async ensureFunded(walletRow, xrpAmount) {
+    const balance = await this.getBalance(walletRow.address);
+    if (balance === null) {
+      return;
+    }
+
+    // Small buffer for network fees
+    const needed = xrpAmount + this.accountReserveXrp + 0.01;
+    if (balance >= needed) {
+      return;
+    }
+
+    const liquidity = await this.getTreasuryWallet('liquidity');
+    await xrplService.sendXrp(
+      this.getSigningWallet(liquidity),
+      walletRow.address,
+      needed - balance,
+      { memo: `swiftbase:topup:${walletRow.id}` }
+    );
+  }
+
+  format(walletRow, balance) {
+    return {
+      address: walletRow.address,
+      balance,
+      currency: 'XRP',
+      network: xrplService.mode,
+      createdAt: walletRow.created_at
+    };
+  }
+}
+
+module.exports = new WalletService();
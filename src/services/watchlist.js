@@ -0,0 +1,189 @@
+const fs = require('fs');
+const path = require('path');
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// English country name -> ISO 3166 alpha-2, for lists that spell countries out
+const COUNTRY_CODES = (() => {
+  const names = new Intl.DisplayNames(['en'], { type: 'region' });
+  const codes = {};
+  for (let a = 65; a <= 90; a++) {
+    for (let b = 65; b <= 90; b++) {
+      const code = String.fromCharCode(a, b);
+      const name = names.of(code);
+      if (name && name !== code) {
+        codes[name.toLowerCase()] = code;
+      }
+    }
+  }
+  return codes;
+})();
+
+function toCountryCode(value) {
+  if (!value) return null;
+  const trimmed = value.trim();
+  if (/^[A-Za-z]{2}$/.test(trimmed)) return trimmed.toUpperCase();
+  return COUNTRY_CODES[trimmed.toLowerCase()] || null;
+}
+
+// Accepts "1970-01-31", "31 Jan 1970", "Jan 1970" or "1970"
+function parseDate(value) {
+  if (!value) return null;
+  const text = String(value).trim().toLowerCase();
+
+  let match = text.match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (match) return { year: +match[1], month: +match[2], day: +match[3] };
+
+  match = text.match(/^(?:(\d{1,2}) )?([a-z]{3})[a-z]* (\d{4})$/);
+  if (match && MONTHS.includes(match[2])) {
+    return { year: +match[3], month: MONTHS.indexOf(match[2]) + 1, day: match[1] ? +match[1] : null };
+  }
+
+  match = text.match(/^(\d{4})$/);
+  if (match) return { year: +match[1], month: null, day: null };
+
+  return null;
+}
+
+function decodeXml(text) {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&')
+    .trim();
+}
+
+function xmlTags(xml, tag) {
+  const pattern = new RegExp(`<${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</${tag}>`, 'g');
+  return [...xml.matchAll(pattern)].map(match => match[1]);
+}
+
+function xmlTag(xml, tag) {
+  const values = xmlTags(xml, tag);
+  return values.length > 0 ? decodeXml(values[0]) : null;
+}
+
+// The entry's own fields, without its nested lists (akaList, addressList, ...),
+// whose items have their own uid, firstName and lastName
+function ownFields(entry) {
+  return entry.replace(/<(\w+List)(?:\s[^>]*)?>[\s\S]*?<\/\1>/g, '');
+}
+
+function joinName(first, last) {
+  return [first, last].filter(Boolean).join(' ');
+}
+
+function parseCsvLine(line) {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(field);
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field);
+
+  return fields.map(value => value.trim());
+}
+
+// Loads a sanctions list from WATCHLIST_PATH and reloads it when the file
+// changes. Two formats are understood:
+//  - CSV with a header row: id,name,type,country,date_of_birth,aliases,program
+//    (aliases separated by ';')
+//  - OFAC SDN-style XML: <sdnEntry> with uid, firstName/lastName, akaList,
+//    dateOfBirthList and nationalityList/addressList countries
+class WatchlistService {
+  constructor() {
+    this.filePath = process.env.WATCHLIST_PATH ? path.resolve(process.env.WATCHLIST_PATH) : null;
+    this.entries = [];
+    this.loadedMtime = null;
+  }
+
+  parseDate(value) {
+    return parseDate(value);
+  }
+
+  isConfigured() {
+    return Boolean(this.filePath);
+  }
+
+  getEntries() {
+    if (!this.filePath) {
+      return [];
+    }
+
+    const mtime = fs.statSync(this.filePath).mtimeMs;
+    if (mtime !== this.loadedMtime) {
+      const content = fs.readFileSync(this.filePath, 'utf8');
+      this.entries = this.filePath.toLowerCase().endsWith('.xml')
+        ? this.parseXml(content)
+        : this.parseCsv(content);
+      this.loadedMtime = mtime;
+      console.log(`📋 Loaded ${this.entries.length} watchlist entries from ${this.filePath}`);
+    }
+
+    return this.entries;
+  }
+
+  parseCsv(content) {
+    const lines = content.split(/\r?\n/).filter(line => line.trim());
+    const header = parseCsvLine(lines.shift() || '').map(name => name.toLowerCase());
+    const column = name => header.indexOf(name);
+
+    return lines.map(line => {
+      const fields = parseCsvLine(line);
+      const value = name => (column(name) >= 0 ? fields[column(name)] : '');
+
+      return {
+        id: value('id'),
+        names: [value('name'), ...value('aliases').split(';')].map(name => name.trim()).filter(Boolean),
+        type: value('type') || null,
+        countries: [toCountryCode(value('country'))].filter(Boolean),
+        datesOfBirth: [parseDate(value('date_of_birth'))].filter(Boolean),
+        program: value('program') || null
+      };
+    }).filter(entry => entry.names.length > 0);
+  }
+
+  parseXml(content) {
+    return xmlTags(content, 'sdnEntry').map(entry => {
+      const own = ownFields(entry);
+      const akas = xmlTags(entry, 'aka').map(aka => joinName(xmlTag(aka, 'firstName'), xmlTag(aka, 'lastName')));
+      const countries = [
+        ...xmlTags(entry, 'nationality'),
+        ...xmlTags(entry, 'citizenship'),
+        ...xmlTags(entry, 'address')
+      ].map(block => toCountryCode(xmlTag(block, 'country')));
+
+      return {
+        id: xmlTag(own, 'uid'),
+        names: [joinName(xmlTag(own, 'firstName'), xmlTag(own, 'lastName')), ...akas].filter(Boolean),
+        type: xmlTag(own, 'sdnType'),
+        countries: [...new Set(countries.filter(Boolean))],
+        datesOfBirth: xmlTags(entry, 'dateOfBirth').map(value => parseDate(decodeXml(value))).filter(Boolean),
+        program: xmlTag(entry, 'program')
+      };
+    }).filter(entry => entry.names.length > 0);
+  }
+}
+
+module.exports = new WatchlistService();
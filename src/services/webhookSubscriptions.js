@@ -0,0 +1,426 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const db = require('../config/database');
+const jobQueue = require('./jobQueue');
+const encryptionService = require('./encryption');
+
+const JOB_TYPE = 'webhook.deliver';
+
+// Transaction status -> event sent to subscribers
+const STATUS_EVENTS = {
+  payout_initiated: 'payout.available',
+  completed: 'transaction.completed',
+  failed: 'transaction.failed',
+  cancelled: 'transaction.cancelled',
+  refunded: 'transaction.refunded'
+};
+
+const EVENT_TYPES = Object.values(STATUS_EVENTS);
+
+// Transition metadata passed on with payout.available
+const PAYOUT_FIELDS = ['provider', 'estimatedArrival', 'pickupCode'];
+
+// Loopback, private, link-local and other non-public ranges. Subscribers must
+// not be able to point deliveries at our own network.
+const BLOCKED_RANGES = new net.BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+  ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+]) {
+  BLOCKED_RANGES.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+]) {
+  BLOCKED_RANGES.addSubnet(network, prefix, 'ipv6');
+}
+
+function isBlockedAddress(address) {
+  // IPv4-mapped IPv6, e.g. ::ffff:127.0.0.1
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) return isBlockedAddress(mapped[1]);
+
+  const family = net.isIP(address);
+  if (family === 0) return true;
+  return BLOCKED_RANGES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+function blockedError(hostname, address) {
+  const error = new Error(`Refusing to deliver to ${hostname} (${address}): not a public address`);
+  error.blocked = true;
+  return error;
+}
+
+// dns.lookup that refuses blocked addresses. Used as the socket's lookup, so
+// the address checked is the one connected to.
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    const blocked = addresses.find(({ address }) => isBlockedAddress(address));
+    if (blocked) return callback(blockedError(hostname, blocked.address));
+
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+function subscriptionError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// Outbound webhooks for users and API clients. Deliveries are written in the
+// same database transaction as the status change that causes them and sent by
+// jobs, so a crash never loses one and failed sends back off exponentially.
+//
+// Each request carries "X-SwiftBase-Signature: t=<unix seconds>,v1=<hex>",
+// where v1 is HMAC-SHA256 of "<t>.<raw body>" under the subscription secret.
+//
+// Endpoints must resolve to public addresses; this is checked when connecting,
+// and redirects are not followed. WEBHOOK_ALLOW_PRIVATE=true lifts the check
+// for local development.
+class WebhookSubscriptionService {
+  constructor() {
+    this.eventTypes = EVENT_TYPES;
+    this.timeoutMs = parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000;
+    this.maxAttempts = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 8;
+    this.allowPrivate = process.env.WEBHOOK_ALLOW_PRIVATE === 'true';
+
+    jobQueue.register(JOB_TYPE, payload => this.deliver(payload.deliveryId), {
+      onDead: (payload, job, error) => this.markFailed(payload.deliveryId, error)
+    });
+  }
+
+  validate({ url, events }) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      throw subscriptionError('url must be a valid URL');
+    }
+
+    const allowHttp = process.env.NODE_ENV !== 'production';
+    if (parsed.protocol !== 'https:' && !(allowHttp && parsed.protocol === 'http:')) {
+      throw subscriptionError('url must use https');
+    }
+
+    // Resolved hosts are checked again on every delivery
+    const hostname = parsed.hostname.replace(/^\[|\]$/g, '');
+    if (!this.allowPrivate && (hostname === 'localhost' || hostname.endsWith('.localhost') ||
+        (net.isIP(hostname) && isBlockedAddress(hostname)))) {
+      throw subscriptionError('url must point to a public address');
+    }
+
+    if (!Array.isArray(events) || events.length === 0) {
+      throw subscriptionError(`events must list at least one of: ${EVENT_TYPES.join(', ')}`);
+    }
+    const unknown = events.filter(event => !EVENT_TYPES.includes(event));
+    if (unknown.length > 0) {
+      throw subscriptionError(`Unknown events: ${unknown.join(', ')}`);
+    }
+  }
+
+  // The secret is only returned here; afterwards it is only used to sign
+  async create(userId, { url, events, description }) {
+    this.validate({ url, events });
+
+    const secret = 'whsec_' + crypto.randomBytes(24).toString('hex');
+    const result = await db.query(
+      `INSERT INTO webhook_subscriptions (user_id, url, events, description, secret_encrypted)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING *`,
+      [userId, url, events, description || null, encryptionService.encrypt(secret)]
+    );
+
+    return { ...this.format(result.rows[0]), secret };
+  }
+
+  async list(userId) {
+    const result = await db.query(
+      'SELECT * FROM webhook_subscriptions WHERE user_id = $1 ORDER BY created_at DESC',
+      [userId]
+    );
+    return result.rows.map(row => this.format(row));
+  }
+
+  async get(userId, subscriptionId) {
+    const result = await db.query(
+      'SELECT * FROM webhook_subscriptions WHERE id = $1 AND user_id = $2',
+      [subscriptionId, userId]
+    );
+    if (result.rows.length === 0) {
+      throw subscriptionError('Subscription not found', 404);
+    }
+    return result.rows[0];
+  }
+
+  async update(userId, subscriptionId, changes) {
+    const current = await this.get(userId, subscriptionId);
+
+    const url = changes.url ?? current.url;
+    const events = changes.events ?? current.events;
+    this.validate({ url, events });
+
+    const result = await db.query(
+      `UPDATE webhook_subscriptions
+       SET url = $1, events = $2, description = $3, active = $4, updated_at = NOW()
+       WHERE id = $5
+       RETURNING *`,
+      [
+        url,
+        events,
+        changes.description ?? current.description,
+        changes.active ?? current.active,
+        current.id
+      ]
+    );
+
+    return this.format(result.rows[0]);
+  }
+
+  async remove(userId, subscriptionId) {
+    const current = await this.get(userId, subscriptionId);
+    await db.query('DELETE FROM webhook_subscriptions WHERE id = $1', [current.id]);
+  }
+
+  // Called by transactionState.transition on its client
+  async recordTransition(client, transaction, from, to, metadata) {
+    const type = STATUS_EVENTS[to];
+    if (!type) return;
+
+    const subscriptions = await client.query(
+      `SELECT id FROM webhook_subscriptions
+       WHERE user_id = $1 AND active = true AND $2 = ANY(events)`,
+      [transaction.sender_id, type]
+    );
+    if (subscriptions.rows.length === 0) return;
+
+    // amount_received is only set on completion; before that it is the quoted amount
+    let amountReceived = transaction.amount_received;
+    if (amountReceived === null && transaction.quote_id) {
+      const quote = await client.query('SELECT amount_received FROM quotes WHERE id = $1', [transaction.quote_id]);
+      amountReceived = quote.rows[0] ? quote.rows[0].amount_received : null;
+    }
+
+    const data = {
+      transaction: {
+        id: transaction.id,
+        status: to,
+        previousStatus: from,
+        amountSent: parseFloat(transaction.amount_sent),
+        currencySent: transaction.currency_sent,
+        amountReceived: amountReceived === null ? null : parseFloat(amountReceived),
+        currencyReceived: transaction.currency_received,
+        recipientId: transaction.recipient_id
+      }
+    };
+
+    if (type === 'payout.available' && metadata) {
+      data.payout = Object.fromEntries(
+        PAYOUT_FIELDS.filter(field => metadata[field] !== undefined).map(field => [field, metadata[field]])
+      );
+    }
+
+    for (const subscription of subscriptions.rows) {
+      const eventId = crypto.randomUUID();
+      const payload = { id: eventId, type, createdAt: new Date().toISOString(), data };
+
+      const delivery = await client.query(
+        `INSERT INTO webhook_deliveries (subscription_id, event_id, event_type, payload)
+         VALUES ($1, $2, $3, $4)
+         RETURNING id`,
+        [subscription.id, eventId, type, JSON.stringify(payload)]
+      );
+
+      await jobQueue.enqueue(JOB_TYPE, { deliveryId: delivery.rows[0].id }, {
+        client,
+        maxAttempts: this.maxAttempts
+      });
+    }
+  }
+
+  sign(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  }
+
+  // POSTs body to url and resolves with the response status
+  post(url, headers, body) {
+    const parsed = new URL(url);
+    const hostname = parsed.hostname.replace(/^\[|\]$/g, '');
+
+    // IP literals are connected to without a lookup
+    if (!this.allowPrivate && net.isIP(hostname) && isBlockedAddress(hostname)) {
+      return Promise.reject(blockedError(hostname, hostname));
+    }
+
+    const transport = parsed.protocol === 'https:' ? https : http;
+    return new Promise((resolve, reject) => {
+      const request = transport.request(parsed, {
+        method: 'POST',
+        headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+        lookup: this.allowPrivate ? undefined : publicLookup
+      }, response => {
+        response.resume();
+        clearTimeout(timer);
+        resolve(response.statusCode);
+      });
+
+      const timer = setTimeout(
+        () => request.destroy(new Error(`No response within ${this.timeoutMs}ms`)),
+        this.timeoutMs
+      );
+      request.on('error', error => {
+        clearTimeout(timer);
+        reject(error);
+      });
+      request.end(body);
+    });
+  }
+
+  async deliver(deliveryId) {
+    const result = await db.query(
+      `SELECT d.*, s.url, s.secret_encrypted, s.active
+       FROM webhook_deliveries d
+       JOIN webhook_subscriptions s ON d.subscription_id = s.id
+       WHERE d.id = $1`,
+      [deliveryId]
+    );
+    const delivery = result.rows[0];
+
+    // Subscription deleted, or already delivered
+    if (!delivery || delivery.status === 'succeeded') return;
+
+    // Paused: settle it so it doesn't look pending; a replay sends it later
+    if (!delivery.active) {
+      await db.query(
+        "UPDATE webhook_deliveries SET status = 'skipped', last_error = $1 WHERE id = $2",
+        ['Subscription is paused', delivery.id]
+      );
+      return;
+    }
+
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const signature = this.sign(encryptionService.decrypt(delivery.secret_encrypted), timestamp, body);
+
+    let responseStatus = null;
+    let failure = null;
+    let blocked = false;
+
+    try {
+      responseStatus = await this.post(delivery.url, {
+        'Content-Type': 'application/json',
+        'User-Agent': 'SwiftBase-Webhooks/1.0',
+        'X-SwiftBase-Event': delivery.event_type,
+        'X-SwiftBase-Delivery': String(delivery.id),
+        'X-SwiftBase-Signature': `t=${timestamp},v1=${signature}`
+      }, body);
+
+      // Redirects are not followed, so a 3xx is a failure too
+      if (responseStatus < 200 || responseStatus >= 300) {
+        failure = `Endpoint responded ${responseStatus}`;
+      }
+    } catch (error) {
+      failure = error.message;
+      blocked = error.blocked === true;
+    }
+
+    await db.query(
+      `UPDATE webhook_deliveries
+       SET status = $1, attempts = attempts + 1, last_attempt_at = NOW(),
+           last_response_status = $2, last_error = $3,
+           delivered_at = CASE WHEN $1 = 'succeeded' THEN NOW() ELSE delivered_at END
+       WHERE id = $4`,
+      [failure ? 'retrying' : 'succeeded', responseStatus, failure, delivery.id]
+    );
+
+    if (failure) {
+      const error = new Error(failure);
+      error.retryable = !blocked;
+      throw error;
+    }
+  }
+
+  async markFailed(deliveryId, error) {
+    await db.query(
+      "UPDATE webhook_deliveries SET status = 'failed', last_error = $1 WHERE id = $2",
+      [error.message, deliveryId]
+    );
+  }
+
+  async listDeliveries(userId, subscriptionId, { status, limit = 50 } = {}) {
+    const subscription = await this.get(userId, subscriptionId);
+
+    const params = [subscription.id];
+    let query = 'SELECT * FROM webhook_deliveries WHERE subscription_id = $1';
+    if (status) {
+      params.push(status);
+      query += ` AND status = $${params.length}`;
+    }
+    params.push(Math.min(parseInt(limit) || 50, 200));
+    query += ` ORDER BY created_at DESC LIMIT $${params.length}`;
+
+    const result = await db.query(query, params);
+    return result.rows.map(row => this.formatDelivery(row));
+  }
+
+  // Sends the same event again, with the same event id
+  async replay(userId, subscriptionId, deliveryId) {
+    const subscription = await this.get(userId, subscriptionId);
+
+    return db.withTransaction(async (client) => {
+      const result = await client.query(
+        `UPDATE webhook_deliveries SET status = 'pending'
+         WHERE id = $1 AND subscription_id = $2
+         RETURNING *`,
+        [deliveryId, subscription.id]
+      );
+      if (result.rows.length === 0) {
+        throw subscriptionError('Delivery not found', 404);
+      }
+
+      await jobQueue.enqueue(JOB_TYPE, { deliveryId: result.rows[0].id }, {
+        client,
+        maxAttempts: this.maxAttempts
+      });
+
+      return this.formatDelivery(result.rows[0]);
+    });
+  }
+
+  format(row) {
+    return {
+      id: row.id,
+      url: row.url,
+      events: row.events,
+      description: row.description,
+      active: row.active,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  formatDelivery(row) {
+    return {
+      id: row.id,
+      eventId: row.event_id,
+      eventType: row.event_type,
+      status: row.status,
+      attempts: row.attempts,
+      lastAttemptAt: row.last_attempt_at,
+      lastResponseStatus: row.last_response_status,
+      lastError: row.last_error,
+      deliveredAt: row.delivered_at,
+      payload: row.payload,
+      createdAt: row.created_at
+    };
+  }
+}
+
+module.exports = new WebhookSubscriptionService();
@@ -1,46 +1,215 @@
+const xrpl = require('xrpl');
+const MockXRPLDriver = require('./xrpl/mockDriver');
+const RippledXRPLDriver = require('./xrpl/rippledDriver');
+
+const DRIVERS = {
+  mock: MockXRPLDriver,
+  rippled: RippledXRPLDriver
+};
+
 class XRPLService {
-  generateTransaction(amount, from, to) {
-    const hash = 'XRPL_' + 
-      Date.now().toString(36) + 
-      Math.random().toString(36).substr(2, 9).toUpperCase();
+  constructor() {
+    this.mode = process.env.XRPL_MODE || 'rippled';
 
-    return {
-      hash,
-      from,
-      to,
-      amount,
-      fee: 0.00001,
-      ledgerIndex: Math.floor(Math.random() * 1000000) + 50000000,
-      validated: true,
-      timestamp: new Date().toISOString(),
-      explorerUrl: `https://testnet.xrpl.org/transactions/${hash}`,
-    };
+    if (!DRIVERS[this.mode]) {
+      throw new Error(`Unknown XRPL_MODE "${this.mode}", expected one of: ${Object.keys(DRIVERS).join(', ')}`);
+    }
+
+    this.driver = new DRIVERS[this.mode]();
+    this.explorerBaseUrl = process.env.XRPL_EXPLORER_URL ?? 'https://testnet.xrpl.org/transactions/';
+
+    // Token issuers per currency code, e.g. {"USD":"r...","MXN":"r..."}
+    this.issuers = JSON.parse(process.env.XRPL_ISSUERS || '{}');
+    this.slippageTolerance = parseFloat(process.env.XRPL_SLIPPAGE_TOLERANCE) || 0.005;
+  }
+
+  isOnLedger(currency) {
+    return currency === 'XRP' || Boolean(this.issuers[currency]) || this.mode === 'mock';
+  }
+
+  currencySpec(currency) {
+    if (currency === 'XRP') {
+      return { currency: 'XRP' };
+    }
+    if (!this.isOnLedger(currency)) {
+      throw new Error(`No XRPL issuer configured for ${currency}`);
+    }
+    return { currency, issuer: this.issuers[currency] };
+  }
+
+  explorerUrl(hash) {
+    return hash && this.explorerBaseUrl ? `${this.explorerBaseUrl}${hash}` : null;
   }
 
-  convertToXRP(amount, currency) {
-    const xrpPrice = 2.5;
-    return amount / xrpPrice;
+  // Key generation is offline, so mock mode gets real key pairs too
+  generateWallet() {
+    return xrpl.Wallet.generate();
   }
 
-  convertFromXRP(xrpAmount, currency, exchangeRate) {
-    const xrpPrice = 2.5;
-    const usdAmount = xrpAmount * xrpPrice;
-    return usdAmount * exchangeRate;
+  walletFromSeed(seed) {
+    return xrpl.Wallet.fromSeed(seed);
   }
 
-  async processRemittance(senderWallet, recipientWallet, amount, fromCurrency, toCurrency, exchangeRate) {
-    const xrpAmount = this.convertToXRP(amount, fromCurrency);
-    const tx = this.generateTransaction(xrpAmount, senderWallet, recipientWallet);
-    const targetAmount = this.convertFromXRP(xrpAmount, toCurrency, exchangeRate);
-    
+  getBalance(address) {
+    return this.driver.getBalance(address);
+  }
+
+  // null in mock mode, where there is no ledger history
+  getAccountTransactions(address, options) {
+    return this.driver.getAccountTransactions(address, options);
+  }
+
+  // Plain XRP transfer between our own accounts (funding, top-ups)
+  async sendXrp(sourceWallet, destination, xrpAmount, { destinationTag, memo } = {}) {
+    const prepared = await this.driver.preparePayment({
+      sourceWallet,
+      destination,
+      amount: xrpl.xrpToDrops(xrpAmount.toFixed(6)),
+      amountXrp: xrpAmount,
+      destinationTag,
+      memo
+    });
+
+    return this.driver.submitAndWait(prepared);
+  }
+
+  // Selling `amount` of currency for XRP on the DEX
+  async convertToXRP(amount, currency) {
+    if (currency === 'XRP') return amount;
+    return this.driver.fillFromBook(this.currencySpec(currency), { currency: 'XRP' }, amount);
+  }
+
+  // Selling `xrpAmount` XRP for currency on the DEX
+  async convertFromXRP(xrpAmount, currency) {
+    if (currency === 'XRP') return xrpAmount;
+    return this.driver.fillFromBook({ currency: 'XRP' }, this.currencySpec(currency), xrpAmount);
+  }
+
+  // Effective source -> XRP -> destination rate from current order books
+  async quoteOnLedger(amount, fromCurrency, toCurrency) {
+    const xrpAmount = await this.convertToXRP(amount, fromCurrency);
+    const targetAmount = await this.convertFromXRP(xrpAmount, toCurrency);
+
     return {
-      xrplTxHash: tx.hash,
-      explorerUrl: tx.explorerUrl,
       xrpAmount,
       targetAmount,
-      fee: tx.fee,
+      rate: targetAmount / amount,
+      source: this.mode === 'mock' ? 'mock' : 'xrpl_dex'
     };
   }
+
+  // How the payment will deliver deliverAmount. Currencies with an issuer are
+  // delivered as tokens through the DEX, paid for in XRP capped by SendMax;
+  // anything else is delivered as the XRP the net source amount buys.
+  async planPayment(senderAddress, destination, fromCurrency, toCurrency, deliverAmount, netSourceAmount) {
+    if (toCurrency !== 'XRP' && this.isOnLedger(toCurrency)) {
+      const destinationAmount = { ...this.currencySpec(toCurrency), value: deliverAmount.toFixed(6) };
+      const path = await this.driver.findPath({
+        sourceAccount: senderAddress,
+        destinationAccount: destination,
+        destinationAmount
+      });
+      const sendMaxXrp = path.sourceXrp * (1 + this.slippageTolerance);
+
+      return {
+        amount: destinationAmount,
+        sendMax: xrpl.xrpToDrops(sendMaxXrp.toFixed(6)),
+        paths: path.paths,
+        xrpAmount: path.sourceXrp,
+        xrpRequired: sendMaxXrp
+      };
+    }
+
+    const xrpAmount = toCurrency === 'XRP'
+      ? deliverAmount
+      : await this.convertToXRP(netSourceAmount, fromCurrency);
+
+    return {
+      amount: xrpl.xrpToDrops(xrpAmount.toFixed(6)),
+      xrpAmount,
+      xrpRequired: xrpAmount
+    };
+  }
+
+  // senderWallet is an xrpl.Wallet able to sign; recipientWallet is the
+  // destination address. Options:
+  //   deliverAmount  - exact amount of toCurrency to deliver (the locked
+  //                    quote); defaults to (amount * exchangeRate)
+  //   ensureFunded   - called with the XRP the sender needs before signing
+  //   destinationTag - tag identifying the recipient at the destination
+  //   pending    - { hash, lastLedgerSequence } of an earlier attempt; if it
+  //                was validated its result is returned instead of paying twice
+  //   onPrepared - called with { hash, lastLedgerSequence } after signing and
+  //                before submitting, so the caller can persist them
+  //   memo       - text attached to the payment
+  async processRemittance(senderWallet, recipientWallet, amount, fromCurrency, toCurrency, exchangeRate, options = {}) {
+    const { pending, onPrepared, ensureFunded, memo, destinationTag } = options;
+    const deliverAmount = options.deliverAmount ?? amount * exchangeRate;
+
+    let result = null;
+    let xrpAmount = null;
+
+    if (pending && pending.hash) {
+      const status = await this.driver.getPaymentStatus(pending.hash, pending.lastLedgerSequence);
+
+      if (status.state === 'validated') {
+        result = status.result;
+      } else if (status.state === 'pending') {
+        const error = new Error(`XRPL payment ${pending.hash} is not validated yet`);
+        error.retryable = true;
+        throw error;
+      }
+      // 'expired': the earlier attempt can never apply, so sign a new one
+    }
+
+    if (!result) {
+      const plan = await this.planPayment(
+        senderWallet.address,
+        recipientWallet,
+        fromCurrency,
+        toCurrency,
+        deliverAmount,
+        deliverAmount / exchangeRate
+      );
+      xrpAmount = plan.xrpAmount;
+
+      if (ensureFunded) {
+        await ensureFunded(plan.xrpRequired);
+      }
+
+      const prepared = await this.driver.preparePayment({
+        sourceWallet: senderWallet,
+        destination: recipientWallet,
+        amount: plan.amount,
+        amountXrp: plan.xrpAmount,
+        sendMax: plan.sendMax,
+        paths: plan.paths,
+        destinationTag,
+        memo
+      });
+
+      if (onPrepared) {
+        await onPrepared({ hash: prepared.hash, lastLedgerSequence: prepared.lastLedgerSequence });
+      }
+
+      result = await this.driver.submitAndWait(prepared);
+    }
+
+    return {
+      xrplTxHash: result.hash,
+      explorerUrl: this.explorerUrl(result.hash),
+      xrpAmount,
+      targetAmount: deliverAmount,
+      fee: result.fee,
+      deliveredAmount: result.deliveredAmount,
+      ledgerIndex: result.ledgerIndex,
+      engineResult: result.engineResult
+    };
+  }
+
+  async disconnect() {
+    await this.driver.disconnect();
+  }
 }
 
-module.exports = new XRPLService();
\ No newline at end of file
+module.exports = new XRPLService();
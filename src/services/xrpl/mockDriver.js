@@ -0,0 +1,105 @@
+const exchangeRateService = require('../exchangeRate');
+
+// XRPL_MODE=mock: fabricates validated payments without touching a ledger.
+// Useful for local development and demos; never use it with real money.
+// Order books are simulated from XRPL_MOCK_XRP_PRICE_USD and mid-market rates.
+class MockXRPLDriver {
+  constructor() {
+    this.name = 'mock';
+    this.xrpPriceUsd = parseFloat(process.env.XRPL_MOCK_XRP_PRICE_USD) || 2.5;
+  }
+
+  async xrpPrice(currency) {
+    if (currency === 'USD') {
+      return this.xrpPriceUsd;
+    }
+
+    const rateData = await exchangeRateService.getRate('USD', currency);
+    return this.xrpPriceUsd * rateData.rate;
+  }
+
+  async fillFromBook(takerPays, takerGets, amount) {
+    if (takerPays.currency === 'XRP') {
+      return amount * await this.xrpPrice(takerGets.currency);
+    }
+    return amount / await this.xrpPrice(takerPays.currency);
+  }
+
+  async findPath({ destinationAmount }) {
+    return {
+      sourceXrp: parseFloat(destinationAmount.value) / await this.xrpPrice(destinationAmount.currency),
+      paths: null
+    };
+  }
+
+  generateTransaction(amount, from, to) {
+    const hash = 'XRPL_' + 
+      Date.now().toString(36) + 
+      Math.random().toString(36).substr(2, 9).toUpperCase();
+
+    return {
+      hash,
+      from,
+      to,
+      amount,
+      fee: 0.00001,
+      ledgerIndex: Math.floor(Math.random() * 1000000) + 50000000,
+      validated: true,
+      timestamp: new Date().toISOString(),
+    };
+  }
+
+  async preparePayment({ sourceWallet, destination, amount, amountXrp }) {
+    const tx = this.generateTransaction(amountXrp, sourceWallet.address, destination);
+    tx.delivered = typeof amount === 'string'
+      ? { currency: 'XRP', value: amountXrp }
+      : { currency: amount.currency, value: parseFloat(amount.value) };
+
+    return {
+      hash: tx.hash,
+      lastLedgerSequence: tx.ledgerIndex + 20,
+      tx
+    };
+  }
+
+  async submitAndWait(prepared) {
+    const { tx } = prepared;
+
+    return {
+      hash: tx.hash,
+      engineResult: 'tesSUCCESS',
+      ledgerIndex: tx.ledgerIndex,
+      fee: tx.fee,
+      deliveredAmount: tx.delivered
+    };
+  }
+
+  // Mock payments only exist in memory, so anything we are asked about is
+  // reported as validated
+  async getPaymentStatus(hash) {
+    return {
+      state: 'validated',
+      result: {
+        hash,
+        engineResult: 'tesSUCCESS',
+        ledgerIndex: null,
+        fee: 0.00001,
+        deliveredAmount: null
+      }
+    };
+  }
+
+  // There is no ledger history to read; null tells callers to skip reconciliation
+  async getAccountTransactions(address) {
+    return null;
+  }
+
+  // Balances are not tracked; null tells callers to skip funding checks
+  async getBalance(address) {
+    return null;
+  }
+
+  async disconnect() {}
+}
+
+module.exports = MockXRPLDriver;
@@ -0,0 +1,330 @@
+const xrpl = require('xrpl');
+
+// Human readable messages for the engine results we expect to see
+const ENGINE_RESULT_MESSAGES = {
+  tecUNFUNDED_PAYMENT: 'Source account has insufficient XRP',
+  tecNO_DST: 'Destination account does not exist',
+  tecNO_DST_INSUF_XRP: 'Payment too small to create the destination account',
+  tecDST_TAG_NEEDED: 'Destination requires a destination tag',
+  tecPATH_DRY: 'No liquidity path for this payment',
+  tecPATH_PARTIAL: 'Only part of the amount could be delivered',
+  tecNO_LINE: 'Destination has no trust line for this currency',
+  temBAD_AMOUNT: 'Invalid payment amount',
+  tefPAST_SEQ: 'Account sequence already used',
+  tefMAX_LEDGER: 'Transaction expired before it was applied',
+  telINSUF_FEE_P: 'Fee too low for current server load'
+};
+
+// Results where signing and submitting again may succeed
+const RETRYABLE_RESULTS = ['tefPAST_SEQ', 'tefMAX_LEDGER'];
+
+function xrplError(engineResult, { hash = null, validated = false } = {}) {
+  const error = new Error(
+    `XRPL payment failed: ${engineResult}` +
+    (ENGINE_RESULT_MESSAGES[engineResult] ? ` (${ENGINE_RESULT_MESSAGES[engineResult]})` : '')
+  );
+  error.code = engineResult;
+  error.hash = hash;
+  // tec results are final once validated: the fee is claimed and nothing else happens.
+  // tel and ter are transient; tem and most tef can never succeed as signed.
+  error.retryable = !validated && (
+    engineResult.startsWith('tel') ||
+    engineResult.startsWith('ter') ||
+    RETRYABLE_RESULTS.includes(engineResult)
+  );
+  return error;
+}
+
+// Order book and path amounts are drop strings for XRP, objects for tokens
+function toAmount(value) {
+  return typeof value === 'string' ? parseFloat(xrpl.dropsToXrp(value)) : parseFloat(value.value);
+}
+
+function parseDelivered(delivered) {
+  if (!delivered || delivered === 'unavailable') {
+    return null;
+  }
+  return typeof delivered === 'string'
+    ? { currency: 'XRP', value: parseFloat(xrpl.dropsToXrp(delivered)) }
+    : { currency: delivered.currency, issuer: delivered.issuer, value: parseFloat(delivered.value) };
+}
+
+function parseMemo(json) {
+  const memo = json.Memos && json.Memos[0] && json.Memos[0].Memo;
+  if (!memo || !memo.MemoData) {
+    return null;
+  }
+  return Buffer.from(memo.MemoData, 'hex').toString('utf8');
+}
+
+function liquidityError(message) {
+  const error = new Error(message);
+  error.code = 'tecPATH_DRY';
+  error.retryable = true;
+  return error;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// XRPL_MODE=rippled: signs and submits real Payments to XRPL_SERVER and waits
+// for validation. With XRPL_STANDALONE=true the driver closes ledgers itself
+// (ledger_accept), so it works against `rippled --standalone` locally.
+class RippledXRPLDriver {
+  constructor() {
+    this.name = 'rippled';
+    this.server = process.env.XRPL_SERVER || 'ws://localhost:6006';
+    this.standalone = process.env.XRPL_STANDALONE === 'true';
+    this.pollIntervalMs = parseInt(process.env.XRPL_POLL_INTERVAL_MS) || 1000;
+    this.client = null;
+    this.connecting = null;
+  }
+
+  async getClient() {
+    if (this.client && this.client.isConnected()) {
+      return this.client;
+    }
+
+    if (!this.connecting) {
+      const client = new xrpl.Client(this.server);
+      this.connecting = client.connect()
+        .then(() => {
+          this.client = client;
+          console.log(`🔗 Connected to XRPL server ${this.server}`);
+          return client;
+        })
+        .finally(() => {
+          this.connecting = null;
+        });
+    }
+
+    return this.connecting;
+  }
+
+  // Walks the takerPays -> takerGets order book as a taker spending `amount`
+  // of takerPays, and returns how much of takerGets that buys
+  async fillFromBook(takerPays, takerGets, amount) {
+    const client = await this.getClient();
+    const response = await client.request({
+      command: 'book_offers',
+      taker_pays: takerPays,
+      taker_gets: takerGets,
+      limit: 200
+    });
+
+    let remaining = amount;
+    let received = 0;
+
+    for (const offer of response.result.offers) {
+      const pays = toAmount(offer.taker_pays_funded || offer.TakerPays);
+      const gets = toAmount(offer.taker_gets_funded || offer.TakerGets);
+      if (pays <= 0 || gets <= 0) continue;
+
+      const take = Math.min(remaining, pays);
+      received += gets * (take / pays);
+      remaining -= take;
+
+      if (remaining <= 1e-9) {
+        return received;
+      }
+    }
+
+    throw liquidityError(`Not enough liquidity in the ${takerPays.currency}/${takerGets.currency} order book`);
+  }
+
+  // Cheapest XRP-funded path delivering destinationAmount
+  async findPath({ sourceAccount, destinationAccount, destinationAmount }) {
+    const client = await this.getClient();
+    const response = await client.request({
+      command: 'ripple_path_find',
+      source_account: sourceAccount,
+      destination_account: destinationAccount,
+      destination_amount: destinationAmount,
+      source_currencies: [{ currency: 'XRP' }]
+    });
+
+    const alternative = response.result.alternatives[0];
+    if (!alternative) {
+      throw liquidityError(`No XRPL path delivers ${destinationAmount.value} ${destinationAmount.currency}`);
+    }
+
+    return {
+      sourceXrp: toAmount(alternative.source_amount),
+      paths: alternative.paths_computed && alternative.paths_computed.length > 0
+        ? alternative.paths_computed
+        : null
+    };
+  }
+
+  // Builds and signs the Payment without submitting it, so the caller can
+  // record the hash first and recover it after a crash
+  async preparePayment({ sourceWallet, destination, amount, destinationTag, sendMax, paths, memo }) {
+    const client = await this.getClient();
+
+    const payment = {
+      TransactionType: 'Payment',
+      Account: sourceWallet.address,
+      Destination: destination,
+      Amount: amount
+    };
+
+    if (destinationTag !== undefined && destinationTag !== null) {
+      payment.DestinationTag = destinationTag;
+    }
+    if (sendMax) {
+      payment.SendMax = sendMax;
+    }
+    if (paths) {
+      payment.Paths = paths;
+    }
+    if (memo) {
+      payment.Memos = [{
+        Memo: { MemoData: Buffer.from(memo, 'utf8').toString('hex').toUpperCase() }
+      }];
+    }
+
+    const prepared = await client.autofill(payment);
+    const signed = sourceWallet.sign(prepared);
+
+    return {
+      hash: signed.hash,
+      txBlob: signed.tx_blob,
+      lastLedgerSequence: prepared.LastLedgerSequence
+    };
+  }
+
+  async submitAndWait(prepared) {
+    const client = await this.getClient();
+
+    const response = await client.request({ command: 'submit', tx_blob: prepared.txBlob });
+    const engineResult = response.result.engine_result;
+
+    // tes and ter (incl. terQUEUED) may still be validated; everything else was not applied
+    if (!engineResult.startsWith('tes') && !engineResult.startsWith('ter') && !engineResult.startsWith('tec')) {
+      throw xrplError(engineResult, { hash: prepared.hash });
+    }
+
+    while (true) {
+      if (this.standalone) {
+        await client.request({ command: 'ledger_accept' });
+      } else {
+        await sleep(this.pollIntervalMs);
+      }
+
+      const status = await this.getPaymentStatus(prepared.hash, prepared.lastLedgerSequence);
+
+      if (status.state === 'validated') {
+        return status.result;
+      }
+      if (status.state === 'expired') {
+        throw xrplError('tefMAX_LEDGER', { hash: prepared.hash });
+      }
+    }
+  }
+
+  // state: 'validated' (with result), 'pending', or 'expired' when the
+  // transaction can no longer make it into a validated ledger.
+  // Validated failures are thrown as non-retryable errors.
+  async getPaymentStatus(hash, lastLedgerSequence) {
+    const client = await this.getClient();
+
+    let tx = null;
+    try {
+      const response = await client.request({ command: 'tx', transaction: hash });
+      tx = response.result;
+    } catch (error) {
+      if (!error.data || error.data.error !== 'txnNotFound') {
+        throw error;
+      }
+    }
+
+    if (tx && tx.validated) {
+      const meta = tx.meta;
+      const engineResult = meta.TransactionResult;
+
+      if (engineResult !== 'tesSUCCESS') {
+        throw xrplError(engineResult, { hash, validated: true });
+      }
+
+      const json = tx.tx_json || tx;
+
+      return {
+        state: 'validated',
+        result: {
+          hash,
+          engineResult,
+          ledgerIndex: tx.ledger_index,
+          fee: parseFloat(xrpl.dropsToXrp(json.Fee)),
+          deliveredAmount: parseDelivered(meta.delivered_amount)
+        }
+      };
+    }
+
+    const validatedLedger = await client.getLedgerIndex();
+    if (lastLedgerSequence && validatedLedger > lastLedgerSequence) {
+      return { state: 'expired' };
+    }
+
+    return { state: 'pending' };
+  }
+
+  // One page of validated Payments touching address, oldest first, from
+  // ledgerIndexMin onwards. Pass the returned marker to get the next page.
+  async getAccountTransactions(address, { ledgerIndexMin = -1, marker } = {}) {
+    const client = await this.getClient();
+    const response = await client.request({
+      command: 'account_tx',
+      account: address,
+      ledger_index_min: ledgerIndexMin,
+      ledger_index_max: -1,
+      forward: true,
+      limit: 200,
+      marker
+    });
+
+    const transactions = response.result.transactions
+      .filter(entry => entry.validated)
+      .map(entry => ({ json: entry.tx_json || entry.tx, entry }))
+      .filter(({ json }) => json.TransactionType === 'Payment')
+      .map(({ json, entry }) => ({
+        hash: entry.hash || json.hash,
+        ledgerIndex: entry.ledger_index || json.ledger_index,
+        closeTime: entry.close_time_iso || (json.date ? xrpl.rippleTimeToISOTime(json.date) : null),
+        account: json.Account,
+        destination: json.Destination,
+        destinationTag: json.DestinationTag ?? null,
+        memo: parseMemo(json),
+        engineResult: entry.meta.TransactionResult,
+        deliveredAmount: parseDelivered(entry.meta.delivered_amount)
+      }));
+
+    return {
+      transactions,
+      marker: response.result.marker || null,
+      ledgerIndexMax: response.result.ledger_index_max
+    };
+  }
+
+  // XRP balance, or 0 for an account that has not been created on ledger yet
+  async getBalance(address) {
+    const client = await this.getClient();
+
+    try {
+      return parseFloat(await client.getXrpBalance(address));
+    } catch (error) {
+      if (error.data && error.data.error === 'actNotFound') {
+        return 0;
+      }
+      throw error;
+    }
+  }
+
+  async disconnect() {
+    if (this.client && this.client.isConnected()) {
+      await this.client.disconnect();
+    }
+  }
+}
+
+module.exports = RippledXRPLDriver;
@@ -0,0 +1,191 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const accountingService = require('../src/services/accounting');
+
+// A USD→MXN transfer before completion: amount_received is still NULL
+const transaction = {
+  id: 42,
+  quote_id: 'a3c1f0de-5b7e-4c1a-9d2e-1f0a2b3c4d5e',
+  amount_sent: '200.00',
+  currency_sent: 'USD',
+  amount_received: null,
+  currency_received: 'MXN',
+  exchange_rate: '17.325000',
+  fee: '3.00',
+  xrpl_fee: '0.000012'
+};
+
+const quote = { mid_market_rate: '17.500000', amount_received: '3413.03' };
+
+let quotes;
+let accounts;
+let entries;
+let postings;
+
+// An in-memory ledger answering the service's queries
+const client = {
+  async query(sql, params = []) {
+    if (sql.includes('FROM quotes')) {
+      return { rows: quotes[params[0]] ? [quotes[params[0]]] : [] };
+    }
+    if (sql.includes('INSERT INTO ledger_accounts')) {
+      const key = `${params[0]}:${params[1]}`;
+      if (!accounts.has(key)) accounts.set(key, { id: accounts.size + 1, code: params[0], currency: params[1] });
+      return { rows: [] };
+    }
+    if (sql.includes('SELECT id FROM ledger_accounts')) {
+      return { rows: [accounts.get(`${params[0]}:${params[1]}`)] };
+    }
+    if (sql.includes('INSERT INTO journal_entries')) {
+      if (entries.some(entry => entry.transactionId === params[0] && entry.kind === params[1])) {
+        return { rows: [] };
+      }
+      entries.push({ id: entries.length + 1, transactionId: params[0], kind: params[1] });
+      return { rows: [{ id: entries.length }] };
+    }
+    if (sql.includes('INSERT INTO journal_postings')) {
+      const account = [...accounts.values()].find(candidate => candidate.id === params[1]);
+      postings.push({ entryId: params[0], code: account.code, currency: account.currency, amount: params[2] });
+      return { rows: [] };
+    }
+    if (sql.includes('FROM journal_postings')) {
+      return {
+        rows: Object.entries(balances())
+          .map(([key, balance]) => ({ code: key.split(':')[0], currency: key.split(':')[1], balance: String(balance) }))
+          .filter(row => params[1].includes(row.code))
+      };
+    }
+    throw new Error(`Unexpected query: ${sql}`);
+  }
+};
+
+function balances() {
+  const result = {};
+  for (const posting of postings) {
+    const key = `${posting.code}:${posting.currency}`;
+    result[key] = Math.round(((result[key] || 0) + posting.amount) * 1e6) / 1e6;
+  }
+  return result;
+}
+
+function balance(code, currency) {
+  return balances()[`${code}:${currency}`] || 0;
+}
+
+function entryPostings(kind) {
+  const entry = entries.find(candidate => candidate.kind === kind);
+  return postings.filter(posting => posting.entryId === entry.id);
+}
+
+async function advance(...statuses) {
+  for (const to of statuses) {
+    await accountingService.recordTransition(client, transaction, null, to);
+  }
+}
+
+beforeEach(() => {
+  quotes = { [transaction.quote_id]: quote };
+  accounts = new Map();
+  entries = [];
+  postings = [];
+});
+
+test('every entry of a completed transfer balances in each currency', async () => {
+  await advance('funds_captured', 'on_ledger', 'payout_initiated', 'completed');
+
+  assert.deepEqual(entries.map(entry => entry.kind), ['capture', 'conversion', 'payout', 'settlement']);
+  for (const entry of entries) {
+    const totals = {};
+    for (const posting of postings.filter(candidate => candidate.entryId === entry.id)) {
+      totals[posting.currency] = (totals[posting.currency] || 0) + posting.amount;
+    }
+    for (const total of Object.values(totals)) {
+      assert.ok(Math.abs(total) < 0.000001, `${entry.kind} is out of balance`);
+    }
+  }
+});
+
+test('books the quoted amount received before completion', async () => {
+  await advance('funds_captured', 'on_ledger', 'payout_initiated', 'completed');
+
+  assert.equal(balance('payout_payable', 'MXN'), 0);
+  assert.equal(balance('payouts_in_flight', 'MXN'), 0);
+  assert.equal(balance('payout_provider', 'MXN'), -3413.03);
+  // 197 USD at mid-market is 3447.50 MXN, the rest is spread
+  assert.equal(balance('spread_revenue', 'MXN'), -34.47);
+  assert.equal(balance('fee_revenue', 'USD'), -3);
+});
+
+test('transfers without a quote are booked from their rate', async () => {
+  quotes = {};
+
+  await advance('funds_captured', 'on_ledger');
+
+  // 197 USD at the transaction's 17.325
+  const payable = entryPostings('conversion').find(posting => posting.code === 'payout_payable');
+  assert.equal(payable.amount, -3413.02);
+  assert.equal(balance('spread_revenue', 'MXN'), 0);
+});
+
+test('writes each entry once', async () => {
+  await advance('funds_captured', 'funds_captured');
+
+  assert.equal(entries.length, 1);
+  assert.equal(postings.length, 3);
+});
+
+test('a refund before payout unwinds everything without a loss', async () => {
+  await advance('funds_captured', 'on_ledger', 'refunded');
+
+  for (const [key, value] of Object.entries(balances())) {
+    if (key.startsWith('network_fees') || key.startsWith('xrpl_treasury')) continue;
+    assert.equal(value, 0, `${key} is left at ${value}`);
+  }
+  assert.ok(!postings.some(posting => posting.code === 'refund_losses'));
+});
+
+test('a refund after a returned payout has no loss', async () => {
+  await advance('funds_captured', 'on_ledger', 'payout_initiated', 'completed');
+  await accountingService.recordPayoutReturn(client, transaction);
+  await advance('refunded');
+
+  assert.equal(balance('payout_provider', 'MXN'), 0);
+  assert.ok(!postings.some(posting => posting.code === 'refund_losses'));
+});
+
+test('a refund after the recipient was paid is booked as a loss', async () => {
+  await advance('funds_captured', 'on_ledger', 'payout_initiated', 'completed', 'refunded');
+
+  assert.equal(balance('refund_losses', 'MXN'), 3413.03);
+});
+
+test('refuses an entry with an amount that is not a number', async () => {
+  await assert.rejects(
+    accountingService.post(client, {
+      transactionId: 42,
+      kind: 'payout',
+      description: 'Broken payout',
+      postings: [
+        { account: 'payout_payable', currency: 'MXN', amount: NaN },
+        { account: 'payouts_in_flight', currency: 'MXN', amount: -NaN }
+      ]
+    }),
+    /invalid payout_payable amount/
+  );
+  assert.equal(entries.length, 0);
+});
+
+test('refuses an entry that does not balance', async () => {
+  await assert.rejects(
+    accountingService.post(client, {
+      transactionId: 42,
+      kind: 'payout',
+      description: 'Unbalanced payout',
+      postings: [
+        { account: 'payout_payable', currency: 'MXN', amount: 100 },
+        { account: 'payouts_in_flight', currency: 'MXN', amount: -99 }
+      ]
+    }),
+    /out of balance by 1 MXN/
+  );
+});
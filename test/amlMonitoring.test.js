@@ -0,0 +1,79 @@
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const db = require('../src/config/database');
+const amlMonitoring = require('../src/services/amlMonitoring');
+const exchangeRateService = require('../src/services/exchangeRate');
+
+// Units per 1 USD
+const RATES = { USD: 1, JPY: 150, MXN: 17.5 };
+
+const rule = id => amlMonitoring.rules.find(candidate => candidate.id === id);
+const transaction = { id: 10, sender_id: 7, currency_sent: 'USD', currency_received: 'MXN', recipient_country: 'MX' };
+
+let transfers;
+let corridorQuery;
+
+beforeEach(() => {
+  transfers = [];
+  corridorQuery = null;
+  mock.method(exchangeRateService, 'getRate', async (from, to) => ({ rate: RATES[to] / RATES[from] }));
+  mock.method(db, 'query', async (sql, params) => {
+    if (sql.includes('SELECT id, amount_sent, currency_sent')) {
+      return { rows: transfers.map(([amount, currency], i) => ({ id: i + 1, amount_sent: String(amount), currency_sent: currency })) };
+    }
+    if (sql.includes('AS same_corridor')) {
+      corridorQuery = { sql, params };
+      return { rows: [{ history: '6', same_corridor: '0' }] };
+    }
+    throw new Error(`Unexpected query: ${sql}`);
+  });
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+test('structuring counts transfers in the band after converting them', async () => {
+  // 2600 USD, 420000 JPY (2800 USD) and 47250 MXN (2700 USD) are in the band;
+  // 2600 JPY and 2600 MXN are not
+  transfers = [[2600, 'USD'], [420000, 'JPY'], [2600, 'JPY'], [47250, 'MXN'], [2600, 'MXN']];
+
+  const details = await amlMonitoring.evaluateCount(rule('structuring'), transaction);
+
+  assert.equal(details.count, 3);
+  assert.deepEqual(details.transactionIds, [1, 2, 4]);
+});
+
+test('structuring ignores small transfers in weaker currencies', async () => {
+  transfers = [[2600, 'JPY'], [2700, 'JPY'], [2800, 'MXN']];
+
+  assert.equal(await amlMonitoring.evaluateCount(rule('structuring'), transaction), null);
+});
+
+test('a count rule without a band does not need rates', async () => {
+  transfers = Array.from({ length: 5 }, () => [100, 'JPY']);
+
+  const details = await amlMonitoring.evaluateCount(rule('rapid_burst'), transaction);
+
+  assert.equal(details.count, 5);
+  assert.equal(exchangeRateService.getRate.mock.callCount(), 0);
+});
+
+test('daily volume adds up transfers in every currency in the rule currency', async () => {
+  transfers = [[9000, 'JPY']];
+  assert.equal(await amlMonitoring.evaluateSum(rule('daily_volume'), transaction), null);
+
+  transfers = [[6000, 'USD'], [450000, 'JPY']];
+  const details = await amlMonitoring.evaluateSum(rule('daily_volume'), transaction);
+
+  assert.equal(details.total, 9000);
+  assert.equal(details.currency, 'USD');
+});
+
+test('a new corridor is checked against all earlier transfers, not just the window', async () => {
+  const details = await amlMonitoring.evaluateNewCorridor(rule('corridor_change'), transaction);
+
+  assert.equal(details.previousTransfers, 6);
+  const where = corridorQuery.sql.slice(corridorQuery.sql.indexOf('WHERE t.sender_id'));
+  assert.ok(!where.includes('INTERVAL'));
+});
@@ -0,0 +1,190 @@
+const http = require('http');
+const { test, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const db = require('../src/config/database');
+const { idempotency } = require('../src/middleware/idempotency');
+
+let keys;
+let handled;
+let gate;
+
+// Answers the middleware's queries from `keys`, as idempotency_keys rows
+async function query(sql, params = []) {
+  const id = `${params[0]}:${params[1]}`;
+  if (sql.includes('expires_at <= NOW()')) {
+    return { rows: [] };
+  }
+  if (sql.includes('INSERT INTO idempotency_keys')) {
+    if (keys.has(id)) return { rows: [] };
+    keys.set(id, { request_hash: params[2], response_status: null, response_body: null });
+    return { rows: [{ user_id: params[0] }] };
+  }
+  if (sql.includes('SELECT request_hash')) {
+    return { rows: keys.has(id) ? [keys.get(id)] : [] };
+  }
+  if (sql.includes('UPDATE idempotency_keys')) {
+    Object.assign(keys.get(`${params[2]}:${params[3]}`), { response_status: params[0], response_body: JSON.parse(params[1]) });
+    return { rows: [] };
+  }
+  if (sql.includes('DELETE FROM idempotency_keys')) {
+    keys.delete(id);
+    return { rows: [] };
+  }
+  throw new Error(`Unexpected query: ${sql}`);
+}
+
+// Resolves `started` when the handler begins; the handler waits for release()
+function deferredGate() {
+  const result = {};
+  result.started = new Promise(resolve => { result.start = resolve; });
+  result.released = new Promise(resolve => { result.release = resolve; });
+  return result;
+}
+
+const app = express();
+app.use(express.json());
+app.use((req, res, next) => {
+  req.user = { userId: 7 };
+  next();
+});
+app.post('/payment-methods', idempotency, async (req, res) => {
+  handled++;
+  gate.start();
+  await gate.released;
+  if (req.body.fail) {
+    return res.status(500).json({ error: 'Failed to add payment method' });
+  }
+  res.status(201).json({ id: handled });
+});
+app.post('/text', idempotency, (req, res) => {
+  handled++;
+  res.send('ok');
+});
+
+let server;
+let port;
+
+before(async () => {
+  server = http.createServer(app);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  port = server.address().port;
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+});
+
+beforeEach(() => {
+  keys = new Map();
+  handled = 0;
+  gate = deferredGate();
+  mock.method(console, 'error', () => {});
+  mock.method(db, 'query', query);
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+function post(path, body, key) {
+  const payload = JSON.stringify(body);
+  const req = http.request({
+    host: '127.0.0.1',
+    port,
+    path,
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload), 'Idempotency-Key': key }
+  });
+
+  const response = new Promise((resolve, reject) => {
+    req.on('response', res => {
+      let data = '';
+      res.on('data', chunk => { data += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: data }));
+    });
+    req.on('error', reject);
+  });
+  req.end(payload);
+  return { req, response };
+}
+
+function waitFor(condition) {
+  return new Promise(resolve => {
+    const check = () => (condition() ? resolve() : setTimeout(check, 5));
+    check();
+  });
+}
+
+test('replays the stored response to a retry', async () => {
+  gate.release();
+  const first = await post('/payment-methods', { type: 'card' }, 'key-1').response;
+  const retry = await post('/payment-methods', { type: 'card' }, 'key-1').response;
+
+  assert.equal(first.status, 201);
+  assert.equal(retry.status, 201);
+  assert.equal(retry.body, first.body);
+  assert.equal(retry.headers['idempotent-replayed'], 'true');
+  assert.equal(handled, 1);
+});
+
+test('a client that disconnects mid-request gets the stored response on retry', async () => {
+  const { req, response } = post('/payment-methods', { type: 'card' }, 'key-2');
+  response.catch(() => {});
+  await gate.started;
+
+  req.destroy();
+  await waitFor(() => req.socket && req.socket.destroyed);
+  // Give the server time to see the disconnect before the handler responds
+  await new Promise(resolve => setTimeout(resolve, 50));
+  assert.ok(keys.has('7:key-2'));
+
+  gate.release();
+  await waitFor(() => keys.get('7:key-2').response_status !== null);
+
+  const retry = await post('/payment-methods', { type: 'card' }, 'key-2').response;
+
+  assert.equal(retry.status, 201);
+  assert.deepEqual(JSON.parse(retry.body), { id: 1 });
+  assert.equal(retry.headers['idempotent-replayed'], 'true');
+  assert.equal(handled, 1);
+});
+
+test('a retry while the first request runs is told to wait', async () => {
+  const first = post('/payment-methods', { type: 'card' }, 'key-3').response;
+  await gate.started;
+
+  const retry = await post('/payment-methods', { type: 'card' }, 'key-3').response;
+  gate.release();
+  await first;
+
+  assert.equal(retry.status, 409);
+  assert.equal(handled, 1);
+});
+
+test('a server error releases the key for another attempt', async () => {
+  gate.release();
+  const first = await post('/payment-methods', { fail: true }, 'key-4').response;
+  await waitFor(() => !keys.has('7:key-4'));
+
+  assert.equal(first.status, 500);
+  assert.equal(keys.has('7:key-4'), false);
+});
+
+test('a response that is not JSON releases the key', async () => {
+  const first = await post('/text', {}, 'key-5').response;
+  await waitFor(() => !keys.has('7:key-5'));
+
+  assert.equal(first.body, 'ok');
+  await post('/text', {}, 'key-5').response;
+  assert.equal(handled, 2);
+});
+
+test('the same key with a different request is refused', async () => {
+  gate.release();
+  await post('/payment-methods', { type: 'card' }, 'key-6').response;
+  const other = await post('/payment-methods', { type: 'bank_account' }, 'key-6').response;
+
+  assert.equal(other.status, 409);
+  assert.equal(handled, 1);
+});
@@ -0,0 +1,103 @@
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const limitsService = require('../src/services/limits');
+const exchangeRateService = require('../src/services/exchangeRate');
+
+// Units per 1 USD (the limit currency in src/config/limits.js)
+const RATES = { USD: 1, JPY: 150, MXN: 17.5, NGN: 1500 };
+
+let tier;
+let usageRows;
+let queries;
+
+// Stands in for the transaction's pg client
+const client = {
+  async query(sql, params) {
+    queries.push(sql);
+    if (sql.includes('pg_advisory_xact_lock')) return { rows: [] };
+    if (sql.includes('verification_tier')) return { rows: [{ verification_tier: tier }] };
+    if (sql.includes('FROM transactions')) {
+      const corridor = params.length > 2 ? { from: params[2], to: params[3] } : null;
+      return {
+        rows: usageRows
+          .filter(row => !corridor || (row.currency_sent === corridor.from && row.currency_received === corridor.to))
+          .map(({ currency_received, ...row }) => row)
+      };
+    }
+    throw new Error(`Unexpected query: ${sql}`);
+  }
+};
+
+beforeEach(() => {
+  tier = 'basic';
+  usageRows = [];
+  queries = [];
+  mock.method(exchangeRateService, 'getRate', async (from, to) => ({ rate: RATES[to] / RATES[from] }));
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+test('locks the user before reading usage', async () => {
+  await limitsService.assertWithinLimits(client, 7, 100, 'USD', 'MXN');
+
+  assert.ok(queries[0].includes('pg_advisory_xact_lock'));
+});
+
+test('the minimum applies in the limit currency', async () => {
+  // 500 JPY is about 3.33 USD, under the 10 USD minimum
+  await assert.rejects(
+    limitsService.assertWithinLimits(client, 7, 500, 'JPY', 'MXN'),
+    { status: 403, message: 'Minimum transfer amount is 10 USD' }
+  );
+
+  await limitsService.assertWithinLimits(client, 7, 1500, 'JPY', 'MXN');
+});
+
+test('unverified users cannot send anything', async () => {
+  tier = 'unverified';
+
+  await assert.rejects(
+    limitsService.assertWithinLimits(client, 7, 20, 'USD', 'MXN'),
+    error => error.details.period === 'perTransaction' && error.details.tier === 'unverified'
+  );
+});
+
+test('refuses a transfer over the per-transaction cap', async () => {
+  await assert.rejects(
+    limitsService.assertWithinLimits(client, 7, 1000.01, 'USD', 'MXN'),
+    error => error.details.period === 'perTransaction' && error.details.limit === 1000
+  );
+
+  await limitsService.assertWithinLimits(client, 7, 1000, 'USD', 'MXN');
+});
+
+test('counts usage in every currency against the rolling windows', async () => {
+  usageRows = [
+    { currency_sent: 'USD', currency_received: 'MXN', daily: '900', weekly: '900', monthly: '900' },
+    { currency_sent: 'JPY', currency_received: 'MXN', daily: '150000', weekly: '150000', monthly: '150000' }
+  ];
+
+  // 900 + 1000 used today, 100 left of the 2000 daily cap
+  await assert.rejects(
+    limitsService.assertWithinLimits(client, 7, 150, 'USD', 'MXN'),
+    error => error.details.period === 'daily' && error.details.remaining === 100
+  );
+
+  await limitsService.assertWithinLimits(client, 7, 100, 'USD', 'MXN');
+});
+
+test('corridor caps count only that corridor', async () => {
+  usageRows = [
+    { currency_sent: 'USD', currency_received: 'NGN', daily: '900', weekly: '900', monthly: '900' },
+    { currency_sent: 'USD', currency_received: 'MXN', daily: '500', weekly: '500', monthly: '500' }
+  ];
+
+  await assert.rejects(
+    limitsService.assertWithinLimits(client, 7, 200, 'USD', 'NGN'),
+    error => error.details.scope === 'USD→NGN' && error.details.period === 'daily'
+  );
+
+  await limitsService.assertWithinLimits(client, 7, 200, 'USD', 'MXN');
+});
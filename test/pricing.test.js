@@ -0,0 +1,233 @@
+const { test, describe, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const db = require('../src/config/database');
+const pricingService = require('../src/services/pricing');
+const quoteService = require('../src/services/quote');
+
+const HOUR = 3600 * 1000;
+
+let nextId = 1;
+
+// A pricing_rules row as pg returns it; match fields default to NULL
+function rule(fields) {
+  return {
+    id: nextId++,
+    name: 'rule',
+    kind: 'standard',
+    provider: null,
+    from_currency: null,
+    to_currency: null,
+    route_type: null,
+    payout_type: null,
+    min_amount: null,
+    max_amount: null,
+    fee_percent: '0',
+    fee_fixed: '0',
+    min_fee: '0',
+    spread: '0',
+    estimated_time: '3-5 seconds',
+    priority: 0,
+    starts_at: null,
+    ends_at: null,
+    active: true,
+    ...fields
+  };
+}
+
+const transfer = {
+  amount: 200,
+  fromCurrency: 'USD',
+  toCurrency: 'MXN',
+  routeType: 'xrpl_direct',
+  payoutType: 'bank',
+  midMarketRate: 17.5
+};
+
+let rules;
+
+beforeEach(() => {
+  rules = [];
+  pricingService.rules = null;
+  mock.method(db, 'query', async () => ({ rows: rules }));
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+describe('getRule', () => {
+  test('a promo beats any standard rule', async () => {
+    const specific = rule({ from_currency: 'USD', to_currency: 'MXN', payout_type: 'bank', priority: 10 });
+    const promo = rule({ kind: 'promo', name: 'Launch week' });
+    rules = [specific, promo];
+
+    assert.equal((await pricingService.getRule(transfer)).id, promo.id);
+  });
+
+  test('the rule setting the most match fields wins', async () => {
+    const corridor = rule({ from_currency: 'USD', to_currency: 'MXN' });
+    const corridorAndPayout = rule({ from_currency: 'USD', to_currency: 'MXN', payout_type: 'bank' });
+    const fallback = rule({ priority: 100 });
+    rules = [corridor, fallback, corridorAndPayout];
+
+    assert.equal((await pricingService.getRule(transfer)).id, corridorAndPayout.id);
+  });
+
+  test('an amount band counts as one match field', async () => {
+    const banded = rule({ from_currency: 'USD', min_amount: '100', max_amount: '500' });
+    const currencyOnly = rule({ from_currency: 'USD' });
+    rules = [currencyOnly, banded];
+
+    assert.equal((await pricingService.getRule(transfer)).id, banded.id);
+  });
+
+  test('ties go to the highest priority, then the newest', async () => {
+    const low = rule({ from_currency: 'USD', priority: 1 });
+    const high = rule({ from_currency: 'USD', priority: 5 });
+    const newerHigh = rule({ from_currency: 'USD', priority: 5 });
+    rules = [newerHigh, low, high];
+
+    assert.equal((await pricingService.getRule(transfer)).id, newerHigh.id);
+  });
+
+  test('rules for another payout type or route do not match', async () => {
+    const cash = rule({ payout_type: 'cash_pickup' });
+    const bankRoute = rule({ route_type: 'bank_transfer' });
+    const general = rule({});
+    rules = [cash, bankRoute, general];
+
+    assert.equal((await pricingService.getRule(transfer)).id, general.id);
+  });
+
+  test('amount bands include min_amount and exclude max_amount', async () => {
+    const small = rule({ max_amount: '200' });
+    const large = rule({ min_amount: '200' });
+    rules = [small, large];
+
+    assert.equal((await pricingService.getRule(transfer)).id, large.id);
+    assert.equal((await pricingService.getRule({ ...transfer, amount: 199.99 })).id, small.id);
+  });
+
+  test('rules outside their time window are skipped', async () => {
+    const upcoming = rule({ kind: 'promo', starts_at: new Date(Date.now() + HOUR) });
+    const ended = rule({ kind: 'promo', ends_at: new Date(Date.now() - HOUR) });
+    const standard = rule({});
+    rules = [upcoming, ended, standard];
+
+    assert.equal((await pricingService.getRule(transfer)).id, standard.id);
+  });
+
+  test('benchmarks never price our transfers', async () => {
+    rules = [rule({ kind: 'benchmark', provider: 'Bank' })];
+
+    await assert.rejects(pricingService.getRule(transfer), { status: 422 });
+  });
+});
+
+describe('price', () => {
+  test('applies the percentage, fixed fee and spread', async () => {
+    const standard = rule({ fee_percent: '0.01', fee_fixed: '1.00', spread: '0.01' });
+    rules = [standard];
+
+    const priced = await pricingService.price(transfer);
+
+    assert.equal(priced.fee, 3);
+    assert.equal(priced.exchangeRate, 17.5 * 0.99);
+    assert.equal(priced.amountReceived, (200 - 3) * (17.5 * 0.99));
+    assert.equal(priced.ruleId, standard.id);
+    assert.equal(priced.promo, null);
+  });
+
+  test('charges at least the minimum fee', async () => {
+    rules = [rule({ fee_percent: '0.001', min_fee: '2.99' })];
+
+    assert.equal((await pricingService.price(transfer)).fee, 2.99);
+  });
+
+  test('refuses an amount that does not cover the fee', async () => {
+    rules = [rule({ min_fee: '5' })];
+
+    await assert.rejects(pricingService.price({ ...transfer, amount: 5 }), { status: 400 });
+  });
+
+  test('refuses amounts that are not finite, positive numbers within the maximum', async () => {
+    rules = [rule({})];
+
+    for (const amount of [NaN, Infinity, 'abc', '200', 0, -5, pricingService.maxAmount + 1]) {
+      await assert.rejects(pricingService.price({ ...transfer, amount }), { status: 400 }, `priced ${amount}`);
+    }
+  });
+
+  test('refuses a rate that is not a number', async () => {
+    rules = [rule({})];
+
+    await assert.rejects(pricingService.price({ ...transfer, midMarketRate: NaN }), { status: 503 });
+  });
+
+  test('names the promo that priced the transfer', async () => {
+    rules = [rule({ kind: 'promo', name: 'Launch week' })];
+
+    assert.equal((await pricingService.price(transfer)).promo, 'Launch week');
+  });
+});
+
+describe('benchmarks', () => {
+  test('prices each competitor once, with its most specific rule', async () => {
+    rules = [
+      rule({ kind: 'benchmark', provider: 'Bank', route_type: 'bank_transfer', fee_fixed: '45', spread: '0.04' }),
+      rule({ kind: 'benchmark', provider: 'Bank', route_type: 'bank_transfer', to_currency: 'MXN', fee_fixed: '35', spread: '0.03' }),
+      rule({ kind: 'benchmark', provider: 'QuickSend', route_type: 'competitor', fee_fixed: '5', spread: '0.02' }),
+      rule({})
+    ];
+
+    const benchmarks = await pricingService.benchmarks(transfer);
+
+    assert.deepEqual(benchmarks.map(({ provider, fee }) => [provider, fee]), [['Bank', 35], ['QuickSend', 5]]);
+    assert.equal(pricingService.baseline(benchmarks).provider, 'Bank');
+  });
+
+  test('leaves out competitors whose fee exceeds the amount', async () => {
+    rules = [rule({ kind: 'benchmark', provider: 'Bank', route_type: 'bank_transfer', fee_fixed: '45' })];
+
+    assert.deepEqual(await pricingService.benchmarks({ ...transfer, amount: 40 }), []);
+  });
+});
+
+describe('quote payout type', () => {
+  const quote = {
+    amountSent: 200,
+    fromCurrency: 'USD',
+    toCurrency: 'MXN',
+    routeType: 'xrpl_direct',
+    midMarketRate: 17.5,
+    payoutType: null,
+    pricingRuleId: null
+  };
+
+  test('a quote stands when the payout type does not change the price', async () => {
+    rules = [rule({ fee_fixed: '3' })];
+
+    await quoteService.assertPayoutType(quote, 'bank');
+  });
+
+  test('a quote stands when its promo has ended since it was issued', async () => {
+    // The promo that priced the quote is gone; both payout types now price alike
+    rules = [rule({ fee_fixed: '3' })];
+
+    await quoteService.assertPayoutType({ ...quote, pricingRuleId: 999 }, 'cash_pickup');
+  });
+
+  test('a quote is refused when the payout type prices differently', async () => {
+    rules = [rule({ fee_fixed: '3' }), rule({ payout_type: 'cash_pickup', fee_fixed: '6' })];
+
+    await assert.rejects(quoteService.assertPayoutType(quote, 'cash_pickup'), { status: 409 });
+  });
+
+  test('a quote priced for the recipient payout type is not repriced', async () => {
+    const price = mock.method(pricingService, 'price');
+
+    await quoteService.assertPayoutType({ ...quote, payoutType: 'bank' }, 'bank');
+
+    assert.equal(price.mock.callCount(), 0);
+  });
+});
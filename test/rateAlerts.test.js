@@ -0,0 +1,162 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const notificationsPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'swiftbase-')), 'notifications.log');
+process.env.NOTIFIER_TRANSPORT = 'file';
+process.env.NOTIFIER_FILE_PATH = notificationsPath;
+
+const { test, beforeEach, afterEach, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const db = require('../src/config/database');
+const jobQueue = require('../src/services/jobQueue');
+const rateAlertService = require('../src/services/rateAlerts');
+
+const COOLDOWN_MS = rateAlertService.cooldownSeconds * 1000;
+
+let alerts;
+let jobs;
+let now;
+
+function alert(fields) {
+  return {
+    id: alerts.length + 1,
+    user_id: 7,
+    from_currency: 'USD',
+    to_currency: 'MXN',
+    direction: 'above',
+    target_rate: '18.000000',
+    change_percent: null,
+    baseline_rate: '17.500000',
+    armed: true,
+    trigger_count: 0,
+    last_triggered_at: null,
+    last_triggered_rate: null,
+    created_at: new Date(),
+    ...fields
+  };
+}
+
+// A fresh table from the rate providers, in USD
+function table(mxn) {
+  return { rates: { USD: 1, MXN: mxn }, asOf: Date.now(), source: 'test', mock: false };
+}
+
+// Answers the service's queries from `alerts`; firing honours the cooldown at `now`
+async function query(sql, params = []) {
+  if (sql.startsWith('SELECT * FROM rate_alerts')) {
+    return { rows: alerts.map(row => ({ ...row })) };
+  }
+  if (sql.startsWith('UPDATE rate_alerts SET armed = true')) {
+    alerts.find(row => row.id === params[0]).armed = true;
+    return { rows: [] };
+  }
+  if (sql.trim().startsWith('UPDATE rate_alerts')) {
+    const row = alerts.find(candidate => candidate.id === params[0]);
+    if (!row.armed || (row.last_triggered_at && row.last_triggered_at > now - params[2] * 1000)) {
+      return { rows: [] };
+    }
+    Object.assign(row, { armed: false, trigger_count: row.trigger_count + 1, last_triggered_at: now, last_triggered_rate: params[1] });
+    return { rows: [{ id: row.id }] };
+  }
+  if (sql.includes('JOIN users u')) {
+    const row = alerts.find(candidate => candidate.id === params[0]);
+    return { rows: row ? [{ ...row, email: 'maria@example.com', first_name: 'Maria' }] : [] };
+  }
+  throw new Error(`Unexpected query: ${sql}`);
+}
+
+beforeEach(() => {
+  alerts = [];
+  jobs = [];
+  now = Date.now();
+  fs.rmSync(notificationsPath, { force: true });
+
+  mock.method(console, 'error', () => {});
+  mock.method(db, 'query', query);
+  mock.method(db, 'withTransaction', async fn => fn({ query }));
+  mock.method(jobQueue, 'enqueue', async (type, payload) => {
+    jobs.push({ type, payload });
+    return jobs.length;
+  });
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+after(() => {
+  fs.rmSync(path.dirname(notificationsPath), { recursive: true, force: true });
+});
+
+test('fires when the rate reaches the target', async () => {
+  alerts.push(alert({}));
+
+  await rateAlertService.evaluate(table(17.9));
+  assert.equal(jobs.length, 0);
+
+  await rateAlertService.evaluate(table(18.1));
+  assert.deepEqual(jobs, [{ type: 'rate_alert.notify', payload: { alertId: 1, rate: 18.1, source: 'test' } }]);
+  assert.equal(alerts[0].armed, false);
+});
+
+test('fires once while the rate stays past the target', async () => {
+  alerts.push(alert({ direction: 'below', target_rate: '17.000000' }));
+
+  await rateAlertService.evaluate(table(16.9));
+  await rateAlertService.evaluate(table(16.8));
+
+  assert.equal(jobs.length, 1);
+  assert.equal(alerts[0].trigger_count, 1);
+});
+
+test('re-arms when the rate moves back, and fires again after the cooldown', async () => {
+  alerts.push(alert({}));
+
+  await rateAlertService.evaluate(table(18.1));
+  await rateAlertService.evaluate(table(17.9));
+  assert.equal(alerts[0].armed, true);
+
+  // Back over the target within the cooldown
+  await rateAlertService.evaluate(table(18.2));
+  assert.equal(jobs.length, 1);
+
+  now += COOLDOWN_MS + 1000;
+  await rateAlertService.evaluate(table(18.2));
+  assert.equal(jobs.length, 2);
+});
+
+test('ignores rate tables older than the rates we serve', async () => {
+  alerts.push(alert({}));
+
+  await rateAlertService.evaluate({ ...table(18.1), asOf: Date.now() - 2 * 86400 * 1000 });
+
+  assert.equal(jobs.length, 0);
+});
+
+test('skips alerts on pairs missing from the table', async () => {
+  alerts.push(alert({ to_currency: 'PHP' }));
+  alerts.push(alert({}));
+
+  await rateAlertService.evaluate(table(18.1));
+
+  assert.deepEqual(jobs.map(job => job.payload.alertId), [2]);
+});
+
+test('notifies the user through the configured transport', async () => {
+  alerts.push(alert({}));
+
+  await rateAlertService.notify({ alertId: 1, rate: 18.1, source: 'test' });
+
+  const [line] = fs.readFileSync(notificationsPath, 'utf8').trim().split('\n').map(JSON.parse);
+  assert.equal(line.to, 'maria@example.com');
+  assert.equal(line.subject, 'USD/MXN is above 18');
+  assert.match(line.text, /1 USD now buys 18.1 MXN/);
+  assert.deepEqual(line.data, { type: 'rate_alert', alertId: 1, pair: 'USD/MXN', rate: 18.1, source: 'test' });
+});
+
+test('does not notify for an alert deleted since it fired', async () => {
+  await rateAlertService.notify({ alertId: 1, rate: 18.1, source: 'test' });
+
+  assert.equal(fs.existsSync(notificationsPath), false);
+});
@@ -0,0 +1,215 @@
+const path = require('path');
+
+process.env.XRPL_MODE = 'mock';
+process.env.PAYMENT_PROVIDERS_CONFIG_PATH = path.join(__dirname, 'fixtures', 'paymentProviders.json');
+
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const db = require('../src/config/database');
+const jobQueue = require('../src/services/jobQueue');
+const transactionState = require('../src/services/transactionState');
+const transactionProcessor = require('../src/services/transactionProcessor');
+const paymentService = require('../src/services/payment');
+const xrplService = require('../src/services/xrpl');
+const screeningService = require('../src/services/screening');
+const walletService = require('../src/services/wallet');
+const refundService = require('../src/services/refund');
+const exchangeRateService = require('../src/services/exchangeRate');
+
+const RATES = { USD: 1, MXN: 17.5 };
+
+// One USD→MXN transfer as /create inserts it: amount_received stays NULL
+// until completion, the quote holds the locked amount
+let nextId = 40;
+
+function newTransaction() {
+  return {
+    id: nextId++,
+    sender_id: 7,
+    recipient_id: 3,
+    payment_method_id: 5,
+    quote_id: 'a3c1f0de-5b7e-4c1a-9d2e-1f0a2b3c4d5e',
+    amount_sent: '200.00',
+    currency_sent: 'USD',
+    amount_received: null,
+    currency_received: 'MXN',
+    exchange_rate: '17.325000',
+    fee: '3.00',
+    status: 'pending',
+    payment_started_at: null,
+    payment_reference: null,
+    payment_provider: null,
+    payout_reference: null,
+    payout_provider: null,
+    xrpl_tx_hash: null,
+    xrpl_last_ledger_sequence: null
+  };
+}
+
+const QUOTED_AMOUNT_RECEIVED = '3413.03';
+
+let transaction;
+let transitions;
+
+// Answers the processor's own queries from `transaction`
+function query(sql, params = []) {
+  if (sql.includes('FROM transactions t')) {
+    return { rows: [{ ...transaction, quoted_amount_received: QUOTED_AMOUNT_RECEIVED }] };
+  }
+  if (sql.includes('FROM payment_methods')) {
+    return { rows: [{ id: 5, type: 'card', provider: null }] };
+  }
+  if (sql.includes('SET payment_started_at')) {
+    if (transaction.status !== 'pending') return { rows: [] };
+    transaction.payment_started_at = transaction.payment_started_at || new Date();
+    return { rows: [{ id: transaction.id }] };
+  }
+  if (sql.includes('SELECT destination_tag FROM recipients')) {
+    return { rows: [{ destination_tag: '100042' }] };
+  }
+  if (sql.includes('SELECT * FROM recipients')) {
+    return { rows: [{ id: 3, name: 'Ana López', country: 'MX', payout_type: 'bank' }] };
+  }
+  if (sql.startsWith('UPDATE transactions SET')) {
+    // "UPDATE transactions SET a = $1, b = $2 WHERE id = $3"
+    const names = sql.slice('UPDATE transactions SET '.length, sql.indexOf(' WHERE')).split(', ').map(part => part.split(' = ')[0]);
+    names.forEach((name, i) => { transaction[name] = params[i]; });
+    return { rows: [] };
+  }
+  throw new Error(`Unexpected query: ${sql}`);
+}
+
+beforeEach(() => {
+  transaction = newTransaction();
+  transitions = [];
+
+  for (const level of ['log', 'warn', 'error']) {
+    mock.method(console, level, () => {});
+  }
+
+  mock.method(db, 'query', async (sql, params) => query(sql, params));
+  mock.method(db, 'withTransaction', async fn => fn({ query: async (sql, params) => query(sql, params) }));
+  mock.method(jobQueue, 'enqueue', async () => 1);
+  mock.method(transactionState, 'transition', async (id, to, { reason, metadata } = {}) => {
+    if (!transactionState.canTransition(transaction.status, to)) {
+      const error = new Error(`Cannot move transaction from ${transaction.status} to ${to}`);
+      error.code = 'INVALID_TRANSITION';
+      throw error;
+    }
+    transitions.push({ from: transaction.status, to, reason, metadata });
+    transaction.status = to;
+    return transaction;
+  });
+
+  mock.method(screeningService, 'screenTransaction', async () => ({ hits: [] }));
+  mock.method(exchangeRateService, 'getRate', async (from, to) => ({ rate: RATES[to] / RATES[from] }));
+
+  const sender = xrplService.generateWallet();
+  mock.method(walletService, 'getOrCreateUserWallet', async () => ({ address: sender.classicAddress }));
+  mock.method(walletService, 'getTreasuryWallet', async () => ({ address: xrplService.generateWallet().classicAddress }));
+  mock.method(walletService, 'getSigningWallet', () => sender);
+  mock.method(walletService, 'ensureFunded', async () => {});
+  mock.method(refundService, 'refundIfCaptured', async () => {});
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+async function runPipeline() {
+  for (let step = 0; step < 4; step++) {
+    await transactionProcessor.runStep(transaction.id);
+  }
+}
+
+test('a transfer runs from pending to completed', async () => {
+  await runPipeline();
+
+  assert.deepEqual(
+    transitions.map(({ to }) => to),
+    ['funds_captured', 'on_ledger', 'payout_initiated', 'completed']
+  );
+  assert.equal(transaction.status, 'completed');
+  assert.ok(transaction.payment_reference);
+  assert.equal(transaction.payment_provider, 'sandbox_collect');
+  assert.ok(transaction.xrpl_tx_hash);
+  assert.equal(transaction.payout_provider, 'sandbox_bank');
+});
+
+test('the ledger payment delivers the quoted amount received', async () => {
+  const remittance = mock.method(xrplService, 'processRemittance');
+
+  await runPipeline();
+
+  const options = remittance.mock.calls[0].arguments[6];
+  assert.equal(options.deliverAmount, parseFloat(QUOTED_AMOUNT_RECEIVED));
+  assert.equal(transaction.xrpl_delivered_currency, 'MXN');
+  assert.equal(transaction.xrpl_delivered_amount, parseFloat(QUOTED_AMOUNT_RECEIVED));
+});
+
+test('the payout sends the quoted amount received', async () => {
+  await runPipeline();
+
+  const provider = paymentService.getProvider('sandbox_bank');
+  const payout = provider.operations.get(transaction.payout_reference);
+  assert.equal(payout.amount, parseFloat(QUOTED_AMOUNT_RECEIVED));
+  assert.equal(payout.currency, 'MXN');
+});
+
+test('completion records the quoted amount received on the transaction', async () => {
+  await runPipeline();
+
+  assert.equal(transaction.amount_received, QUOTED_AMOUNT_RECEIVED);
+});
+
+test('a screening hit holds the transfer without charging the sender', async () => {
+  mock.method(screeningService, 'screenTransaction', async () => ({
+    hits: [{ subjectType: 'recipient', subjectId: 3, resultId: 9, matches: [] }]
+  }));
+  const collect = mock.method(paymentService, 'collect');
+
+  await transactionProcessor.runStep(transaction.id);
+
+  assert.equal(transaction.status, 'held');
+  assert.equal(collect.mock.callCount(), 0);
+});
+
+test('a transfer cancelled before it is claimed is not charged', async () => {
+  const collect = mock.method(paymentService, 'collect');
+  // Cancelled between load() and the claim
+  mock.method(screeningService, 'screenTransaction', async () => {
+    transaction.status = 'cancelled';
+    return { hits: [] };
+  });
+
+  await transactionProcessor.runStep(transaction.id);
+
+  assert.equal(collect.mock.callCount(), 0);
+  assert.equal(transaction.payment_reference, null);
+  assert.equal(transitions.length, 0);
+});
+
+test('a declined payment fails the step without retrying', async () => {
+  mock.method(paymentService, 'collect', async () => ({ provider: 'sandbox_collect', reference: 'sbx_pay_1', status: 'declined', reason: 'Sandbox decline' }));
+
+  await assert.rejects(transactionProcessor.runStep(transaction.id), error => {
+    assert.equal(error.retryable, false);
+    assert.match(error.message, /declined/);
+    return true;
+  });
+  assert.equal(transaction.status, 'pending');
+});
+
+test('a rejected payout fails the transfer and refunds the sender', async () => {
+  for (let step = 0; step < 2; step++) {
+    await transactionProcessor.runStep(transaction.id);
+  }
+  mock.method(paymentService, 'getStatus', async () => ({ status: 'returned', reason: 'Account closed' }));
+
+  await transactionProcessor.runStep(transaction.id);
+  await transactionProcessor.runStep(transaction.id);
+
+  assert.equal(transaction.status, 'failed');
+  assert.equal(transitions.at(-1).reason, 'Payout returned: Account closed');
+  assert.deepEqual(refundService.refundIfCaptured.mock.calls[0].arguments, [transaction.id, 'Payout returned']);
+});
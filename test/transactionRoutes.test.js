@@ -0,0 +1,97 @@
+const http = require('http');
+const path = require('path');
+
+process.env.XRPL_MODE = 'mock';
+process.env.PAYMENT_PROVIDERS_CONFIG_PATH = path.join(__dirname, 'fixtures', 'paymentProviders.json');
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const { test, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const db = require('../src/config/database');
+const sessionService = require('../src/services/session');
+const transactionRoutes = require('../src/routes/transactions');
+
+const token = jwt.sign({ userId: 7, sessionId: 'session-1' }, process.env.JWT_SECRET);
+
+let queries;
+let rows;
+
+const app = express();
+app.use(express.json());
+app.use('/api/transactions', transactionRoutes);
+
+let server;
+let port;
+
+before(async () => {
+  server = http.createServer(app);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  port = server.address().port;
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+});
+
+beforeEach(() => {
+  queries = [];
+  rows = {};
+  mock.method(console, 'error', () => {});
+  mock.method(sessionService, 'isActive', async () => true);
+  mock.method(db, 'query', async (sql, params) => {
+    queries.push({ sql, params });
+    const match = Object.keys(rows).find(fragment => sql.includes(fragment));
+    return { rows: match ? rows[match] : [] };
+  });
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+function request(method, url) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({
+      host: '127.0.0.1',
+      port,
+      path: url,
+      method,
+      headers: { Authorization: `Bearer ${token}` }
+    }, res => {
+      let data = '';
+      res.on('data', chunk => { data += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, body: data && JSON.parse(data) }));
+    });
+    req.on('error', reject);
+    req.end();
+  });
+}
+
+for (const [method, suffix] of [['GET', 'status'], ['POST', 'cancel'], ['GET', 'stream']]) {
+  test(`${method} /:id/${suffix} refuses ids that are not transaction ids`, async () => {
+    for (const id of ['abc', '12abc', '-1', '1.5', '99999999999']) {
+      const response = await request(method, `/api/transactions/${id}/${suffix}`);
+
+      assert.equal(response.status, 404, `id ${id}`);
+      assert.equal(response.body.error, 'Transaction not found');
+    }
+    assert.equal(queries.length, 0);
+  });
+}
+
+test('GET /:id/stream still answers for a valid id', async () => {
+  const response = await request('GET', '/api/transactions/42/stream');
+
+  assert.equal(response.status, 404);
+  assert.equal(response.body.error, 'Transaction not found or does not belong to you');
+  assert.deepEqual(queries[0].params, [42, 7]);
+});
+
+test('GET /:id/status loads no refunds for a transaction the caller does not own', async () => {
+  const response = await request('GET', '/api/transactions/42/status');
+
+  assert.equal(response.status, 404);
+  assert.ok(!queries.some(({ sql }) => sql.includes('FROM refunds')));
+});
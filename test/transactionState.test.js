@@ -0,0 +1,155 @@
+const { test, describe, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const transactionState = require('../src/services/transactionState');
+const accountingService = require('../src/services/accounting');
+const webhookSubscriptions = require('../src/services/webhookSubscriptions');
+
+describe('canTransition', () => {
+  const allowed = [
+    ['pending', 'funds_captured'],
+    ['pending', 'held'],
+    ['pending', 'cancelled'],
+    ['held', 'pending'],
+    ['held', 'failed'],
+    ['funds_captured', 'on_ledger'],
+    ['on_ledger', 'payout_initiated'],
+    ['payout_initiated', 'completed'],
+    ['payout_initiated', 'failed'],
+    ['completed', 'refunded'],
+    ['failed', 'refunded'],
+    ['processing', 'failed']
+  ];
+  const refused = [
+    ['pending', 'on_ledger'],
+    ['pending', 'completed'],
+    ['held', 'funds_captured'],
+    ['funds_captured', 'cancelled'],
+    ['on_ledger', 'funds_captured'],
+    ['completed', 'failed'],
+    ['cancelled', 'pending'],
+    ['refunded', 'completed'],
+    ['unknown', 'pending']
+  ];
+
+  for (const [from, to] of allowed) {
+    test(`${from} -> ${to} is allowed`, () => {
+      assert.equal(transactionState.canTransition(from, to), true);
+    });
+  }
+
+  for (const [from, to] of refused) {
+    test(`${from} -> ${to} is refused`, () => {
+      assert.equal(transactionState.canTransition(from, to), false);
+    });
+  }
+
+  test('cancelled and refunded are final', () => {
+    for (const to of transactionState.statuses) {
+      assert.equal(transactionState.canTransition('cancelled', to), false);
+      assert.equal(transactionState.canTransition('refunded', to), false);
+    }
+  });
+});
+
+describe('transition', () => {
+  let row;
+  let queries;
+
+  // Stands in for a pg client holding one transactions row
+  const client = {
+    async query(sql, params = []) {
+      queries.push(sql);
+      if (sql.startsWith('SELECT id, status FROM transactions')) {
+        return { rows: row ? [{ id: row.id, status: row.status }] : [] };
+      }
+      if (sql.trim().startsWith('UPDATE transactions')) {
+        row = { ...row, status: params[0] };
+        return { rows: [row] };
+      }
+      if (sql.trim().startsWith('INSERT INTO transaction_events')) {
+        return {
+          rows: [{
+            id: 1,
+            transaction_id: params[0],
+            from_status: params[1],
+            to_status: params[2],
+            reason: params[3],
+            metadata: params[4] && JSON.parse(params[4]),
+            created_at: new Date()
+          }]
+        };
+      }
+      if (sql.startsWith('SELECT pg_notify')) {
+        return { rows: [] };
+      }
+      throw new Error(`Unexpected query: ${sql}`);
+    }
+  };
+
+  beforeEach(() => {
+    row = { id: 42, sender_id: 7, status: 'pending' };
+    queries = [];
+    mock.method(accountingService, 'recordTransition', async () => {});
+    mock.method(webhookSubscriptions, 'recordTransition', async () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  test('moves the row, logs the event and books it on the same client', async () => {
+    const updated = await transactionState.transition(42, 'funds_captured', { reason: 'Payment captured', client });
+
+    assert.equal(updated.status, 'funds_captured');
+    assert.ok(queries[0].includes('FOR UPDATE'));
+    assert.ok(queries.some(sql => sql.includes('INSERT INTO transaction_events')));
+
+    const [bookedClient, bookedRow, from, to] = accountingService.recordTransition.mock.calls[0].arguments;
+    assert.equal(bookedClient, client);
+    assert.equal(bookedRow.status, 'funds_captured');
+    assert.deepEqual([from, to], ['pending', 'funds_captured']);
+    assert.equal(webhookSubscriptions.recordTransition.mock.callCount(), 1);
+  });
+
+  test('refuses a transition the table does not allow', async () => {
+    row.status = 'completed';
+
+    await assert.rejects(
+      transactionState.transition(42, 'pending', { client }),
+      { code: 'INVALID_TRANSITION', status: 409 }
+    );
+    assert.equal(row.status, 'completed');
+    assert.equal(accountingService.recordTransition.mock.callCount(), 0);
+  });
+
+  test('reports a missing transaction as 404', async () => {
+    row = null;
+
+    await assert.rejects(transactionState.transition(42, 'failed', { client }), { status: 404 });
+  });
+});
+
+describe('formatEvent', () => {
+  const event = (from, to, reason, metadata) => ({
+    id: 1, transaction_id: 42, from_status: from, to_status: to, reason, metadata, created_at: new Date()
+  });
+
+  test('passes ordinary events through', () => {
+    const formatted = transactionState.formatEvent(event('on_ledger', 'payout_initiated', 'Payout sent via bank_transfer', { provider: 'sandbox_bank' }));
+
+    assert.equal(formatted.reason, 'Payout sent via bank_transfer');
+    assert.deepEqual(formatted.metadata, { provider: 'sandbox_bank' });
+  });
+
+  test('does not reveal screening details of a hold or its review', () => {
+    const held = transactionState.formatEvent(event('pending', 'held', 'Sanctions screening match, held for manual review', {
+      screeningHits: [{ subjectType: 'recipient', subjectId: 3, resultId: 9 }]
+    }));
+    const rejected = transactionState.formatEvent(event('held', 'failed', 'Rejected after screening review: confirmed match', { reviewedBy: 1 }));
+
+    assert.equal(held.reason, 'Under review');
+    assert.equal(held.metadata, null);
+    assert.equal(rejected.reason, 'Transfer could not be completed');
+    assert.equal(rejected.metadata, null);
+  });
+});
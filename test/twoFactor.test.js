@@ -0,0 +1,43 @@
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const db = require('../src/config/database');
+const twoFactorService = require('../src/services/twoFactor');
+const exchangeRateService = require('../src/services/exchangeRate');
+
+// Units per 1 USD
+const RATES = { USD: 1, JPY: 150 };
+
+// The sender has completed a transfer to this recipient before
+const client = {
+  async query(sql) {
+    if (sql.includes("status = 'completed'")) return { rows: [{ '?column?': 1 }] };
+    throw new Error(`Unexpected query: ${sql}`);
+  }
+};
+
+beforeEach(() => {
+  mock.method(exchangeRateService, 'getRate', async (from, to) => ({ rate: RATES[to] / RATES[from] }));
+  mock.method(db, 'query', async () => ({ rows: [{ email: 'maria@example.com', totp_enabled: false, totp_locked: false }] }));
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+test('the step-up threshold applies in the limit currency', async () => {
+  // 2000 JPY is about 13 USD
+  await twoFactorService.assertStepUp(7, 3, 2000, 'JPY', null, { client });
+
+  await assert.rejects(
+    twoFactorService.assertStepUp(7, 3, 2000, 'USD', null, { client }),
+    { status: 403, stepUpRequired: true }
+  );
+});
+
+test('a large amount in a weaker currency still needs a code', async () => {
+  // 300000 JPY is 2000 USD
+  await assert.rejects(
+    twoFactorService.assertStepUp(7, 3, 300000, 'JPY', null, { client }),
+    { stepUpRequired: true }
+  );
+});
@@ -0,0 +1,46 @@
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const db = require('../src/config/database');
+const webhookSubscriptions = require('../src/services/webhookSubscriptions');
+
+let delivery;
+let updates;
+
+beforeEach(() => {
+  delivery = { id: 5, subscription_id: 2, status: 'pending', payload: {}, url: 'https://example.com/hook', active: false };
+  updates = [];
+  mock.method(db, 'query', async (sql, params) => {
+    if (sql.includes('FROM webhook_deliveries d')) return { rows: delivery ? [delivery] : [] };
+    if (sql.startsWith('UPDATE webhook_deliveries')) {
+      updates.push({ sql, params });
+      return { rows: [] };
+    }
+    throw new Error(`Unexpected query: ${sql}`);
+  });
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+test('a delivery to a paused subscription is skipped, not left pending', async () => {
+  const post = mock.method(webhookSubscriptions, 'post');
+
+  await webhookSubscriptions.deliver(5);
+
+  assert.equal(post.mock.callCount(), 0);
+  assert.equal(updates.length, 1);
+  assert.match(updates[0].sql, /status = 'skipped'/);
+  assert.deepEqual(updates[0].params, ['Subscription is paused', 5]);
+});
+
+test('a delivered event is not sent again', async () => {
+  delivery.active = true;
+  delivery.status = 'succeeded';
+  const post = mock.method(webhookSubscriptions, 'post');
+
+  await webhookSubscriptions.deliver(5);
+
+  assert.equal(post.mock.callCount(), 0);
+  assert.equal(updates.length, 0);
+});
@@ -0,0 +1,158 @@
+process.env.XRPL_MODE = 'mock';
+
+const { test, describe, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const xrplService = require('../src/services/xrpl');
+const RippledXRPLDriver = require('../src/services/xrpl/rippledDriver');
+const exchangeRateService = require('../src/services/exchangeRate');
+
+const RATES = { USD: 1, MXN: 17.5 };
+
+describe('processRemittance in mock mode', () => {
+  const sender = xrplService.generateWallet();
+  const recipient = xrplService.generateWallet().classicAddress;
+
+  beforeEach(() => {
+    mock.method(exchangeRateService, 'getRate', async (from, to) => ({ rate: RATES[to] / RATES[from] }));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  test('delivers the exact amount asked for', async () => {
+    const result = await xrplService.processRemittance(sender, recipient, 200, 'USD', 'MXN', 17.325, { deliverAmount: 3413.03 });
+
+    assert.equal(result.targetAmount, 3413.03);
+    assert.deepEqual(result.deliveredAmount, { currency: 'MXN', value: 3413.03 });
+    assert.equal(result.engineResult, 'tesSUCCESS');
+    assert.ok(result.xrplTxHash);
+  });
+
+  test('defaults to the amount at the exchange rate', async () => {
+    const result = await xrplService.processRemittance(sender, recipient, 100, 'USD', 'MXN', 17.5);
+
+    assert.equal(result.targetAmount, 1750);
+    assert.equal(result.deliveredAmount.value, 1750);
+  });
+
+  test('funds the sender with the XRP needed, slippage included, before signing', async () => {
+    const calls = [];
+    const ensureFunded = async xrp => { calls.push(['ensureFunded', xrp]); };
+    const onPrepared = async prepared => { calls.push(['onPrepared', prepared]); };
+
+    const result = await xrplService.processRemittance(sender, recipient, 200, 'USD', 'MXN', 17.325, {
+      deliverAmount: 3413.03, ensureFunded, onPrepared
+    });
+
+    // 3413.03 MXN at 2.5 USD per XRP and 17.5 MXN per USD
+    const xrp = 3413.03 / (2.5 * 17.5);
+    assert.equal(calls[0][0], 'ensureFunded');
+    assert.ok(Math.abs(calls[0][1] - xrp * (1 + xrplService.slippageTolerance)) < 1e-9);
+    assert.equal(calls[1][0], 'onPrepared');
+    assert.equal(calls[1][1].hash, result.xrplTxHash);
+  });
+
+  test('returns the earlier payment when it was validated', async () => {
+    const prepare = mock.method(xrplService.driver, 'preparePayment');
+
+    const result = await xrplService.processRemittance(sender, recipient, 200, 'USD', 'MXN', 17.325, {
+      deliverAmount: 3413.03,
+      pending: { hash: 'XRPL_EARLIER', lastLedgerSequence: 50000020 }
+    });
+
+    assert.equal(result.xrplTxHash, 'XRPL_EARLIER');
+    assert.equal(prepare.mock.callCount(), 0);
+  });
+
+  test('waits for an earlier payment that may still validate', async () => {
+    mock.method(xrplService.driver, 'getPaymentStatus', async () => ({ state: 'pending' }));
+    const prepare = mock.method(xrplService.driver, 'preparePayment');
+
+    await assert.rejects(
+      xrplService.processRemittance(sender, recipient, 200, 'USD', 'MXN', 17.325, {
+        deliverAmount: 3413.03,
+        pending: { hash: 'XRPL_EARLIER', lastLedgerSequence: 50000020 }
+      }),
+      { retryable: true }
+    );
+    assert.equal(prepare.mock.callCount(), 0);
+  });
+
+  test('signs a new payment when the earlier one expired', async () => {
+    mock.method(xrplService.driver, 'getPaymentStatus', async () => ({ state: 'expired' }));
+
+    const result = await xrplService.processRemittance(sender, recipient, 200, 'USD', 'MXN', 17.325, {
+      deliverAmount: 3413.03,
+      pending: { hash: 'XRPL_EARLIER', lastLedgerSequence: 50000020 }
+    });
+
+    assert.notEqual(result.xrplTxHash, 'XRPL_EARLIER');
+    assert.equal(result.deliveredAmount.value, 3413.03);
+  });
+});
+
+// Against `rippled --standalone` at XRPL_SERVER, funded from XRPL_FUNDING_SEED
+// (the standalone genesis account by default)
+describe('rippled driver against a standalone ledger', {
+  skip: process.env.XRPL_STANDALONE !== 'true' && 'set XRPL_STANDALONE=true to run against rippled --standalone',
+  timeout: 60000
+}, () => {
+  const funding = xrplService.walletFromSeed(process.env.XRPL_FUNDING_SEED || 'snoPBrXtMeMyMHUVTgbuqAfg1SUTb');
+  const { mode, driver } = xrplService;
+
+  before(() => {
+    mock.method(console, 'log', () => {});
+    xrplService.mode = 'rippled';
+    xrplService.driver = new RippledXRPLDriver();
+  });
+
+  after(async () => {
+    await xrplService.disconnect();
+    xrplService.mode = mode;
+    xrplService.driver = driver;
+    mock.restoreAll();
+  });
+
+  test('sends XRP and reads it back from the ledger', async () => {
+    const recipient = xrplService.generateWallet().classicAddress;
+
+    const result = await xrplService.sendXrp(funding, recipient, 100, { destinationTag: 42, memo: 'transfer 42' });
+
+    assert.equal(result.engineResult, 'tesSUCCESS');
+    assert.deepEqual(result.deliveredAmount, { currency: 'XRP', value: 100 });
+    assert.equal(await xrplService.getBalance(recipient), 100);
+
+    const { transactions } = await xrplService.getAccountTransactions(recipient);
+    const payment = transactions.find(tx => tx.hash === result.hash);
+    assert.equal(payment.destinationTag, 42);
+    assert.equal(payment.memo, 'transfer 42');
+  });
+
+  test('delivers XRP through processRemittance and finds it validated on retry', async () => {
+    const sender = xrplService.generateWallet();
+    const recipient = xrplService.generateWallet().classicAddress;
+    await xrplService.sendXrp(funding, sender.classicAddress, 100);
+    await xrplService.sendXrp(funding, recipient, 20);
+
+    let pending;
+    const result = await xrplService.processRemittance(sender, recipient, 5, 'XRP', 'XRP', 1, {
+      onPrepared: prepared => { pending = prepared; }
+    });
+
+    assert.deepEqual(result.deliveredAmount, { currency: 'XRP', value: 5 });
+
+    const retried = await xrplService.processRemittance(sender, recipient, 5, 'XRP', 'XRP', 1, { pending });
+    assert.equal(retried.xrplTxHash, result.xrplTxHash);
+    assert.equal(await xrplService.getBalance(recipient), 25);
+  });
+
+  test('an unfunded destination too small to create is a final failure', async () => {
+    const recipient = xrplService.generateWallet().classicAddress;
+
+    await assert.rejects(
+      xrplService.sendXrp(funding, recipient, 0.5),
+      { code: 'tecNO_DST_INSUF_XRP', retryable: false }
+    );
+  });
+});